@@ -5,20 +5,37 @@ const CLI = require('./cli/cli-class');
  * Command line interface for hyper-nat
  */
 
-// Handle process signals for graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\nReceived SIGINT, shutting down gracefully...');
-    process.exit(0);
-});
+// Handle process signals for graceful shutdown: stop accepting, drain live
+// connections, unannounce servers and destroy the DHT node. A second signal
+// skips the grace period and exits immediately.
+function handleSignals(cli) {
+    let shuttingDown = false;
 
-process.on('SIGTERM', async () => {
-    console.log('\nReceived SIGTERM, shutting down gracefully...');
-    process.exit(0);
-});
+    const shutdown = async (signal) => {
+        if (shuttingDown) {
+            console.log(`\nReceived ${signal} again, exiting immediately`);
+            process.exit(1);
+        }
+        shuttingDown = true;
+        console.log(`\nReceived ${signal}, shutting down gracefully...`);
+
+        try {
+            await cli.cleanup();
+            process.exit(0);
+        } catch (error) {
+            console.error('Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
 
 // Export the CLI class and main function
 module.exports = CLI;
 module.exports.main = async () => {
     const cli = new CLI();
+    handleSignals(cli);
     await cli.main();
 };
@@ -1,6 +1,16 @@
 const yargs = require('yargs');
 const ConfigManager = require('../config');
 const { createRelay } = require('../dht-relay');
+const Allowlist = require('../utils/allowlist');
+const TargetPolicy = require('../utils/target-policy');
+const ReversePolicy = require('../utils/reverse-policy');
+const { parseRate } = require('../utils/rate-limiter');
+const { parsePortRanges, rangePorts, formatPortRange } = require('../utils/ports');
+const { config: defaults, PROXY_PROTOCOLS, UDP_MODES, DROP_POLICIES } = require('../utils/config');
+const { parseHost } = require('../utils/address');
+const { runConfigFile } = require('./config-file');
+const { runPing, runBench } = require('./measure');
+const { runDoctor } = require('./doctor');
 
 /**
  * CLI Class Module
@@ -9,25 +19,139 @@ const { createRelay } = require('../dht-relay');
 class CLI {
     constructor() {
         this.relay = null;
+        this.gracePeriod = undefined;
+        this.rateLimit = {};
+        this.statsTimer = null;
+        this.quiet = false;
+    }
+
+    // Every command in this process shares one relay, so shutdown closes them all
+    async getRelay(identity) {
+        if (!this.relay) {
+            const keyPair = identity ? ConfigManager.generateKeyPair(identity) : undefined;
+            this.relay = await createRelay({ keyPair, rateLimit: this.rateLimit });
+            if (identity && !this.quiet) console.log(`Client identity: ${this.relay.publicKey.toString('hex')}`);
+        }
+        return this.relay;
+    }
+
+    // An allowlist is a list of client keys or the path of a file listing them
+    parseAllowlist(keys, file) {
+        if (file) return Allowlist.from(file);
+        if (keys) return Allowlist.from(String(keys).split(',').map((key) => key.trim()).filter(Boolean));
+        return null;
+    }
+
+    // A reverse tunnel is '<server port>[:<local port>]', the local port being the same by default
+    parseReverse(value) {
+        if (value === undefined) return [];
+        return String(value).split(',').filter((entry) => entry.trim()).map((entry) => {
+            const [remotePort, localPort = remotePort] = entry.split(':');
+            return { remotePort: defaults.validatePort(remotePort), localPort: defaults.validatePort(localPort) };
+        });
+    }
+
+    // A rate limit is '<upload>[:<download>]', one value limiting both directions
+    parseRateLimit(value) {
+        if (value === undefined) return undefined;
+        const [upload, download = upload] = String(value).split(':');
+        return { upload: parseRate(upload), download: parseRate(download) };
     }
 
     async main() {
         const argv = yargs
             .usage('Usage: $0 <command> [options]')
+            .option('grace-period', { type: 'number', describe: 'Milliseconds to let live connections finish on shutdown (default: 5000)' })
+            .option('stats', { type: 'number', describe: 'Print traffic statistics every N seconds' })
+            .option('rate-limit', { type: 'string', describe: 'Bandwidth limit of each relay in bytes/s, e.g. 512K or 1M:4M (upload:download)' })
+            .option('peer-rate-limit', { type: 'string', describe: 'Bandwidth limit for each remote peer, across all relays' })
+            .option('total-rate-limit', { type: 'string', describe: 'Bandwidth limit for all traffic of this process' })
+            .option('connect-timeout', { type: 'number', describe: 'Milliseconds to reach the target or open a tunnel (default: 15000)' })
+            .option('idle-timeout', { type: 'number', describe: 'Close TCP connections and UDP sessions idle this many milliseconds, 0 = never' })
+            .option('max-connections', { type: 'number', describe: 'Concurrent connections per relay, 0 = unlimited (default: 0)' })
+            .option('max-sessions', { type: 'number', describe: 'Concurrent UDP sessions per relay, 0 = unlimited (default: 256)' })
+            .option('queue-limit', { type: 'number', describe: 'Datagrams per UDP session or TCP-UDP connection waiting for a slow peer, 0 = unlimited (default: 256)' })
+            .option('drop-policy', { type: 'string', choices: DROP_POLICIES, describe: 'What a full queue does: drop its oldest datagram, drop the new one, or pause until drained (default: drop-oldest)' })
+            .option('heartbeat-interval', { type: 'number', describe: 'Milliseconds between heartbeats on each peer connection, 0 = none (default: 5000)' })
+            .option('heartbeat-misses', { type: 'number', describe: 'Silent heartbeat intervals before a peer connection is dropped, or reconnected (default: 3)' })
+            .option('udp-mode', { type: 'string', choices: UDP_MODES, describe: 'Carry UDP as unreliable datagrams, or on the ordered stream (default: datagram)' })
             .command('server', 'Start a relay server', (yargs) => {
                 return yargs
-                    .option('port', { alias: 'p', type: 'string', demandOption: true, describe: 'Port(s) to listen on' })
+                    .option('port', { alias: 'p', type: 'string', describe: 'Port(s) or ranges to expose, e.g. 80,27015-27030' })
                     .option('secret', { alias: 's', type: 'string', describe: 'Secret key for DHT' })
-                    .option('proto', { alias: 't', type: 'string', default: 'tcp', describe: 'Protocol(s) - tcp, udp, tcpudp' })
-                    .option('host', { alias: 'h', type: 'string', default: '127.0.0.1', describe: 'Target host' });
+                    .option('proto', { alias: 't', type: 'string', default: 'tcp', describe: 'Protocol(s) - tcp, udp, tcpudp, socks, http-proxy' })
+                    .option('host', { alias: 'h', type: 'string', default: '127.0.0.1', coerce: parseHost, describe: 'Target host, [::1] style for IPv6, or unix:<path> for a Unix socket (tcp)' })
+                    .option('allow', { type: 'string', describe: 'Comma separated client public keys allowed to connect' })
+                    .option('allow-file', { type: 'string', describe: 'File of allowed client public keys, reloaded when it changes' })
+                    .option('label', { type: 'string', describe: 'Comma separated service name(s) shown to clients, one per port entry' })
+                    .option('description', { type: 'string', describe: 'Service description shown to clients' })
+                    .option('socks', { type: 'boolean', describe: 'Also run the proxy that SOCKS5 and HTTP proxy clients use to reach destinations' })
+                    .option('socks-hosts', { type: 'string', describe: 'Comma separated hosts, CIDRs and *.domains the proxy may reach, * for any (default: loopback)' })
+                    .option('socks-ports', { type: 'string', describe: 'Ports and ranges the proxy may reach (default: any)' })
+                    .option('allow-reverse', { type: 'array', string: true, describe: 'Ports clients may open reverse tunnels on, [key@]ports, e.g. 3000-3010 or <key>@8080; repeatable' })
+                    .option('reverse-bind', { type: 'string', default: '127.0.0.1', coerce: parseHost, describe: 'Address reverse tunnels listen on' })
+                    .option('bridge', { type: 'string', describe: 'Bridge LAN discovery on these UDP ports, <port>[@<multicast group>], comma separated' })
+                    .option('echo', { type: 'boolean', describe: 'Answer `hyper-nat bench` from clients with an echo endpoint' })
+                    .check((args) => args.port !== undefined || args.socks || args['allow-reverse'] || args.bridge !== undefined || args.echo
+                        || String(args.proto).split(/[\s,]+/).some((proto) => PROXY_PROTOCOLS.includes(proto))
+                        || 'Missing --port (or use --socks, --allow-reverse, --bridge or --echo)');
             })
             .command('client', 'Start a relay client', (yargs) => {
                 return yargs
-                    .option('local-port', { alias: 'l', type: 'string', demandOption: true, describe: 'Local port(s) to bind' })
-                    .option('remote-port', { alias: 'r', type: 'string', demandOption: true, describe: 'Remote port(s) to connect to' })
-                    .option('key', { alias: 'k', type: 'string', demandOption: true, describe: 'Public key of server' })
-                    .option('proto', { alias: 't', type: 'string', default: 'tcp', describe: 'Protocol(s) - tcp, udp, tcpudp' })
-                    .option('host', { alias: 'h', type: 'string', default: '127.0.0.1', describe: 'Local host' });
+                    .option('local-port', { alias: 'l', type: 'string', describe: 'Local port(s) or ranges to bind (default: the remote ports plus --offset)' })
+                    .option('remote-port', { alias: 'r', type: 'string', describe: 'Remote port(s) or ranges to connect to, e.g. 80,27015-27030' })
+                    .option('all', { type: 'boolean', describe: 'Forward every service the server lists, instead of --remote-port' })
+                    .option('offset', { type: 'number', default: 0, describe: 'Added to each remote port to get its local port when --local-port is not given' })
+                    .option('key', { alias: 'k', type: 'string', demandOption: true, describe: 'Public key of server (hex or base58)' })
+                    .option('proto', { alias: 't', type: 'string', default: 'tcp', describe: 'Protocol(s) - tcp, udp, tcpudp, socks, http-proxy' })
+                    .option('host', { alias: 'h', type: 'string', default: '127.0.0.1', coerce: parseHost, describe: 'Local host, [::1] style for IPv6, or unix:<path> to listen on a Unix socket (tcp, socks, http-proxy)' })
+                    .option('socket-mode', { type: 'string', describe: 'Permissions of a Unix socket listener, e.g. 660' })
+                    .option('retries', { type: 'number', describe: 'Reconnect attempts before giving up (default: 10)' })
+                    .option('identity', { alias: 'i', type: 'string', describe: 'Secret for a stable client key that servers can allowlist' })
+                    .option('socks', { type: 'number', describe: 'Run a local SOCKS5 proxy on this port that tunnels through the server' })
+                    .option('http-proxy', { type: 'number', describe: 'Run a local HTTP proxy on this port that tunnels through the server' })
+                    .option('reverse', { alias: 'R', type: 'string', describe: 'Offer local ports to the server, <server port>[:<local port>], comma separated' })
+                    .option('bridge', { type: 'boolean', describe: 'Replay the LAN discovery the server bridges to 127.0.0.1, so local games see its servers' })
+                    .option('bridge-lan', { type: 'boolean', describe: 'Replay bridged LAN discovery on this LAN instead (implies --bridge)' })
+                    .check((args) => args.all || args.socks !== undefined || args['http-proxy'] !== undefined || args['remote-port'] !== undefined ||
+                        args.reverse !== undefined || args.bridge || args['bridge-lan'] || 'Missing --remote-port (or use --all, --socks, --http-proxy, --reverse or --bridge)')
+                    // The proxies take their local port as the value of --socks and --http-proxy
+                    .check((args) => args['local-port'] === undefined || args['remote-port'] !== undefined || args.all ||
+                        '--local-port needs --remote-port or --all; give a proxy its port as --socks <port> or --http-proxy <port>');
+            })
+            .command('list', 'List the services a server offers', (yargs) => {
+                return yargs
+                    .option('key', { alias: 'k', type: 'string', demandOption: true, describe: 'Public key of server (hex or base58)' })
+                    .option('identity', { alias: 'i', type: 'string', describe: 'Secret for the client key, if the server uses an allowlist' });
+            })
+            .command('ping', 'Connect to a peer and time round trips', (yargs) => {
+                return yargs
+                    .option('key', { alias: 'k', type: 'string', demandOption: true, describe: 'Public key of the peer (hex or base58)' })
+                    .option('count', { alias: 'n', type: 'number', default: 10, describe: 'Round trips to time' })
+                    .option('interval', { type: 'number', default: 1000, describe: 'Milliseconds between round trips' })
+                    .option('identity', { alias: 'i', type: 'string', describe: 'Secret for the client key, if the server uses an allowlist' })
+                    .option('json', { type: 'boolean', describe: 'Print the result as JSON' });
+            })
+            .command('bench', 'Measure throughput, loss and latency to a server started with --echo', (yargs) => {
+                return yargs
+                    .option('key', { alias: 'k', type: 'string', demandOption: true, describe: 'Public key of server (hex or base58)' })
+                    .option('tcp', { type: 'boolean', describe: 'Only measure TCP throughput' })
+                    .option('udp', { type: 'boolean', describe: 'Only measure UDP loss and latency' })
+                    .option('bytes', { type: 'string', default: '10M', describe: 'Bytes to upload and then download, e.g. 512K or 100M' })
+                    .option('count', { alias: 'n', type: 'number', default: 200, describe: 'UDP datagrams to send' })
+                    .option('size', { type: 'number', default: 512, describe: 'Bytes per UDP datagram' })
+                    .option('rate', { type: 'number', default: 50, describe: 'UDP datagrams per second' })
+                    .option('identity', { alias: 'i', type: 'string', describe: 'Secret for the client key, if the server uses an allowlist' })
+                    .option('json', { type: 'boolean', describe: 'Print the result as JSON' });
+            })
+            .command('doctor', 'Diagnose connectivity: the local NAT, a target service and a connection to a key', (yargs) => {
+                return yargs
+                    .option('key', { alias: 'k', type: 'string', describe: 'Public key of a peer to test a connection to (hex or base58)' })
+                    .option('port', { alias: 'p', type: 'number', describe: 'Port of a target service to check from this machine' })
+                    .option('host', { alias: 'h', type: 'string', default: '127.0.0.1', coerce: parseHost, describe: 'Host of the target service, or unix:<path>' })
+                    .option('proto', { alias: 't', type: 'string', choices: ['tcp', 'udp'], default: 'tcp', describe: 'Protocol of the target service' })
+                    .option('identity', { alias: 'i', type: 'string', describe: 'Secret for the client key, if the server uses an allowlist' })
+                    .option('json', { type: 'boolean', describe: 'Print the result as JSON' });
             })
             .command('config', 'Use configuration file', (yargs) => {
                 return yargs
@@ -37,116 +161,219 @@ class CLI {
             .help()
             .argv;
 
+        this.gracePeriod = argv['grace-period'];
+
         try {
+            defaults.setRelayDefaults({
+                connectTimeout: argv['connect-timeout'],
+                idleTimeout: argv['idle-timeout'],
+                maxConnections: argv['max-connections'],
+                maxSessions: argv['max-sessions'],
+                queueLimit: argv['queue-limit'],
+                dropPolicy: argv['drop-policy'],
+                udpMode: argv['udp-mode'],
+                heartbeatInterval: argv['heartbeat-interval'],
+                heartbeatMisses: argv['heartbeat-misses']
+            });
+            this.rateLimit = {
+                ...this.parseRateLimit(argv['total-rate-limit']),
+                perPeer: this.parseRateLimit(argv['peer-rate-limit'])
+            };
+            const rateLimit = this.parseRateLimit(argv['rate-limit']);
+
             if (argv._[0] === 'server') {
-                await this.handleServerCommand(argv);
+                await this.handleServerCommand(argv, rateLimit);
             } else if (argv._[0] === 'client') {
-                await this.handleClientCommand(argv);
+                await this.handleClientCommand(argv, rateLimit);
             } else if (argv._[0] === 'config') {
                 await this.handleConfigCommand(argv);
+            } else if (argv._[0] === 'list') {
+                await this.handleListCommand(argv);
+                await this.cleanup();
+                return;
+            } else if (argv._[0] === 'ping') {
+                await runPing(this, argv);
+                await this.cleanup();
+                return;
+            } else if (argv._[0] === 'bench') {
+                await runBench(this, argv);
+                await this.cleanup();
+                return;
+            } else if (argv._[0] === 'doctor') {
+                await runDoctor(this, argv);
+                await this.cleanup();
+                return;
+            }
+
+            if (argv.stats > 0) {
+                this.statsTimer = setInterval(() => this.printStats(), argv.stats * 1000);
             }
         } catch (error) {
             console.error('Error:', error.message);
+            await this.cleanup().catch(() => {});
             process.exit(1);
         }
     }
 
-    async handleServerCommand(argv) {
-        const ports = ConfigManager.parsePortList(argv.port);
+    async handleServerCommand(argv, rateLimit) {
+        const ranges = argv.port !== undefined ? parsePortRanges(argv.port) : [];
         const protocols = ConfigManager.parseProtocolList(argv.proto);
         const secret = argv.secret || ConfigManager.generateRandomSecret();
         const keyPair = ConfigManager.generateKeyPair(secret);
+        const allowlist = this.parseAllowlist(argv.allow, argv['allow-file']);
+        const labels = argv.label !== undefined ? String(argv.label).split(',').map((label) => label.trim()) : [];
 
-        console.log(`Starting server with ports: ${ports.join(', ')}`);
+        if (ranges.length) console.log(`Starting server with ports: ${ranges.map(formatPortRange).join(', ')}`);
         console.log(`Public key: ${keyPair.publicKey.toString('hex')}`);
+        if (allowlist) console.log(`Allowing ${allowlist.size} client key(s)`);
 
-        const configurations = ports.map((port, index) => ({
+        // Every port of a range is its own service under the one server key
+        const configurations = ranges.flatMap((range, index) => rangePorts(range).map((port) => ({
             port,
             protocol: protocols[index] || protocols[0],
-            host: argv.host
-        }));
+            host: argv.host,
+            label: labels[index]
+        })));
 
-        this.relay = await createRelay();
-        const relayInstance = await this.relay.createRelay();
+        const relayInstance = await (await this.getRelay()).createRelay();
 
-        for (const config of configurations) {
+        // The SOCKS and HTTP proxies share one service, which has no port and is started once
+        const proxied = protocols.some((protocol) => PROXY_PROTOCOLS.includes(protocol));
+        for (const config of configurations.filter((config) => !PROXY_PROTOCOLS.includes(config.protocol))) {
             const method = relayInstance[config.protocol].server;
-            await method(keyPair, config.port, config.host);
+            await method(keyPair, config.port, config.host, { allowlist, rateLimit, label: config.label, description: argv.description });
             console.log(`Started ${config.protocol.toUpperCase()} server on port ${config.port}`);
         }
 
+        if (argv.socks || proxied) {
+            const targets = new TargetPolicy({ hosts: argv['socks-hosts'], ports: argv['socks-ports'] });
+            await relayInstance.socks.server(keyPair, { allowlist, rateLimit, targets, description: argv.description });
+            console.log(`Started proxy for ${targets.hosts.join(', ')}`);
+        }
+
+        if (argv['allow-reverse']) {
+            const reverse = new ReversePolicy(argv['allow-reverse']);
+            await relayInstance.reverse.server(keyPair, { allowlist, rateLimit, reverse, host: argv['reverse-bind'] });
+            console.log(`Accepting reverse tunnels on ${argv['reverse-bind']}`);
+        }
+
+        if (argv.bridge !== undefined) {
+            await relayInstance.bridge.server(keyPair, { allowlist, rateLimit, bridge: argv.bridge });
+            console.log(`Bridging LAN discovery on port(s) ${argv.bridge}`);
+        }
+
+        if (argv.echo) {
+            await relayInstance.echo.server(keyPair, { allowlist, rateLimit });
+            console.log('Answering bench requests');
+        }
+
         console.log('All servers started successfully');
     }
 
-    async handleClientCommand(argv) {
-        const localPorts = ConfigManager.parsePortList(argv['local-port']);
-        const remotePorts = ConfigManager.parsePortList(argv['remote-port']);
-        const protocols = ConfigManager.parseProtocolList(argv.proto);
-        const publicKey = Buffer.from(argv.key, 'hex');
+    async handleClientCommand(argv, rateLimit) {
+        const publicKey = ConfigManager.parsePublicKey(argv.key);
+        const reconnect = argv.retries !== undefined ? { maxRetries: argv.retries } : undefined;
+        let localRanges = argv['local-port'] !== undefined ? parsePortRanges(argv['local-port']) : [];
+        let remoteRanges = [];
+        let protocols = [];
+        // Local proxies listen on their own port rather than mapping a remote one
+        const proxies = { socks: argv.socks, 'http-proxy': argv['http-proxy'] };
 
-        console.log(`Connecting to server with local ports: ${localPorts.join(', ')}`);
+        if (argv.all) {
+            // Forward what the server lists, each service to its own port plus --offset
+            const entries = await (await this.getRelay(argv.identity)).fetchManifest(publicKey);
+            if (entries.length === 0) throw new Error('The server does not offer any services to this client');
+            // A listed proxy runs on --socks, or on the default SOCKS port plus --offset
+            const ports = entries.filter((entry) => entry.port !== null);
+            if (ports.length < entries.length && proxies.socks === undefined) proxies.socks = defaults.get('protocols.socks.port') + argv.offset;
+            localRanges = [];
+            remoteRanges = ports.map((entry) => parsePortRanges(entry.port)[0]);
+            protocols = ports.map((entry) => entry.protocol);
+        } else if (argv['remote-port'] !== undefined) {
+            remoteRanges = parsePortRanges(argv['remote-port']);
+            protocols = ConfigManager.parseProtocolList(argv.proto);
+        }
+
+        // Each remote range maps onto the local range starting at its -l entry, or at itself plus --offset
+        const configurations = [];
+        for (let i = 0; i < Math.max(localRanges.length, remoteRanges.length); i++) {
+            const remote = remoteRanges[i] || remoteRanges[0];
+            const localStart = localRanges[i] ? localRanges[i].start : remote.start + argv.offset;
+            for (const remotePort of rangePorts(remote)) {
+                configurations.push({
+                    port: defaults.validatePort(localStart + remotePort - remote.start),
+                    remotePort,
+                    protocol: protocols[i] || protocols[0],
+                    host: argv.host
+                });
+            }
+        }
 
-        this.relay = await createRelay();
-        const relayInstance = await this.relay.createRelay();
+        for (const [protocol, port] of Object.entries(proxies)) {
+            if (port !== undefined) configurations.push({ port: defaults.validatePort(port), remotePort: port, protocol, host: argv.host });
+        }
 
-        for (let i = 0; i < localPorts.length; i++) {
-            const config = {
-                port: localPorts[i],
-                remotePort: remotePorts[i] || remotePorts[0],
-                protocol: protocols[i] || protocols[0],
-                host: argv.host
-            };
+        if (configurations.length) console.log(`Connecting to server with local ports: ${configurations.map((config) => config.port).join(', ')}`);
 
+        const relayInstance = await (await this.getRelay(argv.identity)).createRelay();
+
+        for (const config of configurations) {
             const method = relayInstance[config.protocol].client;
-            await method(publicKey, config.port, { host: config.host });
+            await method(publicKey, config.remotePort, { host: config.host, localPort: config.port, socketMode: argv['socket-mode'], reconnect, rateLimit });
             console.log(`Started ${config.protocol.toUpperCase()} client from port ${config.port}`);
         }
 
-        console.log('All clients connected successfully');
-    }
-
-    async handleConfigCommand(argv) {
-        const config = ConfigManager.loadConfig(argv.config);
-        console.log(`Loading configuration from: ${argv.config}`);
-
-        if (config.server) {
-            await this.handleServerConfig(config.server);
+        for (const { remotePort, localPort } of this.parseReverse(argv.reverse)) {
+            await relayInstance.reverse.client(publicKey, remotePort, { host: argv.host, localPort, reconnect, rateLimit });
+            console.log(`Started reverse tunnel from server port ${remotePort} to local port ${localPort}`);
         }
 
-        if (config.client) {
-            await this.handleClientConfig(config.client);
+        if (argv.bridge || argv['bridge-lan']) {
+            // Announced ports are rewritten to the local ports they are forwarded to
+            const ports = new Map(configurations.filter((config) => !PROXY_PROTOCOLS.includes(config.protocol))
+                .map((config) => [config.remotePort, config.port]));
+            await relayInstance.bridge.client(publicKey, { lan: argv['bridge-lan'], ports, reconnect, rateLimit });
+            console.log(`Started LAN discovery bridge to ${argv['bridge-lan'] ? 'this LAN' : 'localhost'}`);
         }
 
-        console.log('Configuration loaded successfully');
+        console.log('All clients connected successfully');
     }
 
-    async handleServerConfig(serverConfig) {
-        const keyPair = ConfigManager.generateKeyPair(serverConfig.secret);
-        this.relay = await createRelay();
-        const relayInstance = await this.relay.createRelay();
-
-        for (const portConfig of serverConfig.ports) {
-            const method = relayInstance[portConfig.protocol].server;
-            await method(keyPair, portConfig.port, portConfig.host);
-            console.log(`Started ${portConfig.protocol.toUpperCase()} server on port ${portConfig.port}`);
+    async handleListCommand(argv) {
+        const relay = await this.getRelay(argv.identity);
+        const entries = await relay.fetchManifest(ConfigManager.parsePublicKey(argv.key));
+        if (entries.length === 0) {
+            console.log('The server does not offer any services to this client');
+            return;
+        }
+        for (const entry of entries) {
+            const name = entry.label ? `  ${entry.label}` : '';
+            const description = entry.description ? ` - ${entry.description}` : '';
+            console.log(`${entry.protocol.padEnd(6)} ${String(entry.port ?? '-').padEnd(11)}${name}${description}`);
         }
     }
 
-    async handleClientConfig(clientConfig) {
-        const publicKey = Buffer.from(clientConfig.serverKey, 'hex');
-        this.relay = await createRelay();
-        const relayInstance = await this.relay.createRelay();
+    async handleConfigCommand(argv) {
+        await runConfigFile(this, argv.config);
+    }
 
-        for (const portConfig of clientConfig.ports) {
-            const method = relayInstance[portConfig.protocol].client;
-            await method(publicKey, portConfig.localPort, { host: portConfig.host });
-            console.log(`Started ${portConfig.protocol.toUpperCase()} client for local port ${portConfig.localPort}`);
+    printStats() {
+        if (!this.relay) return;
+        for (const relay of this.relay.stats().relays) {
+            const packets = relay.packetsIn !== undefined
+                ? `, packets in/out ${relay.packetsIn}/${relay.packetsOut}, dropped ${relay.droppedIn}/${relay.droppedOut}`
+                    + (relay.queueDrops ? `, ${relay.queueDrops} dropped from full queues` : '')
+                : '';
+            const refused = relay.refusedConnections ? `, ${relay.refusedConnections} refused` : '';
+            const rtt = relay.rtt !== null ? `, rtt ${relay.rtt}ms` : '';
+            console.log(`[stats] ${relay.mode} ${relay.service}: ${relay.activeConnections} active/${relay.totalConnections} total connections${refused}, bytes in/out ${relay.bytesIn}/${relay.bytesOut}${packets}${rtt}, errors ${relay.errors}`);
         }
     }
 
     async cleanup() {
+        clearInterval(this.statsTimer);
         if (this.relay) {
-            await this.relay.destroy();
+            await this.relay.close({ gracePeriod: this.gracePeriod });
             this.relay = null;
         }
     }
@@ -0,0 +1,159 @@
+const ConfigManager = require('../config');
+const Allowlist = require('../utils/allowlist');
+const ReversePolicy = require('../utils/reverse-policy');
+const { parseHost } = require('../utils/address');
+const { parsePortRanges, rangePorts, formatPortRange } = require('../utils/ports');
+const { config: defaults, PROXY_PROTOCOLS } = require('../utils/config');
+
+const LIMIT_KEYS = ['connectTimeout', 'idleTimeout', 'maxConnections', 'maxSessions', 'queueLimit', 'dropPolicy', 'udpMode'];
+
+/**
+ * Config File Command
+ * Starts the servers and clients described in a JSON configuration file
+ */
+
+// Timeouts and limits of a relay, the first source that sets each one wins
+function relayLimits(...sources) {
+    const limits = {};
+    for (const key of LIMIT_KEYS) {
+        const source = sources.find((entry) => entry && entry[key] !== undefined);
+        if (source) limits[key] = source[key];
+    }
+    return limits;
+}
+
+async function startServers(cli, serverConfig) {
+    const keyPair = ConfigManager.generateKeyPair(serverConfig.secret);
+    const relayInstance = await (await cli.getRelay()).createRelay();
+    // A server-wide allowlist applies to every port that does not set its own
+    const allowlist = Allowlist.from(serverConfig.allowlist);
+
+    for (const portConfig of serverConfig.ports || []) {
+        const method = relayInstance[portConfig.protocol].server;
+        const options = {
+            allowlist: portConfig.allowlist !== undefined ? Allowlist.from(portConfig.allowlist) : allowlist,
+            rateLimit: portConfig.rateLimit || serverConfig.rateLimit,
+            label: portConfig.label,
+            description: portConfig.description,
+            ...relayLimits(portConfig, serverConfig)
+        };
+        // A proxy has no port, only the targets it may reach
+        if (PROXY_PROTOCOLS.includes(portConfig.protocol)) {
+            await method(keyPair, { ...options, targets: portConfig.targets });
+            console.log('Started proxy');
+            continue;
+        }
+        for (const port of ConfigManager.parsePortList(portConfig.port)) {
+            await method(keyPair, port, parseHost(portConfig.host || '127.0.0.1'), options);
+        }
+        console.log(`Started ${portConfig.protocol.toUpperCase()} server on port ${portConfig.port}`);
+    }
+
+    // Reverse tunnel rules are '[key@]ports' strings or { ports, peers } objects
+    if (serverConfig.reverse) {
+        await relayInstance.reverse.server(keyPair, {
+            allowlist,
+            rateLimit: serverConfig.rateLimit,
+            reverse: new ReversePolicy(serverConfig.reverse),
+            host: serverConfig.reverseHost && parseHost(serverConfig.reverseHost),
+            ...relayLimits(serverConfig)
+        });
+        console.log('Accepting reverse tunnels');
+    }
+
+    // Discovery rules are '<port>[@<group>]' strings or { port, group } objects
+    if (serverConfig.bridge) {
+        await relayInstance.bridge.server(keyPair, { allowlist, rateLimit: serverConfig.rateLimit, bridge: serverConfig.bridge });
+        console.log('Bridging LAN discovery');
+    }
+
+    if (serverConfig.echo) {
+        await relayInstance.echo.server(keyPair, { allowlist, rateLimit: serverConfig.rateLimit });
+        console.log('Answering bench requests');
+    }
+}
+
+async function startClients(cli, clientConfig) {
+    const publicKey = ConfigManager.parsePublicKey(clientConfig.serverKey);
+    const relay = await cli.getRelay();
+    const relayInstance = await relay.createRelay();
+    // With forwardAll the ports come from the server's manifest, shifted by offset;
+    // a proxy, which has no port of its own, listens on the default SOCKS port
+    const ports = clientConfig.forwardAll
+        ? (await relay.fetchManifest(publicKey)).map((entry) => ({
+            protocol: entry.protocol,
+            remotePort: entry.port ?? defaults.get('protocols.socks.port')
+        }))
+        : clientConfig.ports || [];
+    // Remote port to local port, for the ports the bridge rewrites in discovery packets
+    const forwarded = new Map();
+
+    for (const portConfig of ports) {
+        const method = relayInstance[portConfig.protocol].client;
+        // A range maps port by port onto the local range that starts at localPort
+        const [remote] = parsePortRanges(portConfig.remotePort || portConfig.localPort);
+        const [local] = portConfig.localPort !== undefined
+            ? parsePortRanges(portConfig.localPort)
+            : [{ start: remote.start + (clientConfig.offset || 0) }];
+        for (const remotePort of rangePorts(remote)) {
+            if (!PROXY_PROTOCOLS.includes(portConfig.protocol)) forwarded.set(remotePort, local.start + remotePort - remote.start);
+            await method(publicKey, remotePort, {
+                host: portConfig.host && parseHost(portConfig.host),
+                socketMode: portConfig.socketMode,
+                localPort: defaults.validatePort(local.start + remotePort - remote.start),
+                reconnect: clientConfig.reconnect,
+                rateLimit: portConfig.rateLimit || clientConfig.rateLimit,
+                ...relayLimits(portConfig, clientConfig)
+            });
+        }
+        const localRange = formatPortRange({ start: local.start, end: local.start + remote.end - remote.start });
+        console.log(`Started ${portConfig.protocol.toUpperCase()} client for local port ${localRange}`);
+    }
+
+    for (const tunnel of clientConfig.reverse || []) {
+        const localPort = tunnel.localPort || tunnel.remotePort;
+        await relayInstance.reverse.client(publicKey, defaults.validatePort(tunnel.remotePort), {
+            host: tunnel.host && parseHost(tunnel.host),
+            localPort: defaults.validatePort(localPort),
+            reconnect: clientConfig.reconnect,
+            rateLimit: tunnel.rateLimit || clientConfig.rateLimit,
+            ...relayLimits(tunnel, clientConfig)
+        });
+        console.log(`Started reverse tunnel from server port ${tunnel.remotePort} to local port ${localPort}`);
+    }
+
+    // bridge is true, or { lan: true } to replay discovery on this LAN
+    if (clientConfig.bridge) {
+        const lan = clientConfig.bridge.lan === true;
+        await relayInstance.bridge.client(publicKey, { lan, ports: forwarded, reconnect: clientConfig.reconnect, rateLimit: clientConfig.rateLimit });
+        console.log(`Started LAN discovery bridge to ${lan ? 'this LAN' : 'localhost'}`);
+    }
+}
+
+/**
+ * Start everything a configuration file describes
+ * @param {CLI} cli - CLI whose shared relay the servers and clients use
+ * @param {string} file - Path of the configuration file
+ */
+async function runConfigFile(cli, file) {
+    const config = ConfigManager.loadConfig(file);
+    console.log(`Loading configuration from: ${file}`);
+
+    // Servers and clients share one DHT node, which carries the client
+    // identity and the global and per-peer rate limits
+    if (config.rateLimit) cli.rateLimit = config.rateLimit;
+    if (config.limits) defaults.setRelayDefaults(config.limits);
+    await cli.getRelay(config.client && config.client.identity);
+
+    if (config.server) {
+        await startServers(cli, config.server);
+    }
+
+    if (config.client) {
+        await startClients(cli, config.client);
+    }
+
+    console.log('Configuration loaded successfully');
+}
+
+module.exports = { runConfigFile, relayLimits };
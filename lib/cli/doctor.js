@@ -0,0 +1,63 @@
+const ConfigManager = require('../config');
+const { diagnose } = require('../utils/doctor');
+const { logger } = require('../utils/logger');
+
+/**
+ * Doctor Command
+ * Prints the connectivity checks of lib/utils/doctor with their hints
+ */
+
+function mark(check) {
+    return check.ok ? 'OK  ' : 'FAIL';
+}
+
+function printHints(check) {
+    for (const hint of check.hints) console.log(`       - ${hint}`);
+}
+
+/**
+ * Check the local node, and the target and peer connection if given
+ * @param {CLI} cli - CLI whose shared relay runs the checks
+ * @param {Object} argv - Parsed `doctor` arguments
+ */
+async function runDoctor(cli, argv) {
+    if (argv.json) {
+        logger.level = 'warn';
+        cli.quiet = true;
+    }
+    const publicKey = argv.key !== undefined ? ConfigManager.parsePublicKey(argv.key) : undefined;
+    if (!argv.json) console.log('Checking the DHT node...');
+    const relay = await cli.getRelay(argv.identity);
+    const result = await diagnose(relay, { host: argv.host, port: argv.port, proto: argv.proto, publicKey });
+    // Scripts can tell a failed check from the exit code
+    if (!result.ok) process.exitCode = 1;
+
+    if (argv.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+
+    const { node, target, connection } = result;
+    console.log(`[${mark(node)}] DHT node: ${node.peers} node(s) answered, ${node.firewalled ? 'firewalled' : 'not firewalled'}`);
+    console.log(`       Public address: ${node.publicAddress || 'unknown'}`);
+    console.log(`       NAT: ${node.natDescription}`);
+    printHints(node);
+
+    if (target) {
+        const time = target.time !== null ? ` in ${target.time}ms` : '';
+        console.log(`[${mark(target)}] Target ${target.proto.toUpperCase()} ${target.address}: ${target.ok ? `reachable${time}` : target.error}`);
+        printHints(target);
+    }
+
+    if (connection) {
+        const via = connection.remoteAddress ? ` to ${connection.remoteAddress}` : '';
+        console.log(connection.ok
+            ? `[${mark(connection)}] Connection: ${connection.path}${via} in ${connection.connectTime}ms`
+            : `[${mark(connection)}] Connection: ${connection.error}`);
+        printHints(connection);
+    }
+
+    console.log(result.ok ? 'No problems found' : 'Some checks failed, see the hints above');
+}
+
+module.exports = { runDoctor };
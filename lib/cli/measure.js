@@ -0,0 +1,93 @@
+const ConfigManager = require('../config');
+const { ping, benchTcp, benchUdp } = require('../utils/measure');
+const { parseRate } = require('../utils/rate-limiter');
+const { logger } = require('../utils/logger');
+
+/**
+ * Ping and Bench Commands
+ * Print what lib/utils/measure finds, as text or as one JSON object for scripts
+ */
+
+function ms(value) {
+    return value === null ? '-' : `${value}ms`;
+}
+
+function rate(bitsPerSecond) {
+    const units = [['Gbit/s', 1e9], ['Mbit/s', 1e6], ['kbit/s', 1e3]];
+    const [unit, size] = units.find(([, size]) => bitsPerSecond >= size) || ['bit/s', 1];
+    return `${(bitsPerSecond / size).toFixed(2)} ${unit}`;
+}
+
+// JSON output owns stdout, so progress logging is limited to warnings on stderr
+function quiet(cli, argv) {
+    if (!argv.json) return;
+    logger.level = 'warn';
+    cli.quiet = true;
+}
+
+/**
+ * Connect to a peer and time round trips
+ * @param {CLI} cli - CLI whose shared relay connects
+ * @param {Object} argv - Parsed `ping` arguments
+ */
+async function runPing(cli, argv) {
+    quiet(cli, argv);
+    const publicKey = ConfigManager.parsePublicKey(argv.key);
+    const relay = await cli.getRelay(argv.identity);
+    if (!argv.json) console.log(`Connecting to ${publicKey.toString('hex')}...`);
+
+    const result = await ping(relay, publicKey, {
+        count: argv.count,
+        interval: argv.interval,
+        onreply: (sequence, rtt) => {
+            if (!argv.json) console.log(rtt === null ? `seq=${sequence} timed out` : `seq=${sequence} rtt=${rtt}ms`);
+        }
+    });
+
+    if (argv.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+    console.log(`Connected in ${result.connectTime}ms, ${result.path}${result.remoteAddress ? ` to ${result.remoteAddress}` : ''}`);
+    console.log(`${result.sent} sent, ${result.received} received, ${result.loss}% loss`);
+    console.log(`rtt min/avg/max/jitter ${ms(result.min)}/${ms(result.avg)}/${ms(result.max)}/${ms(result.jitter)}`);
+}
+
+/**
+ * Measure TCP throughput and UDP loss and latency against a server's echo endpoint
+ * @param {CLI} cli - CLI whose shared relay connects
+ * @param {Object} argv - Parsed `bench` arguments
+ */
+async function runBench(cli, argv) {
+    quiet(cli, argv);
+    const publicKey = ConfigManager.parsePublicKey(argv.key);
+    const relay = await cli.getRelay(argv.identity);
+    // Both run unless only one is asked for
+    const both = !argv.tcp && !argv.udp;
+    const result = { publicKey: publicKey.toString('hex') };
+
+    if (argv.tcp || both) {
+        const bytes = parseRate(argv.bytes);
+        if (!argv.json) console.log(`TCP: sending and receiving ${bytes} bytes...`);
+        result.tcp = await benchTcp(relay, publicKey, { bytes });
+        if (!argv.json) {
+            console.log(`  upload   ${rate(result.tcp.upload.bitsPerSecond)} (${result.tcp.upload.seconds}s)`);
+            console.log(`  download ${rate(result.tcp.download.bitsPerSecond)} (${result.tcp.download.seconds}s)`);
+        }
+    }
+
+    if (argv.udp || both) {
+        if (!argv.json) console.log(`UDP: echoing ${argv.count} datagrams of ${argv.size} bytes at ${argv.rate}/s...`);
+        result.udp = await benchUdp(relay, publicKey, { count: argv.count, size: argv.size, rate: argv.rate });
+        if (!argv.json) {
+            const udp = result.udp;
+            const carried = udp.datagrams ? 'as datagrams' : 'on the stream, the server or this peer not supporting datagrams';
+            console.log(`  ${udp.received}/${udp.sent} echoed, ${udp.loss}% loss, ${udp.reordered} reordered, ${carried}`);
+            console.log(`  rtt min/avg/max/jitter ${ms(udp.min)}/${ms(udp.avg)}/${ms(udp.max)}/${ms(udp.jitter)}`);
+        }
+    }
+
+    if (argv.json) console.log(JSON.stringify(result, null, 2));
+}
+
+module.exports = { runPing, runBench };
@@ -3,6 +3,8 @@ const DHT = require("@hyperswarm/dht");
 const bs58 = require('bs58').default;
 const crypto = require('crypto');
 const ModeHandler = require('./modes');
+const { parsePortRange, rangePorts } = require('./utils/ports');
+const { PROTOCOLS } = require('./utils/config');
 
 /**
  * Configuration management utilities for hyper-nat
@@ -57,7 +59,7 @@ class ConfigManager {
             
             const result = await ModeHandler[configWithCommandFlag.mode](configWithCommandFlag);
             if (result && forwarder.mode === 'server') {
-                publicKeys.push({proto: forwarder.proto, port: forwarder.port, publicKey: result});
+                publicKeys.push({proto: forwarder.proto, port: forwarder.port, publicKey: result.publicKey});
             }
             return result;
         });
@@ -90,7 +92,7 @@ class ConfigManager {
     }
 
     /**
-     * Parse port list from string or array
+     * Parse port list from string or array, expanding ranges like '27015-27030'
      * @param {string|number|Array} portArg - Port argument
      * @returns {Array<number>} Array of port numbers
      */
@@ -98,11 +100,12 @@ class ConfigManager {
         if (typeof portArg === 'number') {
             return [portArg];
         }
+        const expand = (p) => String(p).includes('-') ? rangePorts(parsePortRange(p)) : [parseInt(p, 10)];
         if (typeof portArg === 'string') {
-            return portArg.split(',').map(p => parseInt(p.trim(), 10)).filter(p => !isNaN(p));
+            return portArg.split(',').flatMap(p => expand(p.trim())).filter(p => !isNaN(p));
         }
         if (Array.isArray(portArg)) {
-            return portArg.map(p => parseInt(p, 10)).filter(p => !isNaN(p));
+            return portArg.flatMap(expand).filter(p => !isNaN(p));
         }
         return [];
     }
@@ -134,7 +137,7 @@ class ConfigManager {
         
         // Validate protocols
         protocols = protocols.map(p => {
-            if (!['tcp', 'udp', 'tcpudp'].includes(p)) {
+            if (!PROTOCOLS.includes(p)) {
                 console.warn(`Invalid protocol '${p}', defaulting to 'udp'`);
                 return 'udp';
             }
@@ -153,6 +156,32 @@ class ConfigManager {
         return crypto.randomBytes(length).toString('hex');
     }
 
+    /**
+     * Derive a DHT key pair from a secret
+     * @param {string} secret - Secret to derive from
+     * @returns {Object} Key pair with publicKey and secretKey
+     */
+    static generateKeyPair(secret) {
+        return DHT.keyPair(DHT.hash(Buffer.from(secret)));
+    }
+
+    /**
+     * Parse a server public key given as hex or base58
+     * @param {string} key - 64 character hex or base58 public key
+     * @returns {Buffer} 32 byte public key
+     */
+    static parsePublicKey(key) {
+        const text = String(key).trim();
+        let decoded = null;
+        try {
+            decoded = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(bs58.decode(text));
+        } catch (_) {}
+        if (!decoded || decoded.length !== 32) {
+            throw new Error(`Invalid public key: ${text}`);
+        }
+        return decoded;
+    }
+
     /**
      * Create default server configurations
      * @param {string} secret - Secret key to use
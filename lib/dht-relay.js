@@ -1,4 +1,8 @@
+const { EventEmitter } = require('events');
 const DHT = require("@hyperswarm/dht");
+const MuxTransport = require('./mux/transport');
+const { RateLimiter } = require('./utils/rate-limiter');
+const { logger } = require('./utils/logger');
 
 // Import extracted relay modules
 const TcpServerRelay = require('./relays/tcp-server');
@@ -7,14 +11,37 @@ const UdpServerRelay = require('./relays/udp-server');
 const UdpClientRelay = require('./relays/udp-client');
 const TcpUdpServerRelay = require('./relays/tcpudp-server');
 const TcpUdpClientRelay = require('./relays/tcpudp-client');
+const SocksServerRelay = require('./relays/socks-server');
+const SocksClientRelay = require('./relays/socks-client');
+const HttpProxyClientRelay = require('./relays/http-proxy-client');
+const ReverseServerRelay = require('./relays/reverse-server');
+const ReverseClientRelay = require('./relays/reverse-client');
+const BridgeServerRelay = require('./relays/bridge-server');
+const BridgeClientRelay = require('./relays/bridge-client');
+const EchoServerRelay = require('./relays/echo-server');
+
+const TRANSPORT_EVENTS = ['reconnecting', 'reconnected', 'reconnect-failed'];
 
 /**
  * DHT Relay functionality for hyper-nat
- * Handles TCP, UDP, and TCP-over-UDP protocols using modular relay components
+ * Handles TCP, UDP, TCP-over-UDP, SOCKS and HTTP proxying, reverse tunnels, LAN discovery bridging and the bench echo endpoint using modular relay components
+ *
+ * Re-emits the transport's 'reconnecting', 'reconnected' and 'reconnect-failed' events
  */
-class DHTRelay {
-    constructor() {
+class DHTRelay extends EventEmitter {
+    /**
+     * @param {Object} [options] - Relay options
+     * @param {Object} [options.keyPair] - Client identity presented to servers, random if omitted
+     * @param {Object} [options.rateLimit] - Global and per-peer limits, see RateLimiter
+     */
+    constructor(options = {}) {
+        super();
+        this.options = options;
         this.node = null;
+        this.transport = null;
+        this.rateLimiter = null;
+        this.handles = new Set();
+        this.closing = null;
         
         // Initialize relay components
         this.tcpServer = null;
@@ -23,54 +50,171 @@ class DHTRelay {
         this.udpClient = null;
         this.tcpUdpServer = null;
         this.tcpUdpClient = null;
+        this.socksServer = null;
+        this.socksClient = null;
+        this.httpProxyClient = null;
+        this.reverseServer = null;
+        this.reverseClient = null;
+        this.bridgeServer = null;
+        this.bridgeClient = null;
+        this.echoServer = null;
     }
 
     async initialize() {
         if (!this.node) {
-            this.node = new DHT();
+            this.node = new DHT({ keyPair: this.options.keyPair });
             await this.node.ready();
             
+            // All relays share one multiplexed connection per peer and one server per key
+            this.transport = new MuxTransport(this.node);
+            for (const event of TRANSPORT_EVENTS) {
+                this.transport.on(event, (info) => this.emit(event, info));
+            }
+
+            // Global and per-peer rate limits apply across every relay
+            this.rateLimiter = new RateLimiter(this.options.rateLimit);
+
             // Initialize relay components
-            this.tcpServer = new TcpServerRelay(this.node);
-            this.tcpClient = new TcpClientRelay(this.node);
-            this.udpServer = new UdpServerRelay(this.node);
-            this.udpClient = new UdpClientRelay(this.node);
-            this.tcpUdpServer = new TcpUdpServerRelay(this.node);
-            this.tcpUdpClient = new TcpUdpClientRelay(this.node);
+            this.tcpServer = new TcpServerRelay(this.node, this.transport, this.rateLimiter);
+            this.tcpClient = new TcpClientRelay(this.node, this.transport, this.rateLimiter);
+            this.udpServer = new UdpServerRelay(this.node, this.transport, this.rateLimiter);
+            this.udpClient = new UdpClientRelay(this.node, this.transport, this.rateLimiter);
+            this.tcpUdpServer = new TcpUdpServerRelay(this.node, this.transport, this.rateLimiter);
+            this.tcpUdpClient = new TcpUdpClientRelay(this.node, this.transport, this.rateLimiter);
+            this.socksServer = new SocksServerRelay(this.node, this.transport, this.rateLimiter);
+            this.socksClient = new SocksClientRelay(this.node, this.transport, this.rateLimiter, this.tcpClient);
+            this.httpProxyClient = new HttpProxyClientRelay(this.node, this.transport, this.rateLimiter, this.tcpClient);
+            this.reverseServer = new ReverseServerRelay(this.node, this.transport, this.rateLimiter, this.tcpClient);
+            this.reverseClient = new ReverseClientRelay(this.node, this.transport, this.rateLimiter);
+            this.bridgeServer = new BridgeServerRelay(this.node, this.transport, this.rateLimiter);
+            this.bridgeClient = new BridgeClientRelay(this.node, this.transport, this.rateLimiter);
+            this.echoServer = new EchoServerRelay(this.node, this.transport, this.rateLimiter);
         }
         return this;
     }
 
+    // Public key servers see for this relay's client connections, for their allowlists
+    get publicKey() {
+        return this.node ? this.node.defaultKeyPair.publicKey : null;
+    }
+
     async createRelay() {
         await this.initialize();
         
         return {
             tcp: {
-                server: this.tcpServer.createServer.bind(this.tcpServer),
-                client: this.tcpClient.createClient.bind(this.tcpClient)
+                server: this.track(this.tcpServer.createServer.bind(this.tcpServer)),
+                client: this.track(this.tcpClient.createClient.bind(this.tcpClient))
             },
             udp: {
-                server: this.udpServer.createServer.bind(this.udpServer),
-                client: this.udpClient.createClient.bind(this.udpClient)
+                server: this.track(this.udpServer.createServer.bind(this.udpServer)),
+                client: this.track(this.udpClient.createClient.bind(this.udpClient))
             },
             tcpudp: {
-                server: this.tcpUdpServer.createServer.bind(this.tcpUdpServer),
-                client: this.tcpUdpClient.createClient.bind(this.tcpUdpClient)
+                server: this.track(this.tcpUdpServer.createServer.bind(this.tcpUdpServer)),
+                client: this.track(this.tcpUdpClient.createClient.bind(this.tcpUdpClient))
+            },
+            // Proxies: server(keyPair, options) serves no fixed port, client(publicKey, localPort, options).
+            // Both kinds of client use the same proxy server
+            socks: {
+                server: this.track(this.socksServer.createServer.bind(this.socksServer)),
+                client: this.track(this.socksClient.createClient.bind(this.socksClient))
+            },
+            'http-proxy': {
+                server: this.track(this.socksServer.createServer.bind(this.socksServer)),
+                client: this.track(this.httpProxyClient.createClient.bind(this.httpProxyClient))
+            },
+            // Reverse tunnels: server(keyPair, options) accepts requests for the ports its policy
+            // allows, client(publicKey, serverPort, options) relays that port to options.localPort
+            reverse: {
+                server: this.track(this.reverseServer.createServer.bind(this.reverseServer)),
+                client: this.track(this.reverseClient.createClient.bind(this.reverseClient))
+            },
+            // LAN discovery bridge: server(keyPair, options) with options.bridge rules,
+            // client(publicKey, options) replays them here
+            bridge: {
+                server: this.track(this.bridgeServer.createServer.bind(this.bridgeServer)),
+                client: this.track(this.bridgeClient.createClient.bind(this.bridgeClient))
+            },
+            // Bench echo endpoint: server(keyPair, options) only, measured from `hyper-nat bench`
+            echo: {
+                server: this.track(this.echoServer.createServer.bind(this.echoServer))
             }
         };
     }
 
-    async destroy() {
-        if (this.node) {
-            await this.node.destroy();
-            this.node = null;
+    // Wrap a create method so every RelayHandle it returns is closed on shutdown
+    track(create) {
+        return async (...args) => {
+            const handle = await create(...args);
+            this.handles.add(handle);
+            handle.once('close', () => this.handles.delete(handle));
+            return handle;
+        };
+    }
+
+    /**
+     * Fetch the manifest of services a server offers this relay
+     * @param {Buffer} publicKey - Server public key
+     * @returns {Promise<Array<Object>>} Entries with protocol, port, label and description
+     */
+    async fetchManifest(publicKey) {
+        await this.initialize();
+        return this.transport.manifest(publicKey);
+    }
+
+    /**
+     * Traffic statistics for every relay created through this instance
+     * @returns {Object} Totals across all relays plus a per-relay breakdown
+     *   (see RelayHandle#stats), each with its live connections
+     */
+    stats() {
+        const relays = [...this.handles].map((handle) => handle.stats());
+        const totals = { activeConnections: 0, totalConnections: 0, bytesIn: 0, bytesOut: 0, errors: 0 };
+        for (const relay of relays) {
+            for (const key of Object.keys(totals)) totals[key] += relay[key];
         }
+        return { ...totals, relays };
+    }
+
+    /**
+     * Shut down gracefully: stop every relay accepting, drain live connections,
+     * unannounce servers and finally destroy the DHT node
+     * @param {Object} [options] - Close options
+     * @param {number} [options.gracePeriod] - Milliseconds to let live connections finish
+     */
+    close(options = {}) {
+        if (!this.closing) {
+            this.closing = this._close(options).finally(() => { this.closing = null; });
+        }
+        return this.closing;
+    }
+
+    async _close(options) {
+        if (!this.node) return;
+        const handles = [...this.handles];
+        logger.info(`Shutting down ${handles.length} relay(s)`);
+
+        await Promise.all(handles.map((handle) => handle.stop()));
+        await Promise.all(handles.map((handle) => handle.close(options).catch((err) => {
+            logger.warn(`Error closing ${handle.mode} ${handle.service}: ${err.message}`);
+        })));
+
+        await this.transport.close();
+        await this.node.destroy();
+        this.node = null;
+        this.transport = null;
+        logger.info('DHT node destroyed');
+    }
+
+    async destroy() {
+        await this.close({ gracePeriod: 0 });
     }
 }
 
 // Factory function to create relay instance
-async function createRelay() {
-    const relay = new DHTRelay();
+async function createRelay(options) {
+    const relay = new DHTRelay(options);
     await relay.initialize();
     return relay;
 }
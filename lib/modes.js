@@ -2,55 +2,229 @@ const Keychain = require('keypear');
 const DHT = require("@hyperswarm/dht");
 const bs58 = require('bs58').default;
 const { createRelay } = require('./dht-relay');
+const Allowlist = require('./utils/allowlist');
+const RelayGroup = require('./utils/relay-group');
+const { parsePortRange, rangePorts, formatPortRange } = require('./utils/ports');
+const { parseHost } = require('./utils/address');
+const { config, PROXY_PROTOCOLS } = require('./utils/config');
+
+// Shared relays by the hex public key of their client identity, or 'anonymous'
+// for the one servers and clients without an identity run on
+const sharedRelays = new Map();
 
 /**
  * Mode handlers for client and server operations
  */
 class ModeHandler {
+    /**
+     * Get the relay shared by every mode handler in this process with the same
+     * client identity, so that services on the same peer share one multiplexed
+     * DHT connection. Without an identity it is the anonymous relay, so a server
+     * never runs on a node that carries a client's identity.
+     * @param {Object} [options] - DHTRelay options; other than keyPair, used only when the relay is first created
+     * @returns {Promise<DHTRelay>} Initialized DHT relay
+     */
+    static async relay(options = {}) {
+        const key = options.keyPair ? options.keyPair.publicKey.toString('hex') : 'anonymous';
+        if (!sharedRelays.has(key)) {
+            const relay = createRelay(options);
+            sharedRelays.set(key, relay);
+            relay.catch(() => {
+                if (sharedRelays.get(key) === relay) sharedRelays.delete(key);
+            });
+        }
+        return sharedRelays.get(key);
+    }
+
+    /**
+     * Derive the DHT key a client connects to for a service
+     * @param {Object} settings - Client settings with proto, port, publicKey and sharedKey (default: true)
+     * @returns {Buffer} Public key of the service
+     */
+    static clientKey(settings) {
+        const { proto, port, publicKey, sharedKey = true } = settings;
+        // A shared key server announces its own key and picks the service per channel
+        if (sharedKey) return Buffer.from(bs58.decode(publicKey));
+        const keys = new Keychain(bs58.decode(publicKey));
+        return keys.get(ModeHandler.keyName(proto, port)).publicKey;
+    }
+
+    // Name a service's key is derived under; the proxies share one service without a port
+    static keyName(proto, port) {
+        return PROXY_PROTOCOLS.includes(proto) ? 'socks' : proto + formatPortRange(parsePortRange(port));
+    }
+
+    /**
+     * Start one relay, or a RelayGroup for a port range
+     * @param {string} proto - Protocol, used in the group's service name
+     * @param {Object} range - { start, end } ports
+     * @param {Function} create - Called with each port, resolves to its RelayHandle
+     * @returns {Promise<RelayHandle|RelayGroup>} Handle for closing the relay(s)
+     */
+    static async start(proto, range, create) {
+        if (range.start === range.end) return create(range.start);
+        return RelayGroup.start(rangePorts(range), `${proto}:${formatPortRange(range)}`, create);
+    }
+
     /**
      * Handle client mode operations
      * @param {Object} settings - Client settings
-     * @param {string} settings.proto - Protocol (tcp/udp/tcpudp)
-     * @param {number} settings.port - Remote port
+     * @param {string} settings.proto - Protocol (tcp/udp/tcpudp/socks/http-proxy)
+     * @param {number|string} settings.port - Remote port, or a range such as '27015-27030';
+     *   for a proxy the local port it listens on
      * @param {string} settings.publicKey - Base58 encoded public key
-     * @param {number} settings.localPort - Local port to bind
+     * @param {number|string} settings.localPort - Local port to bind, the first of the range for a range
+     * @param {number} settings.offset - Added to each remote port to get its local port when localPort is not set
+     * @param {boolean} settings.sharedKey - The server announces one key for all of its services (default: true)
+     * @param {string} settings.host - Local host to bind, '[::1]' style for IPv6, or unix:<path> for a Unix socket (default: 127.0.0.1)
+     * @param {string|number} settings.socketMode - Permissions of a Unix socket listener, e.g. '660'
+     * @param {Object} settings.reconnect - Reconnect backoff overrides (maxRetries, ...)
+     * @param {string} settings.identity - Secret for the client key servers can allowlist
+     * @param {Object} settings.rateLimit - { upload, download } bytes per second for this relay
+     * @param {number} settings.connectTimeout - Milliseconds to open the tunnel
+     * @param {number} settings.idleTimeout - Milliseconds without traffic before a connection closes
+     * @param {number} settings.maxConnections - Concurrent TCP connections, 0 = unlimited
+     * @param {number} settings.maxSessions - Concurrent UDP sessions, 0 = unlimited
+     * @param {number} settings.queueLimit - Datagrams per session waiting for a slow server, 0 = unlimited
+     * @param {string} settings.dropPolicy - 'drop-oldest' (default), 'drop-newest' or 'pause' when the queue is full
+     * @param {string} settings.udpMode - 'datagram' (default) or 'stream', how UDP packets cross the tunnel
+     * @param {boolean} settings.forwardAll - Forward every service in the server's manifest
+     *   instead of proto and port, each to its own port plus offset
+     * @returns {Promise<RelayHandle|RelayGroup>} Handle for closing the client
      */
     static async client(settings) {
-        const { proto, port, publicKey, localPort } = settings;
-        const keys = new Keychain(bs58.decode(publicKey));
-        const key = keys.get(proto + port).publicKey;
-        const rel = await createRelay();
-        return (rel)[proto].client(key, port, { localPort });
+        if (settings.forwardAll) return ModeHandler.forwardAll(settings);
+        const { proto, port, localPort, offset = 0, socketMode, reconnect, identity, rateLimit } = settings;
+        const host = parseHost(settings.host || '127.0.0.1');
+        const { connectTimeout, idleTimeout, maxConnections, maxSessions, queueLimit, dropPolicy, udpMode } = settings;
+        const key = ModeHandler.clientKey(settings);
+        const range = parsePortRange(port);
+        const localStart = localPort ? parsePortRange(localPort).start : range.start + Number(offset);
+        // Validates that the local range does not run past port 65535
+        parsePortRange(`${localStart}-${localStart + range.end - range.start}`);
+
+        const keyPair = identity ? DHT.keyPair(DHT.hash(Buffer.from(identity))) : undefined;
+        const rel = await (await ModeHandler.relay({ keyPair })).createRelay();
+        if (PROXY_PROTOCOLS.includes(proto)) {
+            return rel[proto].client(key, localStart, { host, socketMode, reconnect, rateLimit, connectTimeout, idleTimeout, maxConnections });
+        }
+        return ModeHandler.start(proto, range, (remotePort) => (rel)[proto].client(key, remotePort, {
+            localPort: localStart + remotePort - range.start,
+            host, socketMode, reconnect, rateLimit, connectTimeout, idleTimeout, maxConnections, maxSessions,
+            queueLimit, dropPolicy, udpMode
+        }));
+    }
+
+    /**
+     * Fetch the manifest of services a shared key server offers
+     * @param {string} publicKey - Base58 encoded server public key
+     * @param {Object} [options] - Shared relay options, e.g. the client identity keyPair
+     * @returns {Promise<Array<Object>>} Entries with protocol, port, label and description
+     */
+    static async services(publicKey, options) {
+        const relay = await ModeHandler.relay(options);
+        return relay.fetchManifest(Buffer.from(bs58.decode(publicKey)));
+    }
+
+    /**
+     * Start a client for every service in a server's manifest
+     * @param {Object} settings - Client settings as for client(), without proto and port
+     * @returns {Promise<RelayGroup>} Group of the started clients
+     */
+    static async forwardAll(settings) {
+        const keyPair = settings.identity ? DHT.keyPair(DHT.hash(Buffer.from(settings.identity))) : undefined;
+        const entries = await ModeHandler.services(settings.publicKey, { keyPair });
+        if (entries.length === 0) {
+            throw new Error('The server does not offer any services to this client');
+        }
+        return RelayGroup.start(entries, 'all', (entry) => ModeHandler.client({
+            ...settings,
+            forwardAll: false,
+            sharedKey: true,
+            proto: entry.protocol,
+            // A proxy listens on the default SOCKS port, shifted by offset like the others
+            port: entry.port ?? config.get('protocols.socks.port'),
+            localPort: undefined
+        }));
     }
 
     /**
      * Handle server mode operations
      * @param {Object} settings - Server settings
-     * @param {string} settings.proto - Protocol (tcp/udp/tcpudp)
-     * @param {number} settings.port - Port to expose
-     * @param {string} settings.host - Host to forward to (default: 127.0.0.1)
+     * @param {string} settings.proto - Protocol (tcp/udp/tcpudp/socks/http-proxy)
+     * @param {number|string} settings.port - Port to expose, or a range such as '27015-27030'
+     *   announced under a single key; not used for the proxies
+     * @param {string} settings.host - Host to forward to, '[::1]' style for IPv6, or unix:<path> for a Unix socket (default: 127.0.0.1)
      * @param {string} settings.secret - Secret for key derivation
      * @param {boolean} settings.showCommands - Whether to show connection commands
-     * @returns {Promise<string>} Base58 encoded public key for client connections
+     * @param {string} settings.label - Short name of the service in the manifest
+     * @param {string} settings.description - Description of the service in the manifest
+     * @param {boolean} settings.sharedKey - Announce the secret's key for every service, as the CLI and
+     *   options.json servers do (default: true); false derives one key per service, which clients
+     *   listing the secret's key do not see
+     * @param {Array<string>|string} settings.allowlist - Client keys allowed to connect, or a file listing them
+     * @param {Object} settings.targets - { hosts, ports } a proxy server may connect to, loopback only by default
+     * @param {Object} settings.rateLimit - { upload, download } bytes per second for this relay
+     * @param {number} settings.connectTimeout - Milliseconds to reach the target
+     * @param {number} settings.idleTimeout - Milliseconds without traffic before a connection closes
+     * @param {number} settings.maxConnections - Concurrent TCP connections, 0 = unlimited
+     * @param {number} settings.maxSessions - Concurrent UDP sessions, 0 = unlimited
+     * @param {number} settings.queueLimit - Datagrams per session waiting for a slow client, 0 = unlimited
+     * @param {string} settings.dropPolicy - 'drop-oldest' (default), 'drop-newest' or 'pause' when the queue is full
+     * @param {string} settings.udpMode - 'datagram' (default) or 'stream', how UDP packets cross the tunnel
+     * @returns {Promise<Object>} { publicKey, handle } - Base58 encoded public key for
+     *   client connections and the handle (or RelayGroup for a range) for closing the server
      */
     static async server(settings) {
-        const { proto, port, host, secret, showCommands = false } = settings;
+        const { proto, port, secret, allowlist, targets, rateLimit, label, description, sharedKey = true, showCommands = false } = settings;
+        const host = parseHost(settings.host || '127.0.0.1');
+        const { connectTimeout, idleTimeout, maxConnections, maxSessions, queueLimit, dropPolicy, udpMode } = settings;
         const hash = DHT.hash(Buffer.from(secret));
         const kp = DHT.keyPair(hash);
         const publicKey = bs58.encode(kp.publicKey);
         
         if (showCommands) {
-            console.log(`\n=== CLIENT CONNECTION COMMAND FOR ${proto.toUpperCase()}:${port} ===`);
-            console.log(`npx hyper-nat client -p ${port} --protocol ${proto} -k ${publicKey}`);
+            const proxy = PROXY_PROTOCOLS.includes(proto);
+            console.log(`\n=== CLIENT CONNECTION COMMAND FOR ${proto.toUpperCase()}${proxy ? '' : `:${port}`} ===`);
+            if (proxy) {
+                console.log(`npx hyper-nat client --socks ${config.get('protocols.socks.port')} -k ${publicKey}`);
+                console.log(`npx hyper-nat client --http-proxy ${config.get('protocols.http-proxy.port')} -k ${publicKey}`);
+            } else {
+                console.log(sharedKey
+                    ? `npx hyper-nat client -r ${port} --protocol ${proto} -k ${publicKey}`
+                    : `npx hyper-nat client -p ${port} --protocol ${proto} -k ${publicKey}`);
+            }
             console.log(`=== END COMMAND ===\n`);
         }
         
-        const rel = await createRelay();
-        const keys = new Keychain(kp);
-        const keyPair = keys.get(proto + port);
-        (rel)[proto].server(keyPair, port, host);
+        const rel = await (await ModeHandler.relay()).createRelay();
+        const keyPair = sharedKey ? kp : new Keychain(kp).get(ModeHandler.keyName(proto, port));
+        const options = {
+            allowlist: Allowlist.from(allowlist), rateLimit, label, description,
+            connectTimeout, idleTimeout, maxConnections, maxSessions, queueLimit, dropPolicy, udpMode
+        };
+        if (PROXY_PROTOCOLS.includes(proto)) {
+            return { publicKey, handle: await rel[proto].server(keyPair, { ...options, targets }) };
+        }
+        const range = parsePortRange(port);
+        const handle = await ModeHandler.start(proto, range, (targetPort) => (rel)[proto].server(keyPair, targetPort, host, options));
         
-        return publicKey;
+        return { publicKey, handle };
+    }
+
+    /**
+     * Gracefully close every relay started through the mode handlers and
+     * destroy the shared DHT nodes
+     * @param {Object} [options] - Close options
+     * @param {number} [options.gracePeriod] - Milliseconds to let live connections finish
+     */
+    static async shutdown(options = {}) {
+        const relays = [...sharedRelays.values()];
+        sharedRelays.clear();
+        await Promise.all(relays.map(async (pending) => {
+            const relay = await pending.catch(() => null);
+            if (relay) await relay.close(options);
+        }));
     }
 }
 
@@ -0,0 +1,236 @@
+const { Duplex } = require('stream');
+const { ErrorHandler } = require('../utils/error-handler');
+const TrafficStats = require('../utils/traffic-stats');
+const { TYPES, MAX_DATA_SIZE, MAX_DATAGRAM_SIZE, INITIAL_WINDOW, CREDIT_THRESHOLD, encodeCredit } = require('./messages');
+
+/**
+ * Multiplexed Channel
+ * A duplex stream carried over a MuxSession with credit based flow control.
+ * Each write of up to MAX_DATA_SIZE bytes arrives as exactly one chunk,
+ * so datagram boundaries are preserved. An optional throttle slows sending
+ * and holds back credit, so rate limits turn into backpressure. A peer that
+ * sends more than the credit it was given has the channel reset.
+ *
+ * A channel opened with { datagrams: true } may also send unreliable
+ * datagrams beside the stream, when the accepting peer agrees; they arrive
+ * as 'message' events rather than data.
+ */
+class Channel extends Duplex {
+    constructor(session, id, request = {}) {
+        super({ allowHalfOpen: false });
+        this.session = session;
+        this.id = id;
+        this.request = request;
+        this.opened = false;
+        this.credit = INITIAL_WINDOW;
+        this.window = INITIAL_WINDOW;  // bytes the peer may still send us
+        this.owed = 0;
+        this.pending = null;
+        this.pendingFinal = null;
+        this.localEnded = false;
+        this.remoteEnded = false;
+        this.remoteClosed = false;
+        this.stats = new TrafficStats();
+        this.throttle = null;
+        this.datagrams = false;
+        this.flushTimer = null;
+        this.grantTimer = null;
+    }
+
+    get remotePublicKey() {
+        return this.session.remotePublicKey;
+    }
+
+    /**
+     * Accept an incoming channel
+     * @param {Object} [options] - Options to open with
+     * @param {boolean} [options.datagrams] - Send datagrams unreliably, if the opener asked to
+     *   and the connection can
+     */
+    accept(options = {}) {
+        if (this.opened || this.destroyed) return;
+        if (options.datagrams && this.request.datagrams && this.session.datagrams) {
+            this.datagrams = true;
+            this.session.send(TYPES.ACCEPT, this.id, Buffer.from(JSON.stringify({ datagrams: true })));
+        } else {
+            this.session.send(TYPES.ACCEPT, this.id);
+        }
+        this._onopen();
+    }
+
+    reject(reason = 'rejected') {
+        if (this.opened || this.destroyed) return;
+        this.session.send(TYPES.REJECT, this.id, Buffer.from(String(reason)));
+        this.remoteClosed = true;
+        this.destroy();
+    }
+
+    /**
+     * Send one datagram: unreliably if the channel opened with datagrams and it fits
+     * one packet, otherwise as a message on the stream
+     * @param {Buffer} datagram - Datagram to send
+     */
+    sendDatagram(datagram) {
+        if (!this.datagrams || datagram.length > MAX_DATAGRAM_SIZE) {
+            this.write(datagram);
+            return;
+        }
+        if (this.destroyed || !this.opened) return;
+        this.session.sendDatagram(this.id, datagram);
+        this.stats.recordOut(datagram.length);
+    }
+
+    _ondatagram(payload) {
+        if (!this.datagrams || this.destroyed) return;
+        this.stats.recordIn(payload.length);
+        this.emit('message', payload);
+    }
+
+    _write(chunk, encoding, callback) {
+        this.pending = { chunk, offset: 0, callback };
+        this._flush();
+    }
+
+    _final(callback) {
+        if (!this.opened) {
+            this.pendingFinal = callback;
+            return;
+        }
+        this.localEnded = true;
+        this.session.send(TYPES.END, this.id);
+        callback();
+    }
+
+    _read() {
+        this._grant();
+    }
+
+    _destroy(err, callback) {
+        // Once our END is sent, a plain destroy only stops reading; the peer
+        // still finishes its half normally, so there is nothing to reset
+        const clean = this.localEnded && (this.remoteEnded || !err);
+        if (!clean && !this.remoteClosed) {
+            this.session.send(TYPES.RESET, this.id, Buffer.from(err ? err.message : 'closed'));
+        }
+        this.session.removeChannel(this);
+        clearTimeout(this.flushTimer);
+        clearTimeout(this.grantTimer);
+        if (this.pending) {
+            const { callback: writeCallback } = this.pending;
+            this.pending = null;
+            writeCallback(err || ErrorHandler.createConnectionError('Channel closed', 'channel'));
+        }
+        callback(err);
+    }
+
+    // Send as much of the pending write as the peer's window allows
+    _flush() {
+        if (!this.pending || !this.opened || this.destroyed) return;
+
+        const { chunk } = this.pending;
+        while (this.pending.offset < chunk.length) {
+            const size = Math.min(chunk.length - this.pending.offset, MAX_DATA_SIZE);
+            if (this.credit < size) return;
+            if (this.throttle) {
+                const wait = this.throttle.delay('upload');
+                if (wait > 0) {
+                    if (!this.flushTimer) {
+                        this.flushTimer = setTimeout(() => { this.flushTimer = null; this._flush(); }, wait);
+                    }
+                    return;
+                }
+                this.throttle.consume('upload', size);
+            }
+
+            this.session.send(TYPES.DATA, this.id, chunk.subarray(this.pending.offset, this.pending.offset + size));
+            this.credit -= size;
+            this.pending.offset += size;
+            this.stats.recordOut(size);
+        }
+
+        const { callback } = this.pending;
+        this.pending = null;
+        callback();
+    }
+
+    _grant(threshold = CREDIT_THRESHOLD) {
+        if (this.owed < threshold || this.destroyed) return;
+        // Withholding credit while over the download limit stalls the sender
+        if (this.throttle) {
+            const wait = this.throttle.delay('download');
+            if (wait > 0) {
+                if (!this.grantTimer) {
+                    this.grantTimer = setTimeout(() => { this.grantTimer = null; this._grant(threshold); }, wait);
+                }
+                return;
+            }
+        }
+        this.session.send(TYPES.CREDIT, this.id, encodeCredit(this.owed));
+        this.window += this.owed;
+        this.owed = 0;
+    }
+
+    _onopen() {
+        this.opened = true;
+        this.emit('open');
+        this._flush();
+        if (this.pendingFinal) {
+            const callback = this.pendingFinal;
+            this.pendingFinal = null;
+            this._final(callback);
+        }
+    }
+
+    _onmessage(type, payload) {
+        switch (type) {
+            case TYPES.ACCEPT:
+                if (this.opened) break;
+                // Peers that do not know datagrams accept with no options
+                if (payload.length) {
+                    try {
+                        this.datagrams = JSON.parse(payload.toString()).datagrams === true && this.session.datagrams;
+                    } catch (_) {
+                        this.datagrams = false;
+                    }
+                }
+                this._onopen();
+                break;
+            case TYPES.REJECT:
+                this.remoteClosed = true;
+                this.destroy(ErrorHandler.createConnectionError(
+                    `Channel rejected: ${payload.toString()}`, 'channel', { service: this.request.service }
+                ));
+                break;
+            case TYPES.DATA:
+                // A peer that ignores our window could make us buffer without bound
+                if (payload.length > this.window) {
+                    this.destroy(ErrorHandler.createProtocolError(
+                        `Peer sent ${payload.length} bytes with a window of ${this.window}`, 'mux', 'data'
+                    ));
+                    break;
+                }
+                this.window -= payload.length;
+                this.owed += payload.length;
+                this.stats.recordIn(payload.length);
+                if (this.throttle) this.throttle.consume('download', payload.length);
+                if (this.push(payload)) this._grant();
+                break;
+            case TYPES.CREDIT:
+                if (payload.length >= 4) this.credit += payload.readUInt32BE(0);
+                this._flush();
+                break;
+            case TYPES.END:
+                this.remoteEnded = true;
+                this.push(null);
+                break;
+            case TYPES.RESET:
+                this.remoteClosed = true;
+                this.destroy(ErrorHandler.createConnectionError(
+                    `Channel reset by peer: ${payload.toString()}`, 'channel'
+                ));
+                break;
+        }
+    }
+}
+
+module.exports = Channel;
@@ -0,0 +1,121 @@
+const { performance } = require('perf_hooks');
+const { TYPES } = require('./messages');
+const { ErrorHandler } = require('../utils/error-handler');
+const { config } = require('../utils/config');
+
+const CONTROL_CHANNEL = 0;     // no channel is ever given id 0
+const UNANSWERED_GRACE = 10;   // times the misses a peer that never answered may stay silent
+
+function closed() {
+    return ErrorHandler.createConnectionError('Peer connection closed', 'mux');
+}
+
+/**
+ * Session Heartbeat
+ * Pings the peer every interval and times the pong that echoes each ping,
+ * keeping a smoothed round-trip time. A peer that sends nothing at all,
+ * pongs included, for `misses` intervals in a row is taken for gone, as a
+ * sleeping laptop or an expired NAT mapping would be, and its session is
+ * destroyed. A peer that has never answered a ping may predate heartbeats
+ * and only be idle, so it gets UNANSWERED_GRACE times as many misses.
+ */
+class Heartbeat {
+    /**
+     * @param {MuxSession} session - Session to keep alive
+     * @param {Object} [options] - Heartbeat options
+     * @param {number} [options.interval] - Milliseconds between pings, 0 = no heartbeat
+     * @param {number} [options.misses] - Silent intervals in a row before the peer counts as dead
+     */
+    constructor(session, options = {}) {
+        this.session = session;
+        this.interval = options.interval ?? config.get('heartbeat.interval');
+        this.misses = options.misses ?? config.get('heartbeat.misses');
+        this.rtt = null;
+        this.waiting = new Map();      // send time -> { resolve, reject } of a ping() call
+        this.answered = false;
+        this.heard = true;
+        this.missed = 0;
+        this.timer = null;
+    }
+
+    start() {
+        if (!this.interval || this.timer) return this;
+        this.timer = setInterval(() => this._beat(), this.interval);
+        this.timer.unref();
+        this._ping();
+        return this;
+    }
+
+    // Pongs stop with the session, so pings still waiting for one fail
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        for (const { reject } of this.waiting.values()) reject(closed());
+        this.waiting.clear();
+    }
+
+    /**
+     * Time one round trip on demand, besides the regular pings
+     * @returns {Promise<number>} Milliseconds, once the pong arrives; pongs may never come,
+     *   and the ping fails with a ConnectionError if the session closes first
+     */
+    ping() {
+        if (this.session.destroyed) return Promise.reject(closed());
+        return new Promise((resolve, reject) => {
+            this.waiting.set(this._ping(), { resolve, reject });
+        });
+    }
+
+    // Anything from the peer shows it is alive
+    touch() {
+        this.heard = true;
+    }
+
+    /**
+     * Handle a heartbeat message
+     * @param {number} type - TYPES.PING or TYPES.PONG
+     * @param {Buffer} payload - Send time the pong echoes
+     */
+    receive(type, payload) {
+        this.answered = true;
+        if (type === TYPES.PING) {
+            this.session.send(TYPES.PONG, CONTROL_CHANNEL, payload);
+        } else if (payload.length === 8) {
+            const sentAt = payload.readDoubleBE(0);
+            const rtt = performance.now() - sentAt;
+            this._sample(rtt);
+            const waiting = this.waiting.get(sentAt);
+            this.waiting.delete(sentAt);
+            if (waiting) waiting.resolve(rtt);
+        }
+    }
+
+    _beat() {
+        this.missed = this.heard ? 0 : this.missed + 1;
+        this.heard = false;
+        const misses = this.answered ? this.misses : this.misses * UNANSWERED_GRACE;
+        if (misses && this.missed >= misses) {
+            const silence = this.interval * this.missed;
+            this.stop();
+            this.session.destroy(ErrorHandler.createTimeoutError(`Peer sent nothing for ${silence}ms, missing ${this.missed} heartbeats`, silence));
+            return;
+        }
+        this._ping();
+    }
+
+    // Only we read the send time back, so it comes from our monotonic clock
+    _ping() {
+        const sentAt = performance.now();
+        const payload = Buffer.allocUnsafe(8);
+        payload.writeDoubleBE(sentAt, 0);
+        this.session.send(TYPES.PING, CONTROL_CHANNEL, payload);
+        return sentAt;
+    }
+
+    _sample(rtt) {
+        if (rtt < 0) return;
+        this.rtt = this.rtt === null ? rtt : 0.875 * this.rtt + 0.125 * rtt;
+    }
+}
+
+module.exports = { Heartbeat, CONTROL_CHANNEL, UNANSWERED_GRACE };
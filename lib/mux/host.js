@@ -0,0 +1,187 @@
+const MuxSession = require('./session');
+const { formatPortRange } = require('../utils/ports');
+const { ErrorHandler } = require('../utils/error-handler');
+const { logger } = require('../utils/logger');
+
+// Reserved service answering with the manifest of the services a peer may use
+const MANIFEST_SERVICE = 'manifest';
+
+/**
+ * Mux Host
+ * One DHT server for a key pair, shared by every service exposed under it.
+ * Peers are checked against the services' allowlists during the DHT
+ * handshake, and again for every channel they open.
+ */
+class MuxHost {
+    constructor(dhtNode, keyPair) {
+        this.keyPair = keyPair;
+        this.services = new Map();
+        this.sessions = new Set();
+        this.registrations = 0;
+        this.recheck = this.recheck.bind(this);
+        this.server = dhtNode.createServer({
+            reusableSocket: true,
+            // Returning true rejects the peer before the connection is established
+            firewall: (remotePublicKey) => this._firewall(remotePublicKey)
+        });
+        this.server.on('connection', (socket) => this._onconnection(socket));
+    }
+
+    async listen() {
+        await this.server.listen(this.keyPair);
+        return this;
+    }
+
+    /**
+     * Expose a service
+     * @param {string} service - Service name, e.g. 'tcp:3000'
+     * @param {Function} handler - Called with (channel, request, session) for each open; one that
+     *   throws or rejects has its channel rejected, or reset if it was accepted
+     * @param {Object} [options] - Service options
+     * @param {Allowlist} [options.allowlist] - Client keys allowed to use the service; anyone if omitted
+     * @param {string} [options.label] - Short name shown in the manifest, e.g. 'Minecraft'
+     * @param {string} [options.description] - Longer text shown in the manifest
+     * @param {boolean} [options.hidden] - Leave the service out of the manifest, for services
+     *   that clients do not forward, such as reverse tunnels
+     * @returns {Object} Service entry, used to remove it again
+     */
+    add(service, handler, options = {}) {
+        if (this.services.has(service)) {
+            throw ErrorHandler.createConfigurationError(`Service ${service} is already exposed`, 'service', service);
+        }
+        const allowlist = options.allowlist || null;
+        const entry = {
+            service, handler, allowlist, hidden: !!options.hidden,
+            label: options.label || null, description: options.description || null
+        };
+        this.services.set(service, entry);
+        if (allowlist) allowlist.on('change', this.recheck);
+        return entry;
+    }
+
+    remove(entry) {
+        if (this.services.get(entry.service) !== entry) return;
+        this.services.delete(entry.service);
+        if (entry.allowlist) entry.allowlist.off('change', this.recheck);
+    }
+
+    // A peer may connect if at least one service on this key would accept it
+    permits(publicKey) {
+        for (const entry of this.services.values()) {
+            if (!entry.allowlist || entry.allowlist.allows(publicKey)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Describe the services a peer may use, merging consecutive ports with the
+     * same protocol, label and description into ranges
+     * @param {Buffer} publicKey - Remote peer public key
+     * @returns {Array<Object>} Entries with protocol, port (number, 'start-end', or null for a
+     *   service without a port such as a SOCKS proxy), label and description
+     */
+    manifest(publicKey) {
+        const items = [...this.services.values()]
+            .filter((entry) => !entry.hidden && (!entry.allowlist || entry.allowlist.allows(publicKey)))
+            .map(({ service, label, description }) => {
+                const [protocol, port] = service.split(':');
+                const start = port === undefined ? null : parseInt(port, 10);
+                return { protocol, start, end: start, label, description };
+            })
+            .sort((a, b) => a.protocol.localeCompare(b.protocol) || a.start - b.start);
+
+        const ranges = [];
+        for (const item of items) {
+            const last = ranges[ranges.length - 1];
+            if (last && last.protocol === item.protocol && last.label === item.label &&
+                last.description === item.description && item.start !== null && last.end === item.start - 1) {
+                last.end = item.start;
+            } else {
+                ranges.push(item);
+            }
+        }
+        return ranges.map(({ protocol, start, end, label, description }) => ({
+            protocol,
+            port: start === end ? start : formatPortRange({ start, end }),
+            label,
+            description
+        }));
+    }
+
+    /**
+     * Drop peers and channels that an allowlist change no longer permits
+     */
+    recheck() {
+        for (const session of this.sessions) {
+            if (!this.permits(session.remotePublicKey)) {
+                logger.warn(`Disconnecting peer ${session.remoteKey.slice(0, 16)}: no longer on the allowlist`);
+                session.destroy(ErrorHandler.createConnectionError('Removed from allowlist', 'mux'));
+                continue;
+            }
+            for (const channel of session.channels.values()) {
+                const entry = this.services.get(channel.request.service);
+                if (entry && entry.allowlist && !entry.allowlist.allows(session.remotePublicKey)) {
+                    logger.warn(`Closing ${entry.service} channel of peer ${session.remoteKey.slice(0, 16)}: no longer on the allowlist`);
+                    channel.destroy();
+                }
+            }
+        }
+    }
+
+    async close() {
+        for (const entry of this.services.values()) this.remove(entry);
+        await this.server.close();
+        for (const session of this.sessions) session.destroy();
+    }
+
+    _firewall(remotePublicKey) {
+        if (this.permits(remotePublicKey)) return false;
+        logger.warn(`Rejected peer ${remotePublicKey.toString('hex').slice(0, 16)}: not on the allowlist`);
+        return true;
+    }
+
+    _onconnection(socket) {
+        const session = new MuxSession(socket, { initiator: false });
+        logger.info(`New peer connection from ${session.remoteKey.slice(0, 16)}`);
+        this.sessions.add(session);
+        session.on('close', (err) => {
+            this.sessions.delete(session);
+            if (err && err.code === 'TIMEOUT_ERROR') logger.warn(`Dropped peer ${session.remoteKey.slice(0, 16)}: ${err.message}`);
+        });
+        session.on('channel', (channel, request) => {
+            if (request.service === MANIFEST_SERVICE) {
+                channel.on('error', () => {});
+                channel.accept();
+                channel.end(JSON.stringify(this.manifest(session.remotePublicKey)));
+                return;
+            }
+            const entry = this.services.get(request.service);
+            if (!entry) {
+                logger.warn(`Rejected channel for unknown service ${request.service}`);
+                channel.reject(`Unknown service ${request.service}`);
+                return;
+            }
+            if (entry.allowlist && !entry.allowlist.allows(session.remotePublicKey)) {
+                logger.warn(`Rejected ${request.service} channel from peer ${session.remoteKey.slice(0, 16)}: not on the allowlist`);
+                channel.reject(`Not allowed to use ${request.service}`);
+                return;
+            }
+            // A probe only asks whether the service is offered to this peer
+            if (request.probe) {
+                channel.on('error', () => {});
+                channel.accept();
+                return;
+            }
+            // A handler that fails resets its channel rather than the process
+            new Promise((resolve) => resolve(entry.handler(channel, request, session))).catch((err) => {
+                ErrorHandler.handle(err, `${request.service} channel`);
+                if (channel.opened) channel.destroy();
+                else channel.reject(err.message);
+            });
+        });
+    }
+}
+
+MuxHost.MANIFEST_SERVICE = MANIFEST_SERVICE;
+
+module.exports = MuxHost;
@@ -0,0 +1,76 @@
+/**
+ * Multiplexer Wire Messages
+ * Every message is [type u8][channel u32][payload] inside a length-prefixed frame.
+ * Channels that agree to it when they open may also send datagrams outside the
+ * stream, as [channel u32][payload] in the connection's unreliable UDX messages.
+ */
+
+const TYPES = {
+    OPEN: 1,      // payload: JSON request naming the service
+    ACCEPT: 2,    // payload: optional JSON options the channel opens with, e.g. { datagrams: true }
+    REJECT: 3,    // payload: utf8 reason
+    DATA: 4,
+    CREDIT: 5,    // payload: u32 bytes the receiver may accept
+    END: 6,       // sender has no more data for this channel
+    RESET: 7,     // payload: utf8 reason, channel aborted
+    PING: 8,      // channel 0, payload: f64 send time on the sender's clock
+    PONG: 9       // channel 0, payload: the ping's send time, echoed
+};
+
+const MESSAGE_HEADER_SIZE = 5;
+const MAX_DATA_SIZE = 65536;
+const MAX_MESSAGE_SIZE = MAX_DATA_SIZE + MESSAGE_HEADER_SIZE;
+const INITIAL_WINDOW = 256 * 1024;
+const CREDIT_THRESHOLD = 64 * 1024;
+const DATAGRAM_HEADER_SIZE = 4;
+const MAX_DATAGRAM_SIZE = 1200;   // larger datagrams go on the stream rather than risk fragmenting
+
+const EMPTY = Buffer.alloc(0);
+
+function encodeMessage(type, channel, payload = EMPTY) {
+    const header = Buffer.allocUnsafe(MESSAGE_HEADER_SIZE);
+    header.writeUInt8(type, 0);
+    header.writeUInt32BE(channel, 1);
+    return payload.length ? Buffer.concat([header, payload]) : header;
+}
+
+function decodeMessage(buffer) {
+    if (buffer.length < MESSAGE_HEADER_SIZE) return null;
+    return {
+        type: buffer.readUInt8(0),
+        channel: buffer.readUInt32BE(1),
+        payload: buffer.subarray(MESSAGE_HEADER_SIZE)
+    };
+}
+
+function encodeDatagram(channel, payload) {
+    const header = Buffer.allocUnsafe(DATAGRAM_HEADER_SIZE);
+    header.writeUInt32BE(channel, 0);
+    return Buffer.concat([header, payload]);
+}
+
+function decodeDatagram(buffer) {
+    if (buffer.length < DATAGRAM_HEADER_SIZE) return null;
+    return { channel: buffer.readUInt32BE(0), payload: buffer.subarray(DATAGRAM_HEADER_SIZE) };
+}
+
+function encodeCredit(bytes) {
+    const payload = Buffer.allocUnsafe(4);
+    payload.writeUInt32BE(bytes, 0);
+    return payload;
+}
+
+module.exports = {
+    TYPES,
+    MESSAGE_HEADER_SIZE,
+    MAX_DATA_SIZE,
+    MAX_MESSAGE_SIZE,
+    INITIAL_WINDOW,
+    CREDIT_THRESHOLD,
+    MAX_DATAGRAM_SIZE,
+    encodeMessage,
+    decodeMessage,
+    encodeDatagram,
+    decodeDatagram,
+    encodeCredit
+};
@@ -0,0 +1,170 @@
+const { EventEmitter } = require('events');
+const pump = require("pump");
+const Channel = require('./channel');
+const { Heartbeat } = require('./heartbeat');
+const { TYPES, MAX_MESSAGE_SIZE, encodeMessage, decodeMessage, encodeDatagram, decodeDatagram } = require('./messages');
+const { encodeFrame, FrameDecoder } = require('../utils/framing');
+const { ErrorHandler } = require('../utils/error-handler');
+const { logger } = require('../utils/logger');
+
+/**
+ * Multiplexer Session
+ * Carries many logical channels over one encrypted DHT connection.
+ * The initiating side allocates odd channel ids, the responder even ones.
+ * Connections over UDX also carry unreliable datagrams for their channels.
+ * A heartbeat times round trips and destroys the session if the peer goes silent.
+ */
+class MuxSession extends EventEmitter {
+    /**
+     * @param {Object} socket - Encrypted DHT connection
+     * @param {Object} [options] - Session options
+     * @param {boolean} [options.initiator] - Whether we opened the connection
+     * @param {Object} [options.heartbeat] - { interval, misses } overriding the configured heartbeat
+     */
+    constructor(socket, options = {}) {
+        super();
+        this.socket = socket;
+        this.initiator = !!options.initiator;
+        this.remotePublicKey = socket.remotePublicKey;
+        this.channels = new Map();
+        this.nextId = this.initiator ? 1 : 2;
+        this.destroyed = false;
+        // Encrypted UDX connections can send messages outside the stream
+        this.datagrams = typeof socket.trySend === 'function';
+        if (this.datagrams) socket.on('message', (message) => this._ondatagram(message));
+
+        const decoder = new FrameDecoder({ maxFrameSize: MAX_MESSAGE_SIZE });
+        decoder.on('data', (frame) => this._onframe(frame));
+        this.heartbeat = new Heartbeat(this, options.heartbeat);
+        pump(socket, decoder, (err) => this.destroy(err));
+        this.heartbeat.start();
+    }
+
+    // Smoothed heartbeat round trip in milliseconds, null until the peer answers one
+    get rtt() {
+        return this.heartbeat.rtt === null ? null : Math.round(this.heartbeat.rtt);
+    }
+
+    get remoteKey() {
+        return this.remotePublicKey ? this.remotePublicKey.toString('hex') : 'unknown';
+    }
+
+    /**
+     * Time one round trip to the peer
+     * @returns {Promise<number>} Milliseconds; a peer that predates heartbeats never answers,
+     *   so it fails with a ConnectionError once the session closes
+     */
+    ping() {
+        return this.heartbeat.ping();
+    }
+
+    /**
+     * Open a channel to the remote peer
+     * @param {Object} request - Open request, must name a service
+     * @returns {Channel} Channel which emits 'open' once the peer accepts
+     */
+    openChannel(request) {
+        if (this.destroyed) {
+            throw ErrorHandler.createConnectionError('Peer connection is closed', 'mux');
+        }
+        // Once the ids have wrapped, skip those still held by live channels
+        let id;
+        do {
+            id = this.nextId;
+            this.nextId += 2;
+            if (this.nextId > 0xffffffff) this.nextId = this.initiator ? 1 : 2;
+        } while (this.channels.has(id));
+        const channel = new Channel(this, id, request);
+        this.channels.set(id, channel);
+        this.send(TYPES.OPEN, id, Buffer.from(JSON.stringify(request)));
+        return channel;
+    }
+
+    send(type, id, payload) {
+        if (this.destroyed || this.socket.destroyed) return false;
+        return this.socket.write(encodeFrame(encodeMessage(type, id, payload), MAX_MESSAGE_SIZE));
+    }
+
+    sendDatagram(id, payload) {
+        if (this.destroyed || this.socket.destroyed) return;
+        this.socket.trySend(encodeDatagram(id, payload));
+    }
+
+    removeChannel(channel) {
+        if (this.channels.get(channel.id) === channel) {
+            this.channels.delete(channel.id);
+        }
+    }
+
+    _onframe(frame) {
+        const message = decodeMessage(frame);
+        if (!message) return;
+        this.heartbeat.touch();
+
+        if (message.type === TYPES.PING || message.type === TYPES.PONG) {
+            this.heartbeat.receive(message.type, message.payload);
+            return;
+        }
+        if (message.type === TYPES.OPEN) {
+            this._onopen(message.channel, message.payload);
+            return;
+        }
+
+        // Frames for channels that already closed locally are dropped
+        const channel = this.channels.get(message.channel);
+        if (channel) channel._onmessage(message.type, message.payload);
+    }
+
+    _ondatagram(message) {
+        const datagram = decodeDatagram(message);
+        if (!datagram) return;
+        this.heartbeat.touch();
+        const channel = this.channels.get(datagram.channel);
+        if (channel) channel._ondatagram(datagram.payload);
+    }
+
+    _onopen(id, payload) {
+        let request;
+        try {
+            request = JSON.parse(payload.toString());
+        } catch (_) {
+            request = null;
+        }
+
+        if (!request || this.channels.has(id)) {
+            this.destroy(ErrorHandler.createProtocolError(`Invalid open request for channel ${id}`, 'mux', 'open'));
+            return;
+        }
+
+        const channel = new Channel(this, id, request);
+        this.channels.set(id, channel);
+        if (this.listenerCount('channel') === 0) {
+            channel.reject('Peer does not accept channels');
+            return;
+        }
+        this.emit('channel', channel, request);
+    }
+
+    destroy(err) {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        this.heartbeat.stop();
+
+        if (err && err.code === 'PROTOCOL_ERROR') {
+            ErrorHandler.handle(err, 'Mux session');
+        } else if (err) {
+            logger.debug(`Mux session with ${this.remoteKey.slice(0, 16)} closed: ${err.message}`);
+        }
+
+        const reason = ErrorHandler.createConnectionError('Peer connection closed', 'mux');
+        for (const channel of [...this.channels.values()]) {
+            channel.remoteClosed = true;
+            channel.destroy(reason);
+        }
+        this.channels.clear();
+        this.socket.destroy();
+        this.emit('close', err || null);
+    }
+}
+
+module.exports = MuxSession;
@@ -0,0 +1,273 @@
+const { EventEmitter } = require('events');
+const MuxSession = require('./session');
+const MuxHost = require('./host');
+const Backoff = require('../utils/backoff');
+const { ErrorHandler } = require('../utils/error-handler');
+const { logger } = require('../utils/logger');
+
+/**
+ * Mux Transport
+ * Shares one DHT connection per remote peer between all client relays, and
+ * one DHT server per key pair between all services exposed under that key.
+ * Lost client connections are re-established with exponential backoff.
+ * A remote peer may open channels back over our connection to it, for the
+ * services accepted from that peer, as the server of a reverse tunnel does.
+ *
+ * Events: 'reconnecting', 'reconnected', 'reconnect-failed'
+ */
+class MuxTransport extends EventEmitter {
+    constructor(dhtNode) {
+        super();
+        this.node = dhtNode;
+        this.peers = new Map();
+        this.hosts = new Map();
+        this.accepted = new Map();
+        this.closing = false;
+    }
+
+    /**
+     * Get the shared session to a remote peer, connecting if needed
+     * @param {Buffer} publicKey - Remote peer public key
+     * @param {Object} [options] - Options for the first connection to this peer
+     * @param {Object} [options.reconnect] - Backoff overrides (maxRetries, initialDelay, ...)
+     * @returns {Promise<MuxSession>} Open session
+     */
+    connect(publicKey, options = {}) {
+        const key = publicKey.toString('hex');
+        let peer = this.peers.get(key);
+        if (!peer) {
+            peer = { key, publicKey, reconnect: options.reconnect || {}, session: null, connecting: null, timer: null, wake: null };
+            this.peers.set(key, peer);
+        }
+
+        if (peer.session) return Promise.resolve(peer.session);
+        if (!peer.connecting) {
+            peer.connecting = this._open(peer);
+            peer.connecting.catch(() => { peer.connecting = null; });
+        }
+        return peer.connecting;
+    }
+
+    /**
+     * The open session to a remote peer, without connecting
+     * @param {Buffer} publicKey - Remote peer public key
+     * @returns {MuxSession|null} Session, or null while disconnected
+     */
+    session(publicKey) {
+        const peer = this.peers.get(publicKey.toString('hex'));
+        return peer ? peer.session : null;
+    }
+
+    /**
+     * Ask a remote peer whether it offers a service, connecting if needed
+     * @param {Buffer} publicKey - Remote peer public key
+     * @param {string} service - Service name, e.g. 'udp:3000'
+     * @param {Object} [options] - Options for the first connection to this peer, see connect()
+     * @returns {Promise<void>} Rejects with the server's reason if the service is not offered
+     */
+    async probe(publicKey, service, options = {}) {
+        const session = await this.connect(publicKey, options);
+        const channel = session.openChannel({ service, probe: true });
+        await new Promise((resolve, reject) => {
+            channel.once('open', resolve);
+            channel.once('error', reject);
+            channel.once('close', () => reject(ErrorHandler.createConnectionError(`Probe for ${service} closed`, 'channel')));
+        });
+        channel.destroy();
+    }
+
+    /**
+     * Fetch the services a remote peer offers us
+     * @param {Buffer} publicKey - Remote peer public key
+     * @returns {Promise<Array<Object>>} Manifest entries with protocol, port, label and description
+     */
+    async manifest(publicKey) {
+        const session = await this.connect(publicKey);
+        const channel = session.openChannel({ service: MuxHost.MANIFEST_SERVICE });
+        const chunks = [];
+        await new Promise((resolve, reject) => {
+            channel.on('data', (chunk) => chunks.push(chunk));
+            channel.once('end', resolve);
+            channel.once('error', reject);
+        });
+        channel.destroy();
+        try {
+            return JSON.parse(Buffer.concat(chunks).toString());
+        } catch (err) {
+            throw ErrorHandler.createProtocolError(`Invalid service manifest: ${err.message}`, 'mux', 'manifest');
+        }
+    }
+
+    /**
+     * Open a channel to a service on a remote peer
+     * @param {Buffer} publicKey - Remote peer public key
+     * @param {Object} request - Open request, e.g. { service: 'tcp:3000' }
+     * @returns {Promise<Channel>} Channel, which emits 'open' when accepted
+     */
+    async openChannel(publicKey, request) {
+        const session = await this.connect(publicKey);
+        return session.openChannel(request);
+    }
+
+    /**
+     * Accept channels for a service that a remote peer opens over our connection to it
+     * @param {Buffer} publicKey - Remote peer public key
+     * @param {string} service - Service name, e.g. 'reverse:8080'
+     * @param {Function} handler - Called with (channel, request, session) for each open
+     * @returns {Function} Stops accepting the service
+     */
+    accept(publicKey, service, handler) {
+        const key = publicKey.toString('hex');
+        if (!this.accepted.has(key)) this.accepted.set(key, new Map());
+        const services = this.accepted.get(key);
+        if (services.has(service)) {
+            throw ErrorHandler.createConfigurationError(`Service ${service} is already accepted from ${key.slice(0, 16)}`, 'service', service);
+        }
+        services.set(service, handler);
+        return () => {
+            if (services.get(service) !== handler) return;
+            services.delete(service);
+            if (services.size === 0) this.accepted.delete(key);
+        };
+    }
+
+    /**
+     * Expose a service under a key pair
+     * @param {Object} keyPair - Server key pair
+     * @param {string} service - Service name, e.g. 'udp:3000'
+     * @param {Function} handler - Called with (channel, request, session) for each open
+     * @param {Object} [options] - Service options
+     * @param {Allowlist} [options.allowlist] - Client keys allowed to use the service
+     * @param {string} [options.label] - Short name shown in the manifest
+     * @param {string} [options.description] - Longer text shown in the manifest
+     * @param {boolean} [options.hidden] - Leave the service out of the manifest
+     * @returns {Promise<Object>} Registration with stop() and close() methods
+     */
+    async listen(keyPair, service, handler, options = {}) {
+        const key = keyPair.publicKey.toString('hex');
+        if (!this.hosts.has(key)) {
+            const hosting = new MuxHost(this.node, keyPair).listen();
+            this.hosts.set(key, hosting);
+            hosting.catch(() => this.hosts.delete(key));
+        }
+        const ready = this.hosts.get(key);
+        const host = await ready;
+
+        const entry = host.add(service, handler, options);
+        host.registrations++;
+        logger.debug(`Exposed service ${service} under ${key.slice(0, 16)}${options.allowlist ? ` for ${options.allowlist.size} allowed client(s)` : ''}`);
+
+        // stop() refuses new channels for the service; close() also unannounces
+        // the key once every service registered under it is closed, so services
+        // that stopped but are still draining keep their peer connections
+        const stop = () => host.remove(entry);
+        let closed = false;
+        return {
+            service,
+            server: host.server,
+            stop,
+            close: async () => {
+                stop();
+                if (closed) return;
+                closed = true;
+                if (--host.registrations === 0 && this.hosts.get(key) === ready) {
+                    this.hosts.delete(key);
+                    await host.close();
+                }
+            }
+        };
+    }
+
+    /**
+     * Unannounce every server and close every peer connection
+     */
+    async close() {
+        this.closing = true;
+        for (const peer of this.peers.values()) {
+            clearTimeout(peer.timer);
+            if (peer.wake) peer.wake();
+            if (peer.session) peer.session.destroy();
+        }
+        this.peers.clear();
+
+        const hosts = await Promise.allSettled([...this.hosts.values()]);
+        this.hosts.clear();
+        await Promise.all(hosts.filter((result) => result.status === 'fulfilled').map(({ value: host }) => host.close()));
+    }
+
+    async _open(peer) {
+        const socket = this.node.connect(peer.publicKey, { reusableSocket: true });
+
+        await new Promise((resolve, reject) => {
+            socket.once('open', resolve);
+            socket.once('error', reject);
+        });
+
+        logger.info(`DHT connection established to ${peer.key.slice(0, 16)}`);
+        const session = new MuxSession(socket, { initiator: true });
+        peer.session = session;
+        peer.connecting = null;
+        session.on('channel', (channel, request) => this._onchannel(peer, channel, request, session));
+        session.on('close', (err) => {
+            peer.session = null;
+            if (this.closing) return;
+            logger.warn(`DHT connection to ${peer.key.slice(0, 16)} lost${err ? `: ${err.message}` : ''}`);
+            peer.connecting = this._reconnect(peer, err);
+            peer.connecting.catch(() => { peer.connecting = null; });
+        });
+        return session;
+    }
+
+    _onchannel(peer, channel, request, session) {
+        const services = this.accepted.get(peer.key);
+        const handler = services && services.get(request.service);
+        if (!handler) {
+            logger.warn(`Rejected channel for unknown service ${request.service} from ${peer.key.slice(0, 16)}`);
+            channel.reject(`Unknown service ${request.service}`);
+            return;
+        }
+        handler(channel, request, session);
+    }
+
+    async _reconnect(peer, cause) {
+        const backoff = new Backoff(peer.reconnect);
+        const { publicKey } = peer;
+        let error = cause;
+
+        while (!this.closing && (!error || ErrorHandler.isRecoverable(error))) {
+            const delay = backoff.next();
+            if (delay === null) break;
+
+            logger.info(`Reconnecting to ${peer.key.slice(0, 16)} in ${delay}ms (attempt ${backoff.attempt}/${backoff.maxRetries})`);
+            this.emit('reconnecting', { publicKey, attempt: backoff.attempt, maxRetries: backoff.maxRetries, delay, error });
+            await new Promise((resolve) => {
+                peer.wake = resolve;
+                peer.timer = setTimeout(resolve, delay);
+            });
+            peer.wake = null;
+            if (this.closing) break;
+
+            try {
+                const session = await this._open(peer);
+                logger.info(`Reconnected to ${peer.key.slice(0, 16)} after ${backoff.attempt} attempt(s)`);
+                this.emit('reconnected', { publicKey, attempts: backoff.attempt });
+                return session;
+            } catch (err) {
+                logger.warn(`Reconnect attempt ${backoff.attempt} to ${peer.key.slice(0, 16)} failed: ${err.message}`);
+                error = err;
+            }
+        }
+
+        const failure = ErrorHandler.createConnectionError(
+            `Gave up reconnecting to ${peer.key.slice(0, 16)} after ${backoff.attempt} attempt(s)`,
+            'dht', { cause: error && error.message }
+        );
+        if (!this.closing) {
+            logger.error(failure.message);
+            this.emit('reconnect-failed', { publicKey, attempts: backoff.attempt, error: error || failure });
+        }
+        throw failure;
+    }
+}
+
+module.exports = MuxTransport;
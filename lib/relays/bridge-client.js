@@ -0,0 +1,161 @@
+const udp = require('dgram');
+const RelayHandle = require('../utils/relay-handle');
+const { ErrorHandler } = require('../utils/error-handler');
+const { KINDS, parseBridgeRules, ruleAddress, encodeBridgeMessage, decodeBridgeMessage, rewritePorts, EchoFilter } = require('../utils/bridge');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+const SERVICE = 'bridge';
+const LOOPBACK = '127.0.0.1';
+// How long a local prober is sent the replies to its probes
+const PROBER_TTL = 10000;
+
+/**
+ * Bridge Client Relay Module
+ * Brings the server's LAN discovery to this machine. Announcements from the
+ * server's network are replayed to 127.0.0.1, or to this LAN with options.lan,
+ * and local probes on the server's discovery ports are sent through the tunnel
+ * to be answered there. Ports written in the packets are rewritten to the
+ * local ports they are forwarded to, so games join through the tunnel.
+ */
+class BridgeClientRelay {
+    constructor(dhtNode, transport, limiter = null) {
+        this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
+    }
+
+    /**
+     * Start bridging discovery packets
+     * @param {Buffer} publicKey - Server public key
+     * @param {Object} [options] - Relay options as for the other clients
+     * @param {boolean} [options.lan] - Replay announcements on this LAN rather than to 127.0.0.1
+     * @param {Object|Map} [options.ports] - Remote port to the local port it is forwarded to
+     * @returns {Promise<RelayHandle>} Handle for closing the bridge
+     */
+    async createClient(publicKey, options = {}) {
+        const entries = options.ports instanceof Map ? [...options.ports] : Object.entries(options.ports || {});
+        const ports = new Map(entries.map(([remote, local]) => [Number(remote), Number(local)]));
+        const state = { rules: null, listeners: new Set(), probers: new Map(), channel: null, echoes: new EchoFilter() };
+        const handle = new RelayHandle({
+            mode: 'client',
+            session: () => this.transport.session(publicKey),
+            service: SERVICE,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            limits: config.createRelayConfig('udp', options),
+            stop: () => {
+                if (state.channel) state.channel.end();
+            },
+            release: () => {
+                for (const listener of state.listeners) listener.close();
+                replay.close();
+            }
+        });
+
+        // Replays and replies leave from one socket, whose packets our own listeners ignore
+        const replay = udp.createSocket('udp4');
+        replay.on('error', (err) => logger.warn(`Bridge replay socket error: ${err.message}`));
+        await new Promise((resolve) => replay.bind(0, resolve));
+        replay.setBroadcast(true);
+        replay.setMulticastTTL(1);
+
+        const send = (payload, port, address) => {
+            replay.send(rewritePorts(payload, ports), port, address, (err) => {
+                if (err) logger.debug(`Could not replay discovery packet to ${address}:${port}: ${err.message}`);
+            });
+        };
+
+        const onmessage = (data) => {
+            const message = decodeBridgeMessage(data);
+            if (!message) return;
+            if (message.kind === KINDS.RULES) {
+                if (state.rules) return;
+                try {
+                    this.listen(handle, state, parseBridgeRules(JSON.parse(message.payload.toString())), replay);
+                } catch (err) {
+                    logger.warn(`Ignoring the server's discovery rules: ${err.message}`);
+                }
+                return;
+            }
+            const rule = state.rules && state.rules.find((candidate) => candidate.port === message.port);
+            if (!rule || !handle.admit(state.channel, 'download', message.payload.length)) return;
+            if (message.kind === KINDS.ANNOUNCE) {
+                if (state.echoes.echo(rule.port, message.payload)) return;
+                send(message.payload, rule.port, options.lan ? ruleAddress(rule) : LOOPBACK);
+            } else if (message.kind === KINDS.REPLY) {
+                const now = Date.now();
+                for (const [key, prober] of state.probers.get(rule.port) || []) {
+                    if (now - prober.at > PROBER_TTL) state.probers.get(rule.port).delete(key);
+                    else send(message.payload, prober.port, prober.address);
+                }
+            }
+        };
+
+        const request = async () => {
+            const channel = await this.request(publicKey, options);
+            state.channel = handle.track(channel);
+            channel.on('data', onmessage);
+            channel.once('close', () => {
+                state.channel = null;
+                if (!handle.accepting || this.transport.closing || !channel.session.destroyed) return;
+                this.transport.connect(publicKey)
+                    .then(request)
+                    .then(() => logger.info('Restored LAN discovery bridge'))
+                    .catch((err) => logger.error(`Could not restore LAN discovery bridge: ${err.message}`));
+            });
+            if (!handle.accepting) channel.end();
+        };
+
+        try {
+            await request();
+        } catch (err) {
+            replay.close();
+            throw err;
+        }
+        logger.info(`Bridging LAN discovery to ${options.lan ? 'this LAN' : LOOPBACK}`);
+        return handle;
+    }
+
+    // Listen on this machine for the probes of the rules the server sent
+    listen(handle, state, rules, replay) {
+        state.rules = rules;
+        const own = replay.address().port;
+        for (const rule of rules) {
+            const socket = udp.createSocket({ type: 'udp4', reuseAddr: true });
+            socket.on('error', (err) => {
+                logger.warn(`Could not listen for discovery probes on port ${rule.port}: ${err.message}`);
+                if (state.listeners.delete(socket)) socket.close();
+            });
+            socket.on('message', (msg, rinfo) => {
+                if (rinfo.port === own || !state.channel || state.echoes.echo(rule.port, msg)) return;
+                if (!state.probers.has(rule.port)) state.probers.set(rule.port, new Map());
+                state.probers.get(rule.port).set(`${rinfo.address}:${rinfo.port}`, { address: rinfo.address, port: rinfo.port, at: Date.now() });
+                if (handle.admit(state.channel, 'upload', msg.length)) state.channel.write(encodeBridgeMessage(KINDS.PROBE, rule.port, msg));
+            });
+            socket.bind(rule.port, ruleAddress(rule), () => {
+                try {
+                    if (rule.group) socket.addMembership(rule.group);
+                } catch (err) {
+                    socket.emit('error', err);
+                }
+            });
+            state.listeners.add(socket);
+        }
+        logger.info(`Forwarding discovery probes on port(s) ${rules.map((rule) => rule.port).join(', ')}`);
+    }
+
+    async request(publicKey, options) {
+        await this.transport.connect(publicKey, { reconnect: options.reconnect });
+        const channel = await this.transport.openChannel(publicKey, { service: SERVICE });
+        await new Promise((resolve, reject) => {
+            channel.once('open', resolve);
+            channel.once('error', reject);
+            channel.once('close', () => reject(ErrorHandler.createConnectionError('LAN discovery bridge closed', 'channel')));
+        });
+        channel.on('error', (err) => logger.debug(`Bridge channel error: ${err.message}`));
+        return channel;
+    }
+}
+
+module.exports = BridgeClientRelay;
@@ -0,0 +1,175 @@
+const udp = require('dgram');
+const Allowlist = require('../utils/allowlist');
+const RelayHandle = require('../utils/relay-handle');
+const { ErrorHandler } = require('../utils/error-handler');
+const { KINDS, parseBridgeRules, ruleAddress, encodeBridgeMessage, decodeBridgeMessage } = require('../utils/bridge');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+const SERVICE = 'bridge';
+
+/**
+ * Bridge Server Relay Module
+ * Carries LAN discovery between the server's network and its clients. The
+ * broadcast and multicast packets seen on each rule's port are announced to
+ * every client, and the probes a client sends are broadcast here, with the
+ * unicast replies routed back through that client's channel.
+ */
+class BridgeServerRelay {
+    constructor(dhtNode, transport, limiter = null) {
+        this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
+    }
+
+    /**
+     * Start bridging discovery packets
+     * @param {Object} keyPair - Server key pair
+     * @param {Object} options - Relay options as for the other servers
+     * @param {Array|string} options.bridge - Discovery rules, see parseBridgeRules()
+     * @returns {Promise<RelayHandle>} Handle for closing the bridge
+     */
+    async createServer(keyPair, options = {}) {
+        const rules = parseBridgeRules(options.bridge || []);
+        if (rules.length === 0) {
+            throw ErrorHandler.createConfigurationError('A bridge needs at least one discovery port', 'bridge', options.bridge);
+        }
+
+        let registration = null;
+        const allowlist = Allowlist.from(options.allowlist);
+        // Ports of the sockets probes are sent from, whose broadcasts come back to our own listeners
+        const senders = new Set();
+        const clients = new Set();
+        const handle = new RelayHandle({
+            mode: 'server',
+            service: SERVICE,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            limits: config.createRelayConfig('udp', options),
+            allowlist,
+            stop: () => {
+                registration.stop();
+                for (const channel of handle.channels) channel.end();
+            },
+            release: async () => {
+                for (const listener of listeners) listener.close();
+                await registration.close();
+            }
+        });
+
+        const listeners = await Promise.all(rules.map((rule) => this.listen(rule, (msg, rinfo) => {
+            if (senders.has(rinfo.port)) return;
+            const message = encodeBridgeMessage(KINDS.ANNOUNCE, rule.port, msg);
+            for (const channel of clients) {
+                if (handle.admit(channel, 'upload', msg.length)) channel.write(message);
+            }
+        })));
+
+        try {
+            registration = await this.transport.listen(keyPair, SERVICE, (channel, request, session) => {
+                this.open(handle, rules, senders, clients, channel, session);
+            }, { allowlist, hidden: true });
+        } catch (err) {
+            for (const listener of listeners) listener.close();
+            throw err;
+        }
+
+        logger.info(`Bridging LAN discovery on ${rules.map((rule) => `${ruleAddress(rule)}:${rule.port}`).join(', ')}`);
+        return handle;
+    }
+
+    /**
+     * Receive a rule's broadcasts, or its group's packets. The socket is bound to the
+     * broadcast or group address, so unicast traffic stays with the game on that port.
+     */
+    listen(rule, onmessage) {
+        return new Promise((resolve, reject) => {
+            const socket = udp.createSocket({ type: 'udp4', reuseAddr: true });
+            socket.once('error', (err) => {
+                socket.close();
+                reject(ErrorHandler.createConnectionError(`Could not listen for discovery on port ${rule.port}: ${err.message}`, 'udp', { port: rule.port }));
+            });
+            socket.bind(rule.port, ruleAddress(rule), () => {
+                try {
+                    if (rule.group) socket.addMembership(rule.group);
+                } catch (err) {
+                    socket.emit('error', err);
+                    return;
+                }
+                socket.removeAllListeners('error');
+                socket.on('error', (err) => logger.warn(`Discovery listener error on port ${rule.port}: ${err.message}`));
+                socket.on('message', onmessage);
+                resolve(socket);
+            });
+        });
+    }
+
+    open(handle, rules, senders, clients, channel, session) {
+        if (!handle.admitConnection()) {
+            channel.reject('Connection limit reached');
+            return;
+        }
+        handle.track(channel);
+        const peer = session.remoteKey.slice(0, 16);
+
+        // Each client probes from its own socket, which is where the replies arrive
+        const socket = udp.createSocket('udp4');
+        let lastPort = rules[0].port;
+        let bound = null;
+        let closed = false;
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            senders.delete(bound);
+            clients.delete(channel);
+            socket.close();
+            channel.destroy();
+        };
+
+        socket.on('error', (err) => {
+            ErrorHandler.handle(ErrorHandler.createConnectionError(err.message, 'udp', { peer }), 'Bridge socket');
+            handle.recordError();
+            close();
+        });
+        socket.on('message', (msg, rinfo) => {
+            // Replies are filed under the port they came from, or else the last one probed
+            const port = rules.some((rule) => rule.port === rinfo.port) ? rinfo.port : lastPort;
+            if (handle.admit(channel, 'upload', msg.length)) channel.write(encodeBridgeMessage(KINDS.REPLY, port, msg));
+        });
+        socket.bind(0, () => {
+            if (closed || channel.destroyed || !handle.accepting) {
+                close();
+                return;
+            }
+            socket.setBroadcast(true);
+            socket.setMulticastTTL(1);
+            bound = socket.address().port;
+            senders.add(bound);
+            clients.add(channel);
+            channel.accept();
+            channel.write(encodeBridgeMessage(KINDS.RULES, 0, Buffer.from(JSON.stringify(rules))));
+            logger.info(`Bridging LAN discovery for peer ${peer}`);
+        });
+
+        channel.on('data', (data) => {
+            const message = decodeBridgeMessage(data);
+            if (!message || message.kind !== KINDS.PROBE) return;
+            const rule = rules.find((candidate) => candidate.port === message.port);
+            if (!rule || !handle.admit(channel, 'download', message.payload.length)) return;
+            lastPort = rule.port;
+            socket.send(message.payload, rule.port, ruleAddress(rule), (err) => {
+                if (err) {
+                    logger.debug(`Could not send discovery probe to port ${rule.port}: ${err.message}`);
+                    handle.recordError();
+                }
+            });
+        });
+        channel.on('error', (err) => logger.debug(`Bridge channel error: ${err.message}`));
+        channel.on('close', () => {
+            close();
+            logger.info(`Bridge for peer ${peer} closed`);
+        });
+    }
+}
+
+module.exports = BridgeServerRelay;
@@ -0,0 +1,106 @@
+const Allowlist = require('../utils/allowlist');
+const RelayHandle = require('../utils/relay-handle');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+const SERVICE = 'echo';
+const CHUNK = Buffer.alloc(64 * 1024);
+const MAX_DOWNLOAD = 1024 * 1024 * 1024;   // bytes one download may ask for
+
+/**
+ * Echo Server Relay Module
+ * The cooperating end of `hyper-nat bench`, so a client can measure the
+ * tunnel itself without a service behind it. Each channel names a mode:
+ *   echo      every message and datagram comes straight back
+ *   upload    data is counted and dropped; the count is sent back at the end
+ *   download  the requested number of bytes is sent, then the channel ends
+ */
+class EchoServerRelay {
+    constructor(dhtNode, transport, limiter = null) {
+        this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
+    }
+
+    /**
+     * Start answering bench requests
+     * @param {Object} keyPair - Server key pair
+     * @param {Object} [options] - Relay options as for the other servers
+     * @returns {Promise<RelayHandle>} Handle for closing the endpoint
+     */
+    async createServer(keyPair, options = {}) {
+        let registration = null;
+        const allowlist = Allowlist.from(options.allowlist);
+        const handle = new RelayHandle({
+            mode: 'server',
+            service: SERVICE,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            limits: config.createRelayConfig('tcp', options),
+            allowlist,
+            stop: () => registration.stop(),
+            release: () => registration.close()
+        });
+
+        // Hidden from the manifest, which lists services a client can forward
+        registration = await this.transport.listen(keyPair, SERVICE, (channel, request) => {
+            if (!handle.admitConnection()) {
+                channel.reject('Connection limit reached');
+                return;
+            }
+            handle.track(channel, { datagrams: request.mode === 'echo' });
+            channel.on('error', (err) => logger.debug(`Echo channel closed: ${err.message}`));
+            this.serve(channel, request);
+        }, { allowlist, hidden: true });
+
+        logger.info('Answering bench requests on the echo endpoint');
+        return handle;
+    }
+
+    serve(channel, request) {
+        if (request.mode === 'upload') {
+            let bytes = 0;
+            channel.accept();
+            channel.on('data', (chunk) => { bytes += chunk.length; });
+            channel.once('end', () => channel.end(JSON.stringify({ bytes })));
+        } else if (request.mode === 'download') {
+            const bytes = Number(request.bytes);
+            if (!Number.isSafeInteger(bytes) || bytes < 0 || bytes > MAX_DOWNLOAD) {
+                channel.reject(`Download size must be 0 to ${MAX_DOWNLOAD} bytes`);
+                return;
+            }
+            channel.accept();
+            channel.resume();
+            EchoServerRelay.send(channel, bytes, () => channel.end());
+        } else {
+            channel.accept({ datagrams: true });
+            channel.on('message', (datagram) => channel.sendDatagram(datagram));
+            // Piping stops reading while the peer is slow to take the echo back
+            channel.pipe(channel);
+        }
+    }
+
+    /**
+     * Write a number of filler bytes, waiting for the channel to drain as needed
+     * @param {Channel} channel - Channel to write to
+     * @param {number} bytes - Bytes to write
+     * @param {Function} done - Called once all are written
+     */
+    static send(channel, bytes, done) {
+        let left = bytes;
+        const write = () => {
+            while (left > 0 && !channel.destroyed) {
+                const size = Math.min(left, CHUNK.length);
+                left -= size;
+                if (!channel.write(size === CHUNK.length ? CHUNK : CHUNK.subarray(0, size))) {
+                    channel.once('drain', write);
+                    return;
+                }
+            }
+            if (!channel.destroyed) done();
+        };
+        write();
+    }
+}
+
+module.exports = EchoServerRelay;
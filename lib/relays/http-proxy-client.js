@@ -0,0 +1,125 @@
+const net = require('net');
+const RelayHandle = require('../utils/relay-handle');
+const unixSocket = require('../utils/unix-socket');
+const HandshakeReader = require('../utils/handshake-reader');
+const { parseHead, parseAuthority, rewriteRequest, errorResponse, simpleResponse } = require('../utils/http-proxy');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+// The server side is the SOCKS proxy service, so both front ends share its target policy
+const SERVICE = 'socks';
+
+/**
+ * HTTP Proxy Client Relay Module
+ * Runs a local HTTP proxy and tunnels CONNECT requests and plain http://
+ * absolute-URI requests to the remote peer, which opens the destination
+ */
+class HttpProxyClientRelay {
+    /**
+     * @param {Object} dhtNode - DHT node
+     * @param {MuxTransport} transport - Shared transport
+     * @param {RateLimiter} [limiter] - Global and per-peer limits
+     * @param {TcpClientRelay} tcpClient - Relays the stream of each request
+     */
+    constructor(dhtNode, transport, limiter = null, tcpClient) {
+        this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
+        this.tcpClient = tcpClient;
+    }
+
+    async createClient(publicKey, port, options = {}) {
+        const host = options.host || '127.0.0.1';
+        const localPort = options.localPort || port;
+
+        // Fails fast if the server does not run a proxy for us
+        await this.transport.probe(publicKey, SERVICE, { reconnect: options.reconnect });
+
+        const server = net.createServer({ allowHalfOpen: false }, (socket) => {
+            this.handleRequest(handle, publicKey, socket).catch((err) => {
+                logger.debug(`HTTP proxy request from ${socket.remoteAddress}:${socket.remotePort} failed: ${err.message}`);
+                if (socket.writable) socket.end(simpleResponse('400 Bad Request'));
+            });
+        });
+        const handle = new RelayHandle({
+            mode: 'client',
+            session: () => this.transport.session(publicKey),
+            service: 'http-proxy',
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            limits: config.createRelayConfig('http-proxy', options),
+            stop: () => server.close()
+        });
+
+        return new Promise((resolve, reject) => {
+            server.once('error', (err) => {
+                logger.error(`Local HTTP proxy listener error: ${err.message}`);
+                reject(err);
+            });
+
+            unixSocket.listen(server, host, localPort, options, () => {
+                logger.info(`HTTP proxy listening on ${unixSocket.formatAddress(host, localPort)}`);
+                server.removeAllListeners('error');
+                server.on('error', (err) => logger.error(`Local HTTP proxy listener error: ${err.message}`));
+                resolve(handle);
+            });
+        });
+    }
+
+    async handleRequest(handle, publicKey, socket) {
+        socket.on('error', (err) => logger.debug(`HTTP proxy client socket error: ${err.message}`));
+        const timer = setTimeout(() => socket.destroy(), handle.limits.connectTimeout);
+        const reader = new HandshakeReader(socket, 'http');
+        let head;
+        try {
+            head = await reader.read(parseHead);
+        } catch (err) {
+            reader.release();
+            throw err;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!handle.accepting) {
+            reader.release();
+            socket.end(simpleResponse('503 Service Unavailable'));
+            return;
+        }
+
+        if (head.method === 'CONNECT') {
+            const target = parseAuthority(head.target);
+            reader.release();
+            if (!target) {
+                socket.end(simpleResponse('400 Bad Request'));
+                return;
+            }
+            logger.debug(`HTTP CONNECT to ${target.host}:${target.port}`);
+            await this.tunnel(handle, publicKey, socket, target, Buffer.from(`${head.version} 200 Connection Established\r\n\r\n`));
+            return;
+        }
+
+        // Anything else must name its destination as an absolute http:// URI
+        const request = rewriteRequest(head);
+        if (!request) {
+            reader.release();
+            socket.end(simpleResponse('400 Bad Request'));
+            return;
+        }
+        logger.debug(`HTTP ${head.method} to ${request.host}:${request.port}`);
+        reader.release(request.head);
+        await this.tunnel(handle, publicKey, socket, request, null);
+    }
+
+    // Relay the socket to host:port, answering with `established` once the tunnel is open
+    tunnel(handle, publicKey, socket, { host, port }, established) {
+        return this.tcpClient.handleConnection(handle, publicKey, socket, { service: SERVICE, host, port }, (err) => {
+            if (err) {
+                socket.write(errorResponse(err));
+            } else if (established) {
+                socket.write(established);
+            }
+        });
+    }
+}
+
+module.exports = HttpProxyClientRelay;
@@ -0,0 +1,103 @@
+const RelayHandle = require('../utils/relay-handle');
+const TcpServerRelay = require('./tcp-server');
+const { formatAddress } = require('../utils/unix-socket');
+const { ErrorHandler } = require('../utils/error-handler');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+const SERVICE = 'reverse';
+
+/**
+ * Reverse Client Relay Module
+ * Offers a local port to the server: asks the server to listen on one of its
+ * ports, and relays each connection it opens back to the local target.
+ * The request is repeated whenever the connection to the server comes back.
+ */
+class ReverseClientRelay {
+    constructor(dhtNode, transport, limiter = null) {
+        this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
+    }
+
+    /**
+     * Start a reverse tunnel
+     * @param {Buffer} publicKey - Server public key
+     * @param {number} port - Port the server listens on
+     * @param {Object} [options] - Relay options as for the other clients
+     * @param {number} [options.localPort] - Local port connections are relayed to (default: port)
+     * @param {string} [options.host] - Local host connections are relayed to, or 'unix:' followed
+     *   by a socket path (default: 127.0.0.1)
+     * @returns {Promise<RelayHandle>} Handle for closing the tunnel
+     */
+    async createClient(publicKey, port, options = {}) {
+        const host = options.host || '127.0.0.1';
+        const localPort = options.localPort || port;
+        const service = `${SERVICE}:${port}`;
+        let control = null;
+        const handle = new RelayHandle({
+            mode: 'client',
+            session: () => this.transport.session(publicKey),
+            service,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            limits: config.createRelayConfig('tcp', options),
+            stop: () => {
+                unaccept();
+                if (control) control.end();
+            }
+        });
+
+        const unaccept = this.transport.accept(publicKey, service, (channel) => {
+            if (!handle.accepting || !handle.admitConnection()) {
+                channel.reject(handle.accepting ? 'Connection limit reached' : 'Relay closed');
+                return;
+            }
+            handle.track(channel);
+            logger.info(`New reverse channel, relaying to ${formatAddress(host, localPort)}`);
+            TcpServerRelay.connect(handle, channel, host, localPort);
+        });
+
+        const request = async () => {
+            control = await this.request(publicKey, port, options);
+            control.once('close', () => {
+                // A server that closes the tunnel itself is not asked again
+                if (!handle.accepting || this.transport.closing) return;
+                if (!control.session.destroyed) {
+                    logger.warn(`Server closed the reverse tunnel on port ${port}`);
+                    return;
+                }
+                this.transport.connect(publicKey)
+                    .then(request)
+                    .then(() => logger.info(`Restored reverse tunnel on server port ${port}`))
+                    .catch((err) => logger.error(`Could not restore reverse tunnel on server port ${port}: ${err.message}`));
+            });
+            if (!handle.accepting) control.end();
+        };
+
+        try {
+            await request();
+        } catch (err) {
+            unaccept();
+            throw err;
+        }
+        logger.info(`Reverse tunnel from server port ${port} to ${formatAddress(host, localPort)}`);
+        return handle;
+    }
+
+    // Open the control channel, which the server accepts once it listens on the port
+    async request(publicKey, port, options) {
+        await this.transport.connect(publicKey, { reconnect: options.reconnect });
+        const channel = await this.transport.openChannel(publicKey, { service: SERVICE, port });
+        await new Promise((resolve, reject) => {
+            channel.once('open', resolve);
+            channel.once('error', reject);
+            channel.once('close', () => reject(ErrorHandler.createConnectionError(`Reverse tunnel on port ${port} closed`, 'channel')));
+        });
+        channel.on('error', (err) => logger.debug(`Reverse control channel error: ${err.message}`));
+        channel.resume();
+        return channel;
+    }
+}
+
+module.exports = ReverseClientRelay;
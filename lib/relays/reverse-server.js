@@ -0,0 +1,116 @@
+const net = require('net');
+const Allowlist = require('../utils/allowlist');
+const RelayHandle = require('../utils/relay-handle');
+const ReversePolicy = require('../utils/reverse-policy');
+const { formatPortRange } = require('../utils/ports');
+const { formatHostPort } = require('../utils/address');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+const SERVICE = 'reverse';
+
+/**
+ * Reverse Server Relay Module
+ * Listens on ports of the server host for its clients. A client asks for a
+ * port with a control channel; while that channel is open the server listens
+ * on the port and opens each accepted connection back to the client as a
+ * channel for 'reverse:<port>'.
+ */
+class ReverseServerRelay {
+    /**
+     * @param {Object} dhtNode - DHT node
+     * @param {MuxTransport} transport - Shared transport
+     * @param {RateLimiter} [limiter] - Global and per-peer limits
+     * @param {TcpClientRelay} tcpClient - Relays the accepted connections
+     */
+    constructor(dhtNode, transport, limiter = null, tcpClient) {
+        this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
+        this.tcpClient = tcpClient;
+    }
+
+    /**
+     * Accept reverse tunnel requests under a key pair
+     * @param {Object} keyPair - Server key pair
+     * @param {Object} [options] - Relay options as for the other servers
+     * @param {ReversePolicy|Array} [options.reverse] - Ports each peer may ask for, see ReversePolicy
+     * @param {string} [options.host] - Address the listeners bind to (default: 127.0.0.1)
+     * @returns {Promise<RelayHandle>} Handle for closing the relay and its listeners
+     */
+    async createServer(keyPair, options = {}) {
+        let registration = null;
+        const host = options.host || '127.0.0.1';
+        const allowlist = Allowlist.from(options.allowlist);
+        const policy = ReversePolicy.from(options.reverse);
+        const listeners = new Set();
+        const handle = new RelayHandle({
+            mode: 'server',
+            service: SERVICE,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            allowlist,
+            limits: config.createRelayConfig('tcp', options),
+            stop: () => {
+                registration.stop();
+                for (const server of listeners) server.close();
+            },
+            release: () => registration.close()
+        });
+
+        registration = await this.transport.listen(keyPair, SERVICE, (channel, request, session) => {
+            this.open(handle, policy, host, listeners, channel, request, session);
+        }, { allowlist, hidden: true });
+
+        const ports = policy.rules.map((rule) => rule.ports.map(formatPortRange).join(',')).join(', ');
+        logger.info(`Reverse tunnels allowed on ${host} port(s) ${ports || 'none'}`);
+        return handle;
+    }
+
+    open(handle, policy, host, listeners, channel, request, session) {
+        const port = Number(request.port);
+        const peer = session.remoteKey.slice(0, 16);
+        if (!Number.isInteger(port) || !policy.allows(session.remotePublicKey, port)) {
+            logger.warn(`Refused reverse tunnel on port ${request.port} for peer ${peer}`);
+            channel.reject(`Port ${request.port} not allowed`);
+            return;
+        }
+
+        const service = `${SERVICE}:${port}`;
+        const server = net.createServer({ allowHalfOpen: false }, (socket) => {
+            this.tcpClient.handleConnection(handle, session, socket, { service }).catch((err) => {
+                logger.error(`Reverse tunnel on port ${port} failed: ${err.message}`);
+                handle.recordError();
+                socket.destroy();
+            });
+        });
+        server.once('error', (err) => {
+            logger.warn(`Could not listen on ${formatHostPort(host, port)} for peer ${peer}: ${err.message}`);
+            handle.recordError();
+            channel.reject(err.message);
+        });
+        server.listen(port, host, () => {
+            // The client may have gone, or the relay stopped, while the port was being bound
+            if (channel.destroyed || !handle.accepting) {
+                server.close();
+                return;
+            }
+            server.removeAllListeners('error');
+            server.on('error', (err) => logger.error(`Reverse listener error: ${err.message}`));
+            listeners.add(server);
+            channel.accept();
+            logger.info(`Reverse tunnel listening on ${formatHostPort(host, port)} for peer ${peer}`);
+        });
+
+        // The listener lives as long as the control channel, which carries no data
+        channel.on('error', (err) => logger.debug(`Reverse control channel error: ${err.message}`));
+        channel.once('close', () => {
+            if (!listeners.delete(server)) return;
+            server.close();
+            logger.info(`Reverse tunnel on ${formatHostPort(host, port)} closed`);
+        });
+        channel.resume();
+    }
+}
+
+module.exports = ReverseServerRelay;
@@ -0,0 +1,169 @@
+const net = require('net');
+const udp = require('dgram');
+const RelayHandle = require('../utils/relay-handle');
+const unixSocket = require('../utils/unix-socket');
+const { ErrorHandler } = require('../utils/error-handler');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+const {
+    AUTH_NONE, AUTH_UNACCEPTABLE, COMMANDS, REPLIES, VERSION,
+    parseGreeting, parseRequest, encodeReply, replyCode
+} = require('../utils/socks');
+const HandshakeReader = require('../utils/handshake-reader');
+
+const SERVICE = 'socks';
+
+/**
+ * SOCKS Client Relay Module
+ * Runs a local SOCKS5 server (no authentication) and tunnels each CONNECT
+ * and UDP ASSOCIATE request to the remote peer, which opens the destination
+ */
+class SocksClientRelay {
+    /**
+     * @param {Object} dhtNode - DHT node
+     * @param {MuxTransport} transport - Shared transport
+     * @param {RateLimiter} [limiter] - Global and per-peer limits
+     * @param {TcpClientRelay} tcpClient - Relays the streams of CONNECT requests
+     */
+    constructor(dhtNode, transport, limiter = null, tcpClient) {
+        this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
+        this.tcpClient = tcpClient;
+    }
+
+    async createClient(publicKey, port, options = {}) {
+        const host = options.host || '127.0.0.1';
+        const localPort = options.localPort || port;
+
+        // Fails fast if the server does not run a proxy for us
+        await this.transport.probe(publicKey, SERVICE, { reconnect: options.reconnect });
+
+        const server = net.createServer({ allowHalfOpen: false }, (socket) => {
+            this.handshake(handle, publicKey, socket).catch((err) => {
+                logger.debug(`SOCKS handshake with ${socket.remoteAddress}:${socket.remotePort} failed: ${err.message}`);
+                socket.destroy();
+            });
+        });
+        const handle = new RelayHandle({
+            mode: 'client',
+            session: () => this.transport.session(publicKey),
+            service: SERVICE,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            limits: config.createRelayConfig('socks', options),
+            stop: () => server.close()
+        });
+
+        return new Promise((resolve, reject) => {
+            server.once('error', (err) => {
+                logger.error(`Local SOCKS listener error: ${err.message}`);
+                reject(err);
+            });
+
+            unixSocket.listen(server, host, localPort, options, () => {
+                logger.info(`SOCKS proxy listening on ${unixSocket.formatAddress(host, localPort)}`);
+                server.removeAllListeners('error');
+                server.on('error', (err) => logger.error(`Local SOCKS listener error: ${err.message}`));
+                resolve(handle);
+            });
+        });
+    }
+
+    async handshake(handle, publicKey, socket) {
+        socket.on('error', (err) => logger.debug(`SOCKS client socket error: ${err.message}`));
+        const timer = setTimeout(() => socket.destroy(), handle.limits.connectTimeout);
+        const reader = new HandshakeReader(socket, 'socks');
+        let request;
+        try {
+            const methods = await reader.read(parseGreeting);
+            if (!methods.includes(AUTH_NONE)) {
+                socket.end(Buffer.from([VERSION, AUTH_UNACCEPTABLE]));
+                return;
+            }
+            socket.write(Buffer.from([VERSION, AUTH_NONE]));
+            request = await reader.read(parseRequest);
+        } finally {
+            clearTimeout(timer);
+            reader.release();
+        }
+
+        if (!handle.accepting) {
+            socket.end(encodeReply(REPLIES.FAILURE));
+        } else if (request.command === COMMANDS.CONNECT) {
+            logger.debug(`SOCKS CONNECT to ${request.host}:${request.port}`);
+            await this.tcpClient.handleConnection(handle, publicKey, socket,
+                { service: SERVICE, host: request.host, port: request.port },
+                (err) => socket.write(encodeReply(err ? replyCode(err) : REPLIES.SUCCEEDED)));
+        } else if (request.command === COMMANDS.UDP_ASSOCIATE && socket.remoteAddress) {
+            await this.associate(handle, publicKey, socket);
+        } else {
+            // Also a UDP ASSOCIATE over a Unix socket, which has no client address for datagrams
+            socket.end(encodeReply(REPLIES.COMMAND_NOT_SUPPORTED));
+        }
+    }
+
+    async associate(handle, publicKey, control) {
+        if (!handle.admitConnection()) {
+            control.end(encodeReply(REPLIES.FAILURE));
+            return;
+        }
+        // The association lives as long as the control connection
+        const local = udp.createSocket(net.isIPv6(control.localAddress) ? 'udp6' : 'udp4');
+        await new Promise((resolve, reject) => {
+            local.once('error', reject);
+            local.bind(0, control.localAddress, resolve);
+        });
+
+        let channel;
+        try {
+            channel = await this.transport.openChannel(publicKey, { service: SERVICE, udp: true });
+            await new Promise((resolve, reject) => {
+                channel.once('open', resolve);
+                channel.once('error', reject);
+                channel.once('close', () => reject(ErrorHandler.createConnectionError('SOCKS UDP channel closed', 'channel')));
+            });
+        } catch (err) {
+            logger.warn(`Could not open SOCKS UDP association: ${err.message}`);
+            handle.recordError();
+            local.close();
+            if (channel) channel.destroy();
+            control.end(encodeReply(replyCode(err)));
+            return;
+        }
+        handle.track(channel, { datagrams: true });
+
+        // Datagrams are only taken from the host of the control connection,
+        // and replies go to wherever it last sent from
+        let client = null;
+        local.on('message', (msg, rinfo) => {
+            if (rinfo.address !== control.remoteAddress || msg.length < 4) return;
+            // Fragmented datagrams (FRAG != 0) are not supported and dropped
+            if (msg[2] !== 0) return;
+            client = rinfo;
+            const datagram = msg.subarray(3);
+            if (handle.admit(channel, 'upload', datagram.length)) channel.write(datagram);
+        });
+        channel.on('data', (datagram) => {
+            if (!client || !handle.admit(channel, 'download', datagram.length)) return;
+            local.send(Buffer.concat([Buffer.from([0, 0, 0]), datagram]), client.port, client.address);
+        });
+
+        const close = () => {
+            channel.destroy();
+            control.destroy();
+            try { local.close(); } catch (_) {}
+        };
+        local.on('error', (err) => logger.debug(`SOCKS UDP socket error: ${err.message}`));
+        channel.on('error', (err) => logger.debug(`SOCKS UDP channel error: ${err.message}`));
+        channel.on('close', close);
+        control.on('close', close);
+        control.resume();
+
+        const { address, port } = local.address();
+        control.write(encodeReply(REPLIES.SUCCEEDED, address, port));
+        logger.info(`SOCKS UDP association relaying from ${address}:${port}`);
+    }
+}
+
+module.exports = SocksClientRelay;
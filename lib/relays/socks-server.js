@@ -0,0 +1,157 @@
+const udp = require('dgram');
+const Allowlist = require('../utils/allowlist');
+const RelayHandle = require('../utils/relay-handle');
+const TargetPolicy = require('../utils/target-policy');
+const TcpServerRelay = require('./tcp-server');
+const { encodeAddress, decodeAddress } = require('../utils/socks');
+const { formatPortRange } = require('../utils/ports');
+const { ErrorHandler } = require('../utils/error-handler');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+const SERVICE = 'socks';
+
+/**
+ * SOCKS Server Relay Module
+ * Opens the destinations that SOCKS clients ask for, within a target policy.
+ * A CONNECT arrives as a channel naming its destination and is relayed like
+ * a TCP channel; a UDP ASSOCIATE is one channel whose messages are datagrams,
+ * each prefixed with its destination address (replies with their source).
+ */
+class SocksServerRelay {
+    constructor(dhtNode, transport, limiter = null) {
+        this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
+    }
+
+    /**
+     * Expose a SOCKS proxy under a key pair
+     * @param {Object} keyPair - Server key pair
+     * @param {Object} [options] - Relay options as for the other servers
+     * @param {Object} [options.targets] - { hosts, ports } the proxy may connect to, see TargetPolicy
+     * @returns {Promise<RelayHandle>} Handle for closing the proxy
+     */
+    async createServer(keyPair, options = {}) {
+        let registration = null;
+        const allowlist = Allowlist.from(options.allowlist);
+        const policy = TargetPolicy.from(options.targets);
+        const handle = new RelayHandle({
+            mode: 'server',
+            service: SERVICE,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            allowlist,
+            limits: config.createRelayConfig('socks', options),
+            stop: () => registration.stop(),
+            release: () => registration.close()
+        });
+
+        registration = await this.transport.listen(keyPair, SERVICE, (channel, request) => {
+            if (!handle.admitConnection()) {
+                channel.reject('Connection limit reached');
+                return;
+            }
+            if (request.udp) {
+                this.associate(handle, channel, policy);
+            } else {
+                this.connect(handle, channel, policy, request);
+            }
+        }, { allowlist, label: options.label, description: options.description });
+
+        const ports = policy.ports ? ` on ports ${policy.ports.map(formatPortRange).join(',')}` : '';
+        logger.info(`SOCKS proxy allowing targets ${policy.hosts.join(', ')}${ports}`);
+        return handle;
+    }
+
+    async connect(handle, channel, policy, request) {
+        handle.track(channel);
+        const port = Number(request.port);
+        let target;
+        try {
+            if (typeof request.host !== 'string' || !Number.isInteger(port) || port < 1 || port > 65535) {
+                throw ErrorHandler.createProtocolError('Invalid SOCKS request', 'socks', 'connect');
+            }
+            target = await policy.resolve(request.host, port);
+        } catch (err) {
+            logger.warn(`Refused SOCKS connection to ${request.host}:${request.port}: ${err.message}`);
+            channel.reject(err.message);
+            return;
+        }
+        if (channel.destroyed) return;
+        logger.info(`New SOCKS connection to ${request.host}:${port}`);
+        TcpServerRelay.connect(handle, channel, target.address, port);
+    }
+
+    associate(handle, channel, policy) {
+        handle.track(channel, { datagrams: true });
+        logger.info('New SOCKS UDP association');
+        const { idleTimeout } = handle.limits;
+        const sockets = {};
+        const resolved = new Map();
+        // Like a NAT, only relay replies from destinations this association sent to
+        const peers = new Set();
+        let idleTimer = null;
+
+        const touch = () => {
+            if (!idleTimeout) return;
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                logger.debug(`Closing SOCKS UDP association after ${idleTimeout}ms idle`);
+                channel.end();
+            }, idleTimeout);
+        };
+
+        const socketFor = (family) => {
+            const type = family === 6 ? 'udp6' : 'udp4';
+            if (!sockets[type]) {
+                const socket = udp.createSocket(type);
+                socket.on('message', (msg, rinfo) => {
+                    if (!peers.has(`${rinfo.address}:${rinfo.port}`)) return;
+                    touch();
+                    const datagram = Buffer.concat([encodeAddress(rinfo.address, rinfo.port), msg]);
+                    if (handle.admit(channel, 'upload', datagram.length)) channel.write(datagram);
+                });
+                socket.on('error', (err) => {
+                    logger.debug(`SOCKS UDP socket error: ${err.message}`);
+                    handle.recordError();
+                });
+                sockets[type] = socket;
+            }
+            return sockets[type];
+        };
+
+        channel.on('data', async (datagram) => {
+            touch();
+            if (!handle.admit(channel, 'download', datagram.length)) return;
+            // The whole body is in the try, as nothing awaits this listener's promise
+            try {
+                const address = decodeAddress(datagram);
+                if (!address) return;
+                const key = `${address.host}:${address.port}`;
+                if (!resolved.has(key)) resolved.set(key, policy.resolve(address.host, address.port));
+                const target = await resolved.get(key);
+                if (channel.destroyed) return;
+                peers.add(`${target.address}:${target.port}`);
+                socketFor(target.family).send(datagram.subarray(address.length), target.port, target.address, (err) => {
+                    if (err) {
+                        ErrorHandler.handle(ErrorHandler.createConnectionError(err.message, 'udp'), 'SOCKS UDP send');
+                        handle.recordError();
+                    }
+                });
+            } catch (err) {
+                logger.debug(`Dropped SOCKS datagram: ${err.message}`);
+            }
+        });
+
+        channel.on('error', (err) => logger.debug(`SOCKS UDP channel error: ${err.message}`));
+        channel.on('close', () => {
+            clearTimeout(idleTimer);
+            for (const socket of Object.values(sockets)) socket.close();
+        });
+        channel.accept();
+        touch();
+    }
+}
+
+module.exports = SocksServerRelay;
@@ -1,64 +1,143 @@
 const net = require("net");
 const pump = require("pump");
+const RelayHandle = require('../utils/relay-handle');
+const unixSocket = require('../utils/unix-socket');
+const { config } = require('../utils/config');
 const { logger } = require('../utils/logger');
 
+/**
+ * TCP Client Relay Module
+ * Listens on a local port and tunnels each accepted connection to the remote
+ * peer as its own channel over the shared DHT connection
+ */
 class TcpClientRelay {
-    constructor(dhtNode) {
+    constructor(dhtNode, transport, limiter = null) {
         this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
     }
 
     async createClient(publicKey, port, options = {}) {
         const host = options.host || '127.0.0.1';
-        const timeout = options.timeout || 15000;
+        const localPort = options.localPort || port;
+        const limits = config.createRelayConfig('tcp', options);
+        const service = `tcp:${port}`;
 
-        const socket = this.node.connect(publicKey, { reusableSocket: true });
+        // Fails fast if the server does not offer the service to us
+        await this.transport.probe(publicKey, service, { reconnect: options.reconnect });
+
+        const server = net.createServer({ allowHalfOpen: false }, (localSocket) => {
+            this.handleConnection(handle, publicKey, localSocket).catch((err) => {
+                logger.error(`TCP tunnel failed: ${err.message}`);
+                handle.recordError();
+                localSocket.destroy();
+            });
+        });
+        const handle = new RelayHandle({
+            mode: 'client',
+            session: () => this.transport.session(publicKey),
+            service,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            limits,
+            stop: () => server.close()
+        });
 
         return new Promise((resolve, reject) => {
-            socket.on('open', () => {
-                logger.info('DHT connection established, creating local TCP socket');
-                const localSocket = net.connect({
-                    port,
-                    host,
-                    allowHalfOpen: false,
-                });
+            server.once('error', (err) => {
+                logger.error(`Local TCP listener error: ${err.message}`);
+                reject(err);
+            });
+
+            unixSocket.listen(server, host, localPort, options, () => {
+                logger.info(`TCP client listening on ${unixSocket.formatAddress(host, localPort)}`);
+                server.removeAllListeners('error');
+                server.on('error', (err) => logger.error(`Local TCP listener error: ${err.message}`));
+                resolve(handle);
+            });
+        });
+    }
 
-                const cleanup = () => {
-                    logger.debug('TCP client connection ended, cleaning up');
-                    localSocket.destroy();
-                    socket.end();
-                };
+    /**
+     * Tunnel one local connection through its own channel
+     * @param {RelayHandle} handle - Handle of the relay that accepted the connection
+     * @param {Buffer|MuxSession} peer - Remote peer public key, or the session of a peer
+     *   that connected to us, to open the channel back over
+     * @param {net.Socket} localSocket - Accepted local connection
+     * @param {Object} [request] - Open request, the relay's service by default
+     * @param {Function} [reply] - Called once with null when the channel opens, or with the error
+     *   if it fails to, before any data is relayed; lets a proxy answer its client
+     */
+    async handleConnection(handle, peer, localSocket, request = { service: handle.service }, reply = null) {
+        const source = localSocket.remoteAddress ? `${localSocket.remoteAddress}:${localSocket.remotePort}` : 'unix socket';
+        const { connectTimeout, idleTimeout } = handle.limits;
+        if (!handle.admitConnection()) {
+            localSocket.destroy();
+            return;
+        }
+        logger.info(`Accepted local TCP connection from ${source}, opening channel`);
+
+        localSocket.on('error', (err) => {
+            logger.error(`Local socket error: ${err.message}`);
+            handle.recordError();
+            localSocket.destroy();
+        });
 
-                localSocket.on('connect', () => {
-                    logger.debug('Connected to local TCP target, relaying data');
-                    pump(socket, localSocket, socket, cleanup);
-                    resolve(socket);
-                });
+        localSocket.on('timeout', () => {
+            logger.warn(`Closing TCP connection from ${source} after ${idleTimeout}ms idle`);
+            localSocket.destroy();
+        });
 
-                localSocket.on('error', (err) => {
-                    logger.error(`Local socket error: ${err.message}`);
-                    cleanup();
-                    reject(err);
-                });
+        localSocket.setTimeout(idleTimeout);
 
-                socket.on('error', (err) => {
-                    logger.error(`DHT socket error: ${err.message}`);
-                    cleanup();
-                    reject(err);
-                });
+        // Until the server accepts, the connection counts against maxConnections as pending
+        let channel = null;
+        handle.pending++;
+        const connectTimer = setTimeout(() => {
+            logger.warn(`Timed out opening tunnel for ${source} after ${connectTimeout}ms`);
+            handle.recordError();
+            localSocket.destroy();
+            if (channel) channel.destroy();
+        }, connectTimeout);
+        const connected = () => {
+            clearTimeout(connectTimer);
+            handle.pending--;
+        };
 
-                localSocket.on('timeout', () => {
-                    logger.warn('Local socket timeout');
-                    cleanup();
-                    reject(new Error('Local socket timeout'));
-                });
+        try {
+            channel = Buffer.isBuffer(peer) ? await this.transport.openChannel(peer, request) : peer.openChannel(request);
+        } catch (err) {
+            connected();
+            logger.error(`Could not open tunnel for ${source}: ${err.message}`);
+            handle.recordError();
+            if (reply) reply(err);
+            localSocket.destroy();
+            return;
+        }
 
-                localSocket.setTimeout(timeout);
+        // The relay may have been closed, or the connection timed out, while the channel was opening
+        if (!handle.accepting || localSocket.destroyed) {
+            connected();
+            channel.destroy();
+            localSocket.destroy();
+            return;
+        }
+        handle.track(channel);
+        channel.once('open', connected);
+        channel.once('close', () => {
+            if (!channel.opened) connected();
+        });
+        if (reply) {
+            channel.once('open', () => reply(null));
+            channel.once('error', (err) => {
+                if (!channel.opened) reply(err);
             });
+        }
 
-            socket.on('error', (err) => {
-                logger.error(`DHT connection error: ${err.message}`);
-                reject(err);
-            });
+        pump(localSocket, channel, localSocket, (err) => {
+            logger.debug(`TCP tunnel for ${source} ended${err ? `: ${err.message}` : ''}`);
+            localSocket.destroy();
+            channel.destroy();
         });
     }
 }
@@ -1,59 +1,102 @@
 const net = require("net");
 const pump = require("pump");
+const Allowlist = require('../utils/allowlist');
+const RelayHandle = require('../utils/relay-handle');
+const { connectOptions, formatAddress } = require('../utils/unix-socket');
+const { config } = require('../utils/config');
 const { logger } = require('../utils/logger');
 
 /**
  * TCP Server Relay Module
- * Handles incoming TCP connections and relays them to target host:port
+ * Accepts tunnelled TCP channels and relays them to target host:port
  */
 class TcpServerRelay {
-    constructor(dhtNode) {
+    constructor(dhtNode, transport, limiter = null) {
         this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
     }
 
-    async createServer(keyPair, port, host) {
-        const server = this.node.createServer({ reusableSocket: true });
-        
-        server.on("connection", (servsock) => {
-            logger.info(`New TCP connection, relaying to port ${port}`);
-            const socket = net.connect({
-                port, 
-                host, 
-                allowHalfOpen: false,
-                timeout: 15000
-            });
-
-            const cleanup = () => {
-                logger.debug('TCP connection ended, cleaning up');
-                servsock.destroy();
-                socket.destroy();
-            };
-
-            socket.on('connect', () => {
-                logger.debug('Connected to target, relaying data');
-                pump(servsock, socket, servsock, cleanup);
-            });
-
-            socket.on('error', (err) => {
-                logger.error(`TCP socket error: ${err.message}`);
-                cleanup();
-            });
-
-            servsock.on('error', (err) => {
-                logger.error(`Server socket error: ${err.message}`);
-                cleanup();
-            });
-
-            socket.on('timeout', () => {
-                logger.warn('TCP socket timeout');
-                cleanup();
-            });
-
-            socket.setTimeout(15000);
+    async createServer(keyPair, port, host, options = {}) {
+        const service = `tcp:${port}`;
+        let registration = null;
+        const allowlist = Allowlist.from(options.allowlist);
+        const limits = config.createRelayConfig('tcp', options);
+        const handle = new RelayHandle({
+            mode: 'server',
+            service,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            allowlist,
+            limits,
+            stop: () => registration.stop(),
+            release: () => registration.close()
         });
 
-        await server.listen(keyPair);
-        return server;
+        registration = await this.transport.listen(keyPair, service, (channel) => {
+            if (!handle.admitConnection()) {
+                channel.reject('Connection limit reached');
+                return;
+            }
+            handle.track(channel);
+            logger.info(`New TCP channel, relaying to ${formatAddress(host, port)}`);
+            TcpServerRelay.connect(handle, channel, host, port);
+        }, { allowlist, label: options.label, description: options.description });
+        return handle;
+    }
+
+    /**
+     * Connect an accepted channel to its target and relay between them, accepting
+     * the channel once the target is reachable and rejecting it otherwise
+     * @param {RelayHandle} handle - Handle tracking the channel
+     * @param {Channel} channel - Tunnelled connection from the client
+     * @param {string} host - Target host, or 'unix:' followed by a socket path
+     * @param {number} port - Target port, unused for a socket
+     */
+    static connect(handle, channel, host, port) {
+        const { limits } = handle;
+        const socket = net.connect({
+            ...connectOptions(host, port),
+            allowHalfOpen: false,
+            timeout: limits.connectTimeout
+        });
+
+        const cleanup = () => {
+            logger.debug('TCP connection ended, cleaning up');
+            channel.destroy();
+            socket.destroy();
+        };
+
+        // Only accept the channel once the target is reachable
+        socket.on('connect', () => {
+            logger.debug('Connected to target, relaying data');
+            socket.setTimeout(limits.idleTimeout);
+            channel.accept();
+            pump(channel, socket, channel, cleanup);
+        });
+
+        socket.on('error', (err) => {
+            logger.error(`TCP socket error: ${err.message}`);
+            handle.recordError();
+            channel.reject(err.message);
+            cleanup();
+        });
+
+        channel.on('error', (err) => {
+            logger.debug(`TCP channel error: ${err.message}`);
+            cleanup();
+        });
+
+        socket.on('timeout', () => {
+            if (socket.connecting) {
+                logger.warn(`Timed out connecting to ${formatAddress(host, port)} after ${limits.connectTimeout}ms`);
+                handle.recordError();
+                channel.reject('Timed out connecting to target');
+            } else {
+                logger.warn(`Closing TCP connection to ${formatAddress(host, port)} after ${limits.idleTimeout}ms idle`);
+            }
+            cleanup();
+        });
     }
 }
 
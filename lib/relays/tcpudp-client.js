@@ -1,75 +1,113 @@
-const udp = require('dgram');
+const net = require('net');
+const pump = require('pump');
+const RelayHandle = require('../utils/relay-handle');
+const TcpUdpServerRelay = require('./tcpudp-server');
+const unixSocket = require('../utils/unix-socket');
+const { config } = require('../utils/config');
 const { logger } = require('../utils/logger');
 
+/**
+ * TCP-UDP Client Relay Module
+ * Listens on a local TCP port and carries each accepted connection to the
+ * remote peer as a channel of unreliable datagrams, made reliable by a
+ * ReliableStream on either end
+ */
 class TcpUdpClientRelay {
-    constructor(dhtNode) {
+    constructor(dhtNode, transport, limiter = null) {
         this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
     }
 
     async createClient(publicKey, port, options = {}) {
         const host = options.host || '127.0.0.1';
-        const socket = this.node.connect(publicKey, { reusableSocket: true });
-        const tcpConnections = new Map();
-        let connId = 0;
+        const localPort = options.localPort || port;
+        const limits = config.createRelayConfig('tcpudp', options);
+        const service = `tcpudp:${port}`;
 
-        return new Promise((resolve, reject) => {
-            socket.on('open', () => {
-                logger.info('DHT TCP-UDP connection established');
-                const udpSocket = udp.createSocket('udp4');
+        // Fails fast if the server does not offer the service to us
+        await this.transport.probe(publicKey, service, { reconnect: options.reconnect });
 
-                const gracefulClose = () => {
-                    logger.debug('TCP-UDP client connection ended, cleaning up');
-                    try { udpSocket.close(); } catch (_) {}
-                    socket.end();
-                    tcpConnections.clear();
-                };
+        const server = net.createServer({ allowHalfOpen: false }, (socket) => {
+            this.handleConnection(handle, publicKey, socket).catch((err) => {
+                logger.error(`TCP-UDP tunnel failed: ${err.message}`);
+                handle.recordError();
+                socket.destroy();
+            });
+        });
+        const handle = new RelayHandle({
+            mode: 'client',
+            session: () => this.transport.session(publicKey),
+            service,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            limits,
+            stop: () => server.close()
+        });
 
-                socket.on('data', (data) => {
-                    const id = ++connId;
-                    tcpConnections.set(id, { timestamp: Date.now() });
-                    try {
-                        udpSocket.send(data, port, host, (err) => {
-                            if (err) {
-                                logger.error(`TCP-UDP client send error: ${err.message}`);
-                                tcpConnections.delete(id);
-                            }
-                        });
-                    } catch (error) {
-                        logger.error(`TCP-UDP client send exception: ${error.message}`);
-                        tcpConnections.delete(id);
-                    }
-                });
+        return new Promise((resolve, reject) => {
+            server.once('error', (err) => {
+                logger.error(`Local TCP-UDP listener error: ${err.message}`);
+                reject(err);
+            });
 
-                udpSocket.on('message', (msg) => {
-                    if (!socket.destroyed) socket.write(msg);
-                });
+            unixSocket.listen(server, host, localPort, options, () => {
+                logger.info(`TCP-UDP client listening on ${unixSocket.formatAddress(host, localPort)}`);
+                server.removeAllListeners('error');
+                server.on('error', (err) => logger.error(`Local TCP-UDP listener error: ${err.message}`));
+                resolve(handle);
+            });
+        });
+    }
 
-                udpSocket.on('error', (err) => {
-                    logger.error(`TCP-UDP client UDP socket error: ${err.message}`);
-                    gracefulClose();
-                });
+    async handleConnection(handle, publicKey, socket) {
+        const { connectTimeout, idleTimeout } = handle.limits;
+        if (!handle.admitConnection()) {
+            socket.destroy();
+            return;
+        }
+        socket.on('error', (err) => logger.debug(`Local TCP-UDP socket error: ${err.message}`));
+        socket.setTimeout(idleTimeout, () => {
+            logger.warn(`Closing TCP-UDP connection after ${idleTimeout}ms idle`);
+            socket.destroy();
+        });
 
-                socket.on('error', (err) => {
-                    logger.error(`TCP-UDP client socket error: ${err.message}`);
-                    gracefulClose();
+        // Until the server accepts, the connection counts against maxConnections as pending
+        handle.pending++;
+        let channel;
+        try {
+            channel = await this.transport.openChannel(publicKey, { service: handle.service, datagrams: true });
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error(`Timed out opening tunnel after ${connectTimeout}ms`)), connectTimeout);
+                channel.once('open', () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+                channel.once('error', reject);
+                channel.once('close', () => {
+                    clearTimeout(timer);
+                    reject(new Error('Channel closed before opening'));
                 });
-
-                const cleanupInterval = setInterval(() => {
-                    const now = Date.now();
-                    for (const [id, conn] of tcpConnections.entries()) {
-                        if (now - conn.timestamp > 30000) tcpConnections.delete(id);
-                    }
-                }, 10000);
-
-                socket.on('close', () => clearInterval(cleanupInterval));
-
-                resolve(socket);
             });
+        } catch (err) {
+            if (channel) channel.destroy();
+            throw err;
+        } finally {
+            handle.pending--;
+        }
 
-            socket.on('error', (err) => {
-                logger.error(`TCP-UDP DHT connection error: ${err.message}`);
-                reject(err);
-            });
+        // The relay may have been closed, or the local connection gone, while the channel was opening
+        if (!handle.accepting || socket.destroyed) {
+            channel.destroy();
+            socket.destroy();
+            return;
+        }
+        handle.track(channel);
+        const stream = TcpUdpServerRelay.attach(handle, channel);
+        pump(socket, stream, socket, (err) => {
+            logger.debug(`TCP-UDP tunnel ended${err ? `: ${err.message}` : ''}`);
+            stream.destroy();
+            socket.destroy();
         });
     }
 }
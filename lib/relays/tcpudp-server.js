@@ -1,89 +1,132 @@
-const net = require("net");
-const udp = require('dgram');
-const pump = require("pump");
-const BaseConnectionHandler = require('../utils/base-handler');
+const net = require('net');
+const pump = require('pump');
+const Allowlist = require('../utils/allowlist');
+const RelayHandle = require('../utils/relay-handle');
+const { ReliableStream } = require('../utils/reliable-stream');
+const { connectOptions, formatAddress } = require('../utils/unix-socket');
+const { config } = require('../utils/config');
 const { logger } = require('../utils/logger');
 
 /**
  * TCP-UDP Server Relay Module
- * Handles incoming TCP connections and relays them as UDP packets to target host:port
+ * TCP over a datagram path: each tunnelled connection arrives as a channel of
+ * unreliable datagrams, which a ReliableStream turns back into the byte stream
+ * relayed to target host:port. Datagrams lost on the way or over the rate
+ * limit are sent again. Peers without datagrams carry them on the channel's
+ * stream instead.
  */
-class TcpUdpServerRelay extends BaseConnectionHandler {
-    constructor(dhtNode) {
-        super(dhtNode);
+class TcpUdpServerRelay {
+    constructor(dhtNode, transport, limiter = null) {
+        this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
     }
 
-    async createServer(keyPair, port, host) {
-        const server = this.node.createServer({ reusableSocket: true });
-        
-        server.on("connection", (servsock) => {
-            console.log('new tcp connection for udp relay to ' + port);
-            const socket = udp.createSocket('udp4');
-            // Use inherited connections map from base class
-            // Use inherited connection ID from base class
-            
-            const gracefulClose = this.createCleanupFunction(socket, servsock, socket);
-
-            // Setup handlers for UDP socket events
-            this.setupTcpUdpSocketHandlers(socket, servsock, port, host, gracefulClose);
-            
-            // Handle data from TCP connection and convert to UDP
-            servsock.on('data', (data) => {
-                const connId = this.generateConnectionId();
-                this.addConnection(connId, { servsock, socket });
-                
-                try {
-                    socket.send(data, port, host, (err) => {
-                        if (err) {
-                            console.error('tcpudp send error:', err.message);
-                            udpConnections.delete(connId);
-                        }
-                    });
-                } catch (error) {
-                    console.error('tcpudp send exception:', error.message);
-                    udpConnections.delete(connId);
-                }
-            });
-
-            // Use pump for bidirectional relay
-            pump(servsock, socket, servsock, gracefulClose);
+    async createServer(keyPair, port, host, options = {}) {
+        const service = `tcpudp:${port}`;
+        let registration = null;
+        const allowlist = Allowlist.from(options.allowlist);
+        const limits = config.createRelayConfig('tcpudp', options);
+        const handle = new RelayHandle({
+            mode: 'server',
+            service,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            limits,
+            allowlist,
+            stop: () => registration.stop(),
+            release: () => registration.close()
         });
 
-        await server.listen(keyPair);
-        return server;
+        registration = await this.transport.listen(keyPair, service, (channel) => {
+            if (!handle.admitConnection()) {
+                channel.reject('Connection limit reached');
+                return;
+            }
+            handle.track(channel);
+            logger.info(`New TCP-UDP channel, relaying to ${formatAddress(host, port)}`);
+            this.connect(handle, channel, host, port);
+        }, { allowlist, label: options.label, description: options.description });
+        return handle;
     }
 
-    setupTcpUdpSocketHandlers(socket, servsock, udpConnections, port, host, gracefulClose) {
-        // Handle UDP responses and route back to TCP connections
-        socket.on('message', (msg, rinfo) => {
-            if (servsock.destroyed === false) {
-                servsock.write(msg);
-            }
+    // Connect to the target, then accept the channel and relay through a reliable stream
+    connect(handle, channel, host, port) {
+        const { limits } = handle;
+        const socket = net.connect({ ...connectOptions(host, port), allowHalfOpen: false, timeout: limits.connectTimeout });
+        let stream = null;
+
+        // Once relaying, the stream decides how the channel closes
+        const cleanup = () => {
+            logger.debug('TCP-UDP connection ended, cleaning up');
+            if (stream) stream.destroy();
+            else channel.destroy();
+            socket.destroy();
+        };
+
+        socket.on('connect', () => {
+            socket.setTimeout(limits.idleTimeout);
+            channel.accept({ datagrams: true });
+            stream = TcpUdpServerRelay.attach(handle, channel);
+            pump(socket, stream, socket, (err) => {
+                if (err) logger.debug(`TCP-UDP relay to ${formatAddress(host, port)} ended: ${err.message}`);
+                cleanup();
+            });
         });
 
         socket.on('error', (err) => {
-            console.error('tcpudp socket error:', err.message);
-            gracefulClose();
+            logger.error(`TCP-UDP target error: ${err.message}`);
+            handle.recordError();
+            channel.reject(err.message);
+            cleanup();
         });
 
-        servsock.on('error', (err) => {
-            console.error('tcpudp servsock error:', err.message);
-            gracefulClose();
+        socket.on('timeout', () => {
+            if (socket.connecting) {
+                logger.warn(`Timed out connecting to ${formatAddress(host, port)} after ${limits.connectTimeout}ms`);
+                handle.recordError();
+                channel.reject('Timed out connecting to target');
+            } else {
+                logger.warn(`Closing TCP-UDP connection to ${formatAddress(host, port)} after ${limits.idleTimeout}ms idle`);
+            }
+            cleanup();
         });
 
-        // Cleanup old UDP connections periodically
-        const cleanupInterval = setInterval(() => {
-            const now = Date.now();
-            for (const [connId, conn] of udpConnections.entries()) {
-                if (now - conn.timestamp > 30000) { // 30 second timeout
-                    udpConnections.delete(connId);
-                }
-            }
-        }, 10000);
+        channel.on('error', (err) => {
+            logger.debug(`TCP-UDP channel error: ${err.message}`);
+            cleanup();
+        });
+    }
 
-        servsock.on('close', () => {
-            clearInterval(cleanupInterval);
+    /**
+     * Carry a reliable stream over a tracked channel, one packet per message
+     * @param {RelayHandle} handle - Handle tracking the channel, whose rate limits and queue drop packets
+     * @param {Channel} channel - Open channel
+     * @returns {ReliableStream} Byte stream to relay
+     */
+    static attach(handle, channel) {
+        const queue = handle.queue(channel);
+        const stream = new ReliableStream((packet) => {
+            if (!channel.destroyed && handle.admit(channel, 'upload', packet.length)) queue.push(packet);
+        });
+        // Under the pause policy, writes to the stream wait while the queue drains
+        queue.on('pause', () => stream.hold(true));
+        queue.on('resume', () => stream.hold(false));
+        // Packets arrive as datagrams, or as stream messages from peers without them
+        const receive = (packet) => {
+            if (handle.admit(channel, 'download', packet.length)) stream.receive(packet);
+        };
+        channel.on('data', receive);
+        channel.on('message', receive);
+        channel.once('close', () => stream.destroy());
+        // A stream that delivered both halves ends the channel, where a reset could cut off
+        // data the peer is still writing to its socket
+        stream.once('close', () => {
+            if (stream.retransmits) logger.debug(`TCP-UDP stream closed after ${stream.retransmits} retransmission(s)`);
+            if (stream.readableEnded && stream.writableFinished) queue.end();
+            else channel.destroy();
         });
+        return stream;
     }
 }
 
@@ -1,73 +1,136 @@
 const udp = require('dgram');
-const pump = require("pump");
+const RelayHandle = require('../utils/relay-handle');
+const { UdpSessionTable } = require('../utils/udp-sessions');
+const { assertNetworkHost } = require('../utils/unix-socket');
+const { resolveHost, formatHostPort, udpType } = require('../utils/address');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
 
 /**
  * UDP Client Relay Module
- * Connects to remote DHT peer and relays to local UDP port
+ * Binds a local UDP port and relays each local sender as its own
+ * channel over the shared DHT connection, asking for unreliable datagrams
+ * unless options.udpMode is 'stream'
  */
 class UdpClientRelay {
-    constructor(dhtNode) {
+    constructor(dhtNode, transport, limiter = null) {
         this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
     }
 
-    async createClient(publicKey, port, config = {}) {
+    async createClient(publicKey, port, options = {}) {
         const {
             host = '127.0.0.1',
-            timeout = 15000
-        } = config;
+            localPort = port
+        } = options;
+        const limits = config.createRelayConfig('udp', options);
+        const datagrams = config.resolveUdpMode(options) === 'datagram';
+        const service = `udp:${port}`;
+        assertNetworkHost(host, 'udp');
 
-        const socket = this.node.connect(publicKey, { reusableSocket: true });
-        
-        return new Promise((resolve, reject) => {
-            socket.on('open', () => {
-                console.log('dht udp connection established, creating local udp socket');
-                const udpSocket = udp.createSocket('udp4');
-                
-                const cleanup = () => {
-                    console.log('udp client connection ended, cleaning up');
-                    udpSocket.close();
-                    socket.end();
-                };
+        // Fails fast if the server does not offer the service to us
+        await this.transport.probe(publicKey, service, { reconnect: options.reconnect });
 
-                // Handle data from DHT connection
-                socket.on('data', (data) => {
-                    try {
-                        udpSocket.send(data, port, host, (err) => {
-                            if (err) {
-                                console.error('udp client send error:', err.message);
-                            }
-                        });
-                    } catch (error) {
-                        console.error('udp client send exception:', error.message);
-                    }
-                });
+        // The local socket binds to the resolved host, in its family
+        const local = await resolveHost(host);
+        const udpSocket = udp.createSocket(udpType(local.family));
+        const sessions = new UdpSessionTable({
+            maxSessions: limits.maxSessions,
+            idleTimeout: limits.idleTimeout,
+            onExpire: (session) => {
+                logger.debug(`UDP session ${session.id} (${session.key}) expired`);
+                session.opening.then((channel) => channel.end(), () => {});
+            }
+        }).start();
 
-                // Handle responses from local UDP socket
-                udpSocket.on('message', (msg, rinfo) => {
-                    if (socket.destroyed === false) {
-                        socket.write(msg);
-                    }
-                });
+        const handle = new RelayHandle({
+            mode: 'client',
+            session: () => this.transport.session(publicKey),
+            service,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            limits,
+            // Datagram sessions carry nothing in flight, so end them as soon as we stop
+            stop: () => {
+                for (const channel of handle.channels) channel.end();
+            },
+            release: () => {
+                sessions.clear();
+                udpSocket.close();
+            }
+        });
 
-                udpSocket.on('error', (err) => {
-                    console.error('local udp socket error:', err.message);
-                    cleanup();
-                    reject(err);
-                });
+        const openSession = (rinfo) => {
+            const key = `${rinfo.address}:${rinfo.port}`;
+            const session = sessions.open({ id: sessions.nextId(), key, address: rinfo.address, port: rinfo.port });
+            if (!session) return null;
 
-                socket.on('error', (err) => {
-                    console.error('dht udp socket error:', err.message);
-                    cleanup();
-                    reject(err);
-                });
+            logger.debug(`UDP session ${session.id} opened for ${key}`);
+            session.opening = this.transport.openChannel(publicKey, { service, datagrams });
+            session.opening.then((channel) => {
+                handle.track(channel);
+                session.queue = handle.queue(channel);
+                if (!handle.accepting) channel.end();
 
-                resolve(socket);
+                // Route each channel message or datagram back to the local sender that owns it
+                const relay = (datagram) => {
+                    sessions.touch(session);
+                    if (!handle.admit(channel, 'download', datagram.length)) return;
+                    udpSocket.send(datagram, session.port, session.address, (err) => {
+                        if (err) {
+                            logger.error(`UDP client send error: ${err.message}`);
+                            handle.recordError();
+                        }
+                    });
+                };
+                channel.on('data', relay);
+                channel.on('message', relay);
+                channel.on('open', () => {
+                    if (datagrams && !channel.datagrams) logger.debug(`Server does not take datagrams for ${service}, relaying on the stream`);
+                });
+                channel.on('error', (err) => logger.debug(`UDP channel for ${key} closed: ${err.message}`));
+                channel.on('close', () => sessions.close(session.id));
+            }, (err) => {
+                logger.error(`Could not open UDP session for ${key}: ${err.message}`);
+                handle.recordError();
+                sessions.close(session.id);
             });
+            return session;
+        };
+
+        udpSocket.on('message', (msg, rinfo) => {
+            if (!handle.accepting) return;
+            const session = sessions.lookup(`${rinfo.address}:${rinfo.port}`) || openSession(rinfo);
+            if (!session) {
+                logger.warn(`UDP session limit of ${sessions.maxSessions} reached, dropping datagram`);
+                handle.refused++;
+                return;
+            }
+            sessions.touch(session);
+            session.opening.then((channel) => {
+                // Datagrams over the rate limit are dropped, those the peer is too slow for queued,
+                // and those that reach a paused queue dropped before they count against the limit
+                if (!channel.destroyed && (session.queue.paused || handle.admit(channel, 'upload', msg.length))) session.queue.push(msg);
+            }, () => {});
+        });
 
-            socket.on('error', (err) => {
-                console.error('dht udp connection error:', err.message);
+        return new Promise((resolve, reject) => {
+            udpSocket.once('error', (err) => {
+                logger.error(`Local UDP socket error: ${err.message}`);
+                sessions.clear();
                 reject(err);
             });
+
+            udpSocket.bind(localPort, local.address, () => {
+                logger.info(`UDP client listening on ${formatHostPort(local.address, localPort)}`);
+                udpSocket.removeAllListeners('error');
+                udpSocket.on('error', (err) => {
+                    logger.error(`Local UDP socket error: ${err.message}`);
+                    handle.recordError();
+                });
+                resolve(handle);
+            });
         });
     }
 }
@@ -1,72 +1,134 @@
 const udp = require('dgram');
-const pump = require("pump");
 const { ErrorHandler } = require('../utils/error-handler');
+const Allowlist = require('../utils/allowlist');
+const RelayHandle = require('../utils/relay-handle');
+const { UdpSessionTable } = require('../utils/udp-sessions');
+const { assertNetworkHost } = require('../utils/unix-socket');
+const { resolveHost, formatHostPort, udpType } = require('../utils/address');
+const { config } = require('../utils/config');
 const { logger } = require('../utils/logger');
 
 /**
  * UDP Server Relay Module
- * Handles incoming UDP packets and relays them to target host:port
+ * Relays each tunnelled UDP session to target host:port through its own
+ * upstream socket, one datagram per channel message. The host is resolved
+ * for every session, whose socket family follows the address. Datagrams go
+ * unreliably beside the stream when the client asks to and udpMode allows,
+ * so one lost packet does not hold back the ones after it.
  */
 class UdpServerRelay {
-    constructor(dhtNode) {
+    constructor(dhtNode, transport, limiter = null) {
         this.node = dhtNode;
+        this.transport = transport;
+        this.limiter = limiter;
     }
 
-    async createServer(keyPair, port, host) {
-        const server = this.node.createServer({ reusableSocket: true });
-        
-        server.on("connection", (servsock) => {
-            logger.info(`New UDP connection, creating socket to port ${port}`);
-            const socket = udp.createSocket('udp4');
-            
-            // Track UDP socket connections
-            const udpConnections = new Map();
-            
-            const cleanup = () => {
-                logger.debug('UDP server connection ended, cleaning up');
+    async createServer(keyPair, port, host, options = {}) {
+        assertNetworkHost(host, 'udp');
+        const limits = config.createRelayConfig('udp', options);
+        const datagrams = config.resolveUdpMode(options) === 'datagram';
+        const sessions = new UdpSessionTable({
+            maxSessions: limits.maxSessions,
+            idleTimeout: limits.idleTimeout,
+            onExpire: (session) => {
+                logger.debug(`UDP session ${session.id} closed`);
+                session.channel.destroy();
+                session.socket.close();
+            }
+        }).start();
+
+        const service = `udp:${port}`;
+        let registration = null;
+        const allowlist = Allowlist.from(options.allowlist);
+        const handle = new RelayHandle({
+            mode: 'server',
+            service,
+            limiter: this.limiter,
+            rateLimit: options.rateLimit,
+            limits,
+            allowlist,
+            // Datagram sessions carry nothing in flight, so end them as soon as we stop
+            stop: () => {
+                registration.stop();
+                for (const channel of handle.channels) channel.end();
+            },
+            release: async () => {
+                sessions.clear();
+                await registration.close();
+            }
+        });
+
+        registration = await this.transport.listen(keyPair, service, async (channel) => {
+            let target;
+            try {
+                target = await resolveHost(host);
+            } catch (err) {
+                logger.warn(`Rejected UDP session: ${err.message}`);
+                handle.recordError();
+                channel.reject(err.message);
+                return;
+            }
+            if (channel.destroyed) return;
+            const socket = udp.createSocket(udpType(target.family));
+            const session = sessions.open({ id: sessions.nextId(), socket, channel });
+            if (!session) {
+                logger.warn(`UDP session limit of ${sessions.maxSessions} reached, rejecting session`);
+                handle.refused++;
                 socket.close();
-                servsock.destroy();
-                udpConnections.clear();
+                channel.reject('UDP session limit reached');
+                return;
+            }
+            handle.track(channel);
+            const queue = handle.queue(channel);
+
+            logger.info(`New UDP session ${session.id}, relaying to ${formatHostPort(target.address, port)} (${sessions.size} active)`);
+            const close = () => {
+                if (sessions.close(session.id)) {
+                    logger.debug(`UDP session ${session.id} closed`);
+                    socket.close();
+                    channel.destroy();
+                }
             };
 
-            // Handle data from DHT connection
-            servsock.on('data', (data) => {
+            // Each channel message or datagram is exactly one datagram from the client
+            const relay = (datagram) => {
+                sessions.touch(session);
+                if (!handle.admit(channel, 'download', datagram.length)) return;
                 try {
-                    socket.send(data, port, host, (err) => {
+                    socket.send(datagram, port, target.address, (err) => {
                         if (err) {
                             ErrorHandler.handle(ErrorHandler.createConnectionError(err.message, 'udp'), 'UDP send');
-                            cleanup();
+                            handle.recordError();
                         }
                     });
                 } catch (error) {
                     ErrorHandler.handle(ErrorHandler.createConnectionError(error.message, 'udp'), 'UDP send');
-                    cleanup();
+                    handle.recordError();
                 }
-            });
+            };
+            channel.on('data', relay);
+            channel.on('message', relay);
 
-            // Handle responses from UDP socket
-            socket.on('message', (msg, rinfo) => {
-                if (servsock.destroyed === false) {
-                    servsock.write(msg);
-                }
+            // Route upstream replies back through this session's channel, queueing
+            // them while a slow peer holds back credit; a paused queue drops them
+            // here, before they count against the rate limit
+            socket.on('message', (msg) => {
+                sessions.touch(session);
+                if (queue.paused || handle.admit(channel, 'upload', msg.length)) queue.push(msg);
             });
 
             socket.on('error', (err) => {
-                ErrorHandler.handle(ErrorHandler.createConnectionError(err.message, 'udp'), 'UDP socket');
-                cleanup();
+                ErrorHandler.handle(ErrorHandler.createConnectionError(err.message, 'udp', { session: session.id }), 'UDP socket');
+                handle.recordError();
+                close();
             });
 
-            servsock.on('error', (err) => {
-                ErrorHandler.handle(ErrorHandler.createConnectionError(err.message, 'server'), 'UDP server socket');
-                cleanup();
-            });
-
-            // Setup pump for bi-directional relay
-            pump(servsock, socket, servsock, cleanup);
-        });
+            channel.on('error', (err) => logger.debug(`UDP channel error: ${err.message}`));
+            channel.on('close', close);
+            channel.accept({ datagrams });
+        }, { allowlist, label: options.label, description: options.description });
 
-        await server.listen(keyPair);
-        return server;
+        return handle;
     }
 }
 
@@ -0,0 +1,57 @@
+const dns = require('dns');
+const net = require('net');
+const { ErrorHandler } = require('./error-handler');
+
+/**
+ * Address Utility
+ * Host parsing and resolution shared by the relays, so that IPv4 and IPv6
+ * addresses and host names all pick the right socket family
+ */
+
+/**
+ * Normalize a host given on the command line or in a config file, where an
+ * IPv6 address may be written in brackets. The port is always set on its own,
+ * so '[::1]:8080' is refused rather than taken for a host name.
+ * @param {string} host - Host name, IP address, '[::1]' or 'unix:/path'
+ * @returns {string} Host without brackets
+ */
+function parseHost(host) {
+    const text = String(host).trim();
+    if (/^\[.*\]:\d+$/.test(text)) {
+        throw ErrorHandler.createConfigurationError(`Host ${text} includes a port: give the port separately`, 'host', host);
+    }
+    const match = /^\[(.*)\]$/.exec(text);
+    if (!match) return text;
+    if (!net.isIPv6(match[1])) {
+        throw ErrorHandler.createConfigurationError(`Invalid IPv6 address: ${text}`, 'host', host);
+    }
+    return match[1];
+}
+
+// host:port for logs, with an IPv6 address in brackets
+function formatHostPort(host, port) {
+    return net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+/**
+ * Resolve a host to the address to use; IP addresses are returned as they are
+ * @param {string} host - Host name or IP address
+ * @returns {Promise<Object>} { address, family }
+ */
+async function resolveHost(host) {
+    const family = net.isIP(host);
+    if (family) return { address: host, family };
+    try {
+        const { address, family: resolved } = await dns.promises.lookup(host);
+        return { address, family: resolved };
+    } catch (err) {
+        throw ErrorHandler.createConnectionError(`Could not resolve ${host}: ${err.code || err.message}`, 'dns', { host });
+    }
+}
+
+// dgram socket type for an address family
+function udpType(family) {
+    return family === 6 ? 'udp6' : 'udp4';
+}
+
+module.exports = { parseHost, formatHostPort, resolveHost, udpType };
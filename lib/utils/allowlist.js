@@ -0,0 +1,132 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const bs58 = require('bs58').default;
+const { ErrorHandler } = require('./error-handler');
+const { logger } = require('./logger');
+
+/**
+ * Client Allowlist
+ * The client public keys a server relay accepts, given as hex or base58.
+ * The list can be replaced at runtime, or loaded from a file (one key per
+ * line, '#' starts a comment) that is reloaded whenever it changes, until
+ * the last relay using it releases it.
+ *
+ * Events: 'change'
+ */
+class Allowlist extends EventEmitter {
+    constructor(keys = []) {
+        super();
+        this.keys = new Set();
+        this.file = null;
+        this.watcher = null;
+        this.users = 0;
+        this.set(keys);
+    }
+
+    /**
+     * Build an allowlist from a config value
+     * @param {Allowlist|Array<string>|string|null} value - Existing list, keys, or a file path to watch
+     * @returns {Allowlist|null} Allowlist, or null when no allowlist is configured
+     */
+    static from(value) {
+        if (value === undefined || value === null) return null;
+        if (value instanceof Allowlist) return value;
+        if (typeof value === 'string') return Allowlist.fromFile(value).watch();
+        return new Allowlist(value);
+    }
+
+    static fromFile(file) {
+        const allowlist = new Allowlist();
+        allowlist.file = file;
+        allowlist.set(Allowlist.readFile(file));
+        return allowlist;
+    }
+
+    static readFile(file) {
+        return fs.readFileSync(file, 'utf8')
+            .split(/\r?\n/)
+            .map((line) => line.replace(/#.*/, '').trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Normalize a public key to hex
+     * @param {string|Buffer} key - Hex or base58 public key
+     * @returns {string} 64 character hex key
+     */
+    static parseKey(key) {
+        if (Buffer.isBuffer(key)) return key.toString('hex');
+        const text = String(key).trim();
+        let decoded = null;
+        try {
+            decoded = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(bs58.decode(text));
+        } catch (_) {}
+        if (!decoded || decoded.length !== 32) {
+            throw ErrorHandler.createConfigurationError(`Invalid client public key: ${text}`, 'allowlist', text);
+        }
+        return decoded.toString('hex');
+    }
+
+    get size() {
+        return this.keys.size;
+    }
+
+    allows(publicKey) {
+        return !!publicKey && this.keys.has(Allowlist.parseKey(publicKey));
+    }
+
+    /**
+     * Replace the permitted keys; connected peers that are no longer listed are dropped
+     * @param {Array<string|Buffer>} keys - Hex or base58 public keys
+     */
+    set(keys) {
+        this.keys = new Set(keys.map(Allowlist.parseKey));
+        this.emit('change', this);
+    }
+
+    reload() {
+        if (!this.file) return;
+        try {
+            this.set(Allowlist.readFile(this.file));
+            logger.info(`Reloaded allowlist ${this.file} (${this.size} key(s))`);
+        } catch (error) {
+            logger.error(`Could not reload allowlist ${this.file}, keeping the previous keys: ${error.message}`);
+        }
+    }
+
+    watch(interval = 2000) {
+        if (this.file && !this.watcher) {
+            this.watcher = () => this.reload();
+            fs.watchFile(this.file, { interval, persistent: false }, this.watcher);
+        }
+        return this;
+    }
+
+    unwatch() {
+        if (this.watcher) {
+            fs.unwatchFile(this.file, this.watcher);
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Count a relay as using this list, so a list shared by several relays keeps
+     * watching its file until all of them are closed
+     * @returns {Allowlist} This allowlist
+     */
+    retain() {
+        this.users++;
+        return this;
+    }
+
+    // Stop watching the file once no relay uses the list
+    release() {
+        if (this.users > 0 && --this.users === 0) this.unwatch();
+    }
+
+    toJSON() {
+        return [...this.keys];
+    }
+}
+
+module.exports = Allowlist;
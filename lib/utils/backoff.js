@@ -0,0 +1,39 @@
+const { config } = require('./config');
+
+/**
+ * Exponential Backoff
+ * Produces retry delays that grow exponentially, randomised by a jitter
+ * factor so that many clients do not retry in lockstep
+ */
+class Backoff {
+    constructor(options = {}) {
+        this.initialDelay = options.initialDelay ?? config.get('reconnect.initialDelay');
+        this.maxDelay = options.maxDelay ?? config.get('reconnect.maxDelay');
+        this.factor = options.factor ?? config.get('reconnect.factor');
+        this.jitter = options.jitter ?? config.get('reconnect.jitter');
+        this.maxRetries = options.maxRetries ?? config.get('reconnect.maxRetries');
+        this.attempt = 0;
+    }
+
+    get exhausted() {
+        return this.attempt >= this.maxRetries;
+    }
+
+    /**
+     * Advance to the next attempt
+     * @returns {number|null} Delay in ms before the attempt, or null once the retry limit is reached
+     */
+    next() {
+        if (this.exhausted) return null;
+        this.attempt++;
+        const base = Math.min(this.maxDelay, this.initialDelay * Math.pow(this.factor, this.attempt - 1));
+        const spread = base * this.jitter;
+        return Math.max(0, Math.round(base - spread + Math.random() * spread * 2));
+    }
+
+    reset() {
+        this.attempt = 0;
+    }
+}
+
+module.exports = Backoff;
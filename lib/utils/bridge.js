@@ -0,0 +1,107 @@
+const net = require('net');
+const { ErrorHandler } = require('./error-handler');
+const { config } = require('./config');
+
+/**
+ * LAN Bridge Utility
+ * Discovery rules and the messages of a bridge channel. A rule is a UDP port
+ * on which games find each other, with the multicast group they use, or
+ * limited broadcast (255.255.255.255) without one.
+ *
+ * Every channel message is [kind u8][port u16][payload]
+ */
+
+const BROADCAST = '255.255.255.255';
+
+const KINDS = {
+    RULES: 0,       // server to client, payload: JSON rules, sent once when the channel opens
+    PROBE: 1,       // client to server, a discovery packet sent on the client's machine
+    REPLY: 2,       // server to client, a unicast answer to a probe
+    ANNOUNCE: 3     // server to client, a broadcast or multicast packet seen on the server's LAN
+};
+
+/**
+ * Parse discovery rules
+ * @param {Array|string|number} value - '<port>[@<group>]' strings, comma separated, or { port, group } objects
+ * @returns {Array<Object>} { port, group } rules, group null for broadcast
+ */
+function parseBridgeRules(value) {
+    const entries = Array.isArray(value) ? value : String(value).split(',');
+    return entries.filter((entry) => String(entry).trim() !== '').map((entry) => {
+        const [port, group = null] = typeof entry === 'object' ? [entry.port, entry.group] : String(entry).trim().split('@');
+        if (group !== null && !(net.isIPv4(group) && parseInt(group, 10) >= 224 && parseInt(group, 10) <= 239)) {
+            throw ErrorHandler.createConfigurationError(`Invalid multicast group: ${group}`, 'bridge', entry);
+        }
+        return { port: config.validatePort(port), group };
+    });
+}
+
+// Where a rule's packets are sent: its group, or limited broadcast
+function ruleAddress(rule) {
+    return rule.group || BROADCAST;
+}
+
+function encodeBridgeMessage(kind, port, payload) {
+    const header = Buffer.allocUnsafe(3);
+    header.writeUInt8(kind, 0);
+    header.writeUInt16BE(port, 1);
+    return Buffer.concat([header, payload]);
+}
+
+function decodeBridgeMessage(buffer) {
+    if (buffer.length < 3) return null;
+    return { kind: buffer.readUInt8(0), port: buffer.readUInt16BE(1), payload: buffer.subarray(3) };
+}
+
+/**
+ * Point a discovery packet at the client's forwarded ports by replacing each
+ * remote port written in it as text, such as '[AD]25565[/AD]', with its local port
+ * @param {Buffer} payload - Packet from the server's LAN
+ * @param {Map<number, number>} ports - Remote port to local port
+ * @returns {Buffer} Rewritten packet, the same buffer if nothing changed
+ */
+function rewritePorts(payload, ports) {
+    if (ports.size === 0) return payload;
+    const text = payload.toString('latin1');
+    let changed = false;
+    const rewritten = text.replace(/(?<!\d)\d{1,5}(?!\d)/g, (digits) => {
+        const local = ports.get(Number(digits));
+        if (local === undefined) return digits;
+        changed = true;
+        return String(local);
+    });
+    return changed ? Buffer.from(rewritten, 'latin1') : payload;
+}
+
+/**
+ * Echo Filter
+ * Remembers the packets that crossed the tunnel for a moment. When both ends
+ * share a network, a packet replayed on one side is heard again by the other
+ * and would go round forever; games repeat their own packets less often.
+ */
+class EchoFilter {
+    constructor(window = 750) {
+        this.window = window;
+        this.recent = new Map();
+    }
+
+    /**
+     * Record a packet, or drop it when it crossed within the window
+     * @param {number} port - Discovery port
+     * @param {Buffer} payload - Packet as it crossed, before rewriting
+     * @returns {boolean} True if the packet is an echo
+     */
+    echo(port, payload) {
+        const now = Date.now();
+        for (const [key, at] of this.recent) {
+            if (now - at <= this.window) break;
+            this.recent.delete(key);
+        }
+        const key = `${port}:${payload.toString('latin1')}`;
+        if (this.recent.has(key)) return true;
+        this.recent.set(key, now);
+        return false;
+    }
+}
+
+module.exports = { BROADCAST, KINDS, parseBridgeRules, ruleAddress, encodeBridgeMessage, decodeBridgeMessage, rewritePorts, EchoFilter };
@@ -2,25 +2,71 @@
  * Configuration Utility
  * Centralizes configuration values and provides validation
  */
+
+
+// Relay protocols; the proxies have no fixed port and share one proxy service on the server
+const PROTOCOLS = ['tcp', 'udp', 'tcpudp', 'socks', 'http-proxy'];
+const PROXY_PROTOCOLS = ['socks', 'http-proxy'];
+// How UDP relays carry datagrams: unreliably beside the stream where both peers can, or on it
+const UDP_MODES = ['datagram', 'stream'];
+// What a full queue of datagrams waiting for a slow peer does with one more;
+// a paused TCP-UDP connection stops reading its stream, a UDP relay drops at its socket
+const DROP_POLICIES = ['drop-oldest', 'drop-newest', 'pause'];
+
 class Config {
     constructor() {
         // Default configuration values
         this.defaults = {
             network: {
-                timeout: 15000,           // 15 seconds
+                timeout: 15000,           // 15 seconds to reach the target or open a tunnel
+                idleTimeout: 300000,      // 5 minutes without traffic closes a TCP connection, 0 = never
+                maxConnections: 0,        // per relay, 0 = unlimited
                 host: '127.0.0.1',
                 allowHalfOpen: false,
                 reusableSocket: true
             },
             protocols: {
                 tcp: { port: 3000 },
-                udp: { port: 3001 },
-                tcpudp: { port: 3002 }
+                udp: {
+                    port: 3001,
+                    maxSessions: 256,       // per relay, 0 = unlimited
+                    sessionTimeout: 30000,  // 30 seconds idle, 0 = never
+                    mode: 'datagram',       // see UDP_MODES
+                    queueLimit: 256,        // datagrams per session waiting for the peer, 0 = unlimited
+                    dropPolicy: 'drop-oldest' // see DROP_POLICIES, also for tcpudp packets
+                },
+                tcpudp: { port: 3002 },
+                socks: {
+                    port: 1080,
+                    targets: {              // what a SOCKS server may connect to
+                        hosts: ['127.0.0.0/8', '::1'],
+                        ports: null         // null = any port
+                    }
+                },
+                'http-proxy': { port: 8080 }
+            },
+            reconnect: {
+                initialDelay: 1000,       // 1 second
+                maxDelay: 30000,          // 30 seconds
+                factor: 2,
+                jitter: 0.25,             // +/- 25% of each delay
+                maxRetries: 10
+            },
+            rateLimit: {                  // bytes per second, 0 = unlimited
+                upload: 0,
+                download: 0,
+                perPeer: { upload: 0, download: 0 }
+            },
+            heartbeat: {                  // pings on every peer connection
+                interval: 5000,           // 5 seconds, 0 = no heartbeat
+                misses: 3                 // silent intervals before the peer counts as gone
+            },
+            shutdown: {
+                gracePeriod: 5000         // 5 seconds to drain live connections
             },
             logging: {
                 level: 'info',
-                cleanupInterval: 10000,   // 10 seconds
-                connectionTimeout: 30000  // 30 seconds
+                cleanupInterval: 10000    // 10 seconds
             }
         };
     }
@@ -95,6 +141,75 @@ class Config {
         return timeoutNum;
     }
 
+    validateLimit(value, name) {
+        const limit = parseInt(value);
+        if (isNaN(limit) || limit < 0) {
+            throw new Error(`Invalid ${name}: ${value}. Must be 0 (no limit) or more.`);
+        }
+        return limit;
+    }
+
+    validateDropPolicy(policy) {
+        if (!DROP_POLICIES.includes(policy)) {
+            throw new Error(`Invalid drop policy: ${policy}. Must be one of ${DROP_POLICIES.join(', ')}.`);
+        }
+        return policy;
+    }
+
+    /**
+     * Override the timeouts and limits every relay starts with
+     * @param {Object} limits - Any of connectTimeout, idleTimeout, maxConnections, maxSessions,
+     *   queueLimit, dropPolicy, udpMode, heartbeatInterval, heartbeatMisses; idleTimeout applies
+     *   to TCP connections and UDP sessions alike, the heartbeat to every peer connection
+     */
+    setRelayDefaults(limits = {}) {
+        if (limits.connectTimeout !== undefined) this.set('network.timeout', this.validateTimeout(limits.connectTimeout));
+        if (limits.idleTimeout !== undefined) {
+            const idleTimeout = this.validateLimit(limits.idleTimeout, 'idleTimeout');
+            this.set('network.idleTimeout', idleTimeout);
+            this.set('protocols.udp.sessionTimeout', idleTimeout);
+        }
+        if (limits.maxConnections !== undefined) this.set('network.maxConnections', this.validateLimit(limits.maxConnections, 'maxConnections'));
+        if (limits.maxSessions !== undefined) this.set('protocols.udp.maxSessions', this.validateLimit(limits.maxSessions, 'maxSessions'));
+        if (limits.queueLimit !== undefined) this.set('protocols.udp.queueLimit', this.validateLimit(limits.queueLimit, 'queueLimit'));
+        if (limits.dropPolicy !== undefined) this.set('protocols.udp.dropPolicy', this.validateDropPolicy(limits.dropPolicy));
+        if (limits.udpMode !== undefined) this.set('protocols.udp.mode', this.resolveUdpMode(limits));
+        if (limits.heartbeatInterval !== undefined) this.set('heartbeat.interval', this.validateLimit(limits.heartbeatInterval, 'heartbeatInterval'));
+        if (limits.heartbeatMisses !== undefined) this.set('heartbeat.misses', this.validateLimit(limits.heartbeatMisses, 'heartbeatMisses'));
+    }
+
+    /**
+     * Resolve the timeouts and limits of one relay
+     * @param {string} protocol - 'tcp', 'udp' or 'tcpudp'
+     * @param {Object} [options] - Relay options overriding the defaults
+     * @returns {Object} { connectTimeout, idleTimeout, maxConnections, maxSessions, queueLimit, dropPolicy }
+     */
+    createRelayConfig(protocol, options = {}) {
+        const idleDefault = protocol === 'udp' ? this.get('protocols.udp.sessionTimeout') : this.get('network.idleTimeout');
+        const dropPolicy = this.validateDropPolicy(options.dropPolicy ?? this.get('protocols.udp.dropPolicy'));
+        return {
+            connectTimeout: this.validateTimeout(options.connectTimeout ?? options.timeout ?? this.get('network.timeout')),
+            idleTimeout: this.validateLimit(options.idleTimeout ?? idleDefault, 'idleTimeout'),
+            maxConnections: this.validateLimit(options.maxConnections ?? this.get('network.maxConnections'), 'maxConnections'),
+            maxSessions: this.validateLimit(options.maxSessions ?? this.get('protocols.udp.maxSessions'), 'maxSessions'),
+            queueLimit: this.validateLimit(options.queueLimit ?? this.get('protocols.udp.queueLimit'), 'queueLimit'),
+            dropPolicy
+        };
+    }
+
+    /**
+     * Resolve how a UDP relay carries its datagrams
+     * @param {Object} [options] - Relay options, whose udpMode overrides the default
+     * @returns {string} 'datagram' or 'stream'
+     */
+    resolveUdpMode(options = {}) {
+        const mode = options.udpMode ?? this.get('protocols.udp.mode');
+        if (!UDP_MODES.includes(mode)) {
+            throw new Error(`Invalid UDP mode: ${mode}. Must be one of ${UDP_MODES.join(', ')}.`);
+        }
+        return mode;
+    }
+
     createConnectionConfig(options = {}) {
         return {
             host: this.validateHost(options.host || this.get('network.host')),
@@ -113,4 +228,4 @@ class Config {
 // Create default configuration instance
 const config = new Config();
 
-module.exports = { Config, config };
+module.exports = { Config, config, PROTOCOLS, PROXY_PROTOCOLS, UDP_MODES, DROP_POLICIES };
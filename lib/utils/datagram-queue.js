@@ -0,0 +1,89 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Datagram Queue
+ * Holds the datagrams a channel cannot take yet, while it waits for credit
+ * from a slow peer, so memory stays bounded however fast the reader is.
+ * A full queue drops its oldest datagram for the new one (drop-oldest),
+ * drops the new one (drop-newest), or drops everything offered until it has
+ * drained and emits 'pause' and 'resume' so a stream reader can be held
+ * back meanwhile (pause). Every dropped datagram emits 'drop'.
+ */
+class DatagramQueue extends EventEmitter {
+    /**
+     * @param {Channel} channel - Channel the datagrams go to
+     * @param {Object} [options] - Queue options
+     * @param {number} [options.limit] - Datagrams held at most, 0 = unlimited
+     * @param {string} [options.policy] - 'drop-oldest', 'drop-newest' or 'pause'
+     */
+    constructor(channel, options = {}) {
+        super();
+        this.channel = channel;
+        this.limit = options.limit || 0;
+        this.policy = options.policy || 'drop-oldest';
+        this.queue = [];
+        this.paused = false;
+        this.ending = false;
+        channel.on('drain', () => this._flush());
+        channel.once('close', () => {
+            this.queue = [];
+        });
+    }
+
+    get length() {
+        return this.queue.length;
+    }
+
+    /**
+     * Send a datagram now if the channel has room, or queue it
+     * @param {Buffer} datagram - Datagram to send
+     * @returns {boolean} False if the datagram was dropped
+     */
+    push(datagram) {
+        if (this.channel.destroyed || this.ending) return false;
+        if (!this.queue.length && !this.channel.writableNeedDrain) {
+            this.channel.sendDatagram(datagram);
+            return true;
+        }
+        if (this.paused) return this._drop();
+        if (this.limit && this.queue.length >= this.limit) {
+            if (this.policy === 'drop-newest') return this._drop();
+            if (this.policy === 'pause') {
+                this.paused = true;
+                this.emit('pause');
+                return this._drop();
+            }
+            this.queue.shift();
+            this._drop();
+        }
+        this.queue.push(datagram);
+        return true;
+    }
+
+    /**
+     * End the channel once the queued datagrams are sent
+     */
+    end() {
+        this.ending = true;
+        if (!this.queue.length && !this.channel.writableEnded) this.channel.end();
+    }
+
+    _drop() {
+        this.emit('drop');
+        return false;
+    }
+
+    _flush() {
+        while (this.queue.length && !this.channel.writableNeedDrain && !this.channel.destroyed) {
+            this.channel.sendDatagram(this.queue.shift());
+        }
+        if (this.queue.length) return;
+        if (this.paused) {
+            this.paused = false;
+            this.emit('resume');
+        }
+        if (this.ending && !this.channel.writableEnded) this.channel.end();
+    }
+}
+
+module.exports = { DatagramQueue };
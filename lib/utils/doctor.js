@@ -0,0 +1,238 @@
+const net = require('net');
+const dgram = require('dgram');
+const { performance } = require('perf_hooks');
+const { ErrorHandler } = require('./error-handler');
+const { config } = require('./config');
+const { resolveHost, udpType } = require('./address');
+const { socketPath, connectOptions, formatAddress } = require('./unix-socket');
+const { connectionPath } = require('./measure');
+
+/**
+ * Connectivity Diagnostics
+ * What `hyper-nat doctor` and the desktop app's Doctor screen check: the
+ * local DHT node and its NAT, the service a server forwards to, and a test
+ * connection to a peer. Each check reports { ok, ..., hints }, the hints
+ * saying what to try when it fails.
+ */
+
+// What a NAT does to the port of each new destination, as the DHT saw it
+const NAT_TYPES = {
+    open: 'Open: other peers can reach this machine directly',
+    consistent: 'Consistent: the NAT keeps one public port, so holepunching works',
+    random: 'Random: the NAT picks a new port per destination (symmetric NAT)',
+    unknown: 'Unknown: too few DHT nodes answered to tell'
+};
+
+// Hints for the errors a DHT connection fails with
+const CONNECTION_HINTS = {
+    PEER_NOT_FOUND: [
+        'The key is not announced on the DHT: check that the server is running and that the key is copied in full',
+        'A server that just started can take a minute to be found'
+    ],
+    HOLEPUNCH_DOUBLE_RANDOMIZED_NATS: [
+        'Both NATs pick random ports, which cannot be holepunched',
+        'Forward a UDP port or enable UPnP on either router, or run one end on another network, e.g. IPv6 or a VPS'
+    ],
+    REMOTE_NOT_HOLEPUNCHABLE: [
+        'The server\'s NAT cannot be holepunched: forward a UDP port or enable UPnP on its router'
+    ],
+    HOLEPUNCH_PROBE_TIMEOUT: [
+        'Holepunching started but no packets got through: a firewall on either side may drop unsolicited UDP',
+        'Allow node or hyper-nat through the firewall on both machines'
+    ],
+    HOLEPUNCH_ABORTED: [
+        'Holepunching was given up, usually because a NAT changed its mapping: try again'
+    ],
+    PEER_CONNECTION_FAILED: [
+        'The server refused the connection: if it uses an allowlist, its owner must add your client key'
+    ],
+    TIMEOUT_ERROR: [
+        'The connection did not finish in time: the server may be offline, or UDP may be blocked on either side'
+    ]
+};
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Rejects with a TimeoutError if the promise takes longer than the timeout
+function deadline(promise, timeout, message) {
+    let timer = null;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(ErrorHandler.createTimeoutError(message, timeout)), timeout);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check the local DHT node: whether it found other nodes, and what its NAT does
+ * @param {DHTRelay} relay - Relay whose node to check
+ * @returns {Promise<Object>} { ok, peers, firewalled, publicAddress, nat, natDescription, hints }
+ */
+async function checkNode(relay) {
+    await relay.initialize();
+    const node = relay.node;
+    const peers = node.nodes.length;
+    const nat = !node.firewalled ? 'open' : node.host === null ? 'unknown' : node.randomized ? 'random' : 'consistent';
+    const hints = [];
+
+    if (peers === 0) {
+        hints.push('No DHT nodes answered: check that this machine is online and that outgoing UDP is not blocked by a firewall, proxy or VPN');
+    } else if (nat === 'random') {
+        hints.push('Peers behind a random NAT too will not be able to connect: forward a UDP port or enable UPnP on the router, or use IPv6');
+    } else if (nat === 'unknown') {
+        hints.push('Run the doctor again in a minute, once more DHT nodes have answered');
+    }
+
+    return {
+        ok: peers > 0 && nat !== 'random',
+        peers,
+        firewalled: node.firewalled,
+        publicAddress: node.host ? `${node.host}:${node.port}` : null,
+        nat,
+        natDescription: NAT_TYPES[nat],
+        hints
+    };
+}
+
+// A UDP service only answers its own protocol, but a port nothing listens on
+// sends back an ICMP error that shows up as ECONNREFUSED
+async function probeUdp(host, port, timeout) {
+    const { address, family } = await resolveHost(host);
+    const socket = dgram.createSocket(udpType(family));
+    try {
+        await new Promise((resolve, reject) => {
+            socket.once('error', reject);
+            socket.connect(port, address, () => {
+                socket.send(Buffer.alloc(0));
+                setTimeout(resolve, Math.min(timeout, 500));
+            });
+        });
+    } finally {
+        socket.close();
+    }
+}
+
+function probeTcp(host, port, timeout) {
+    return deadline(new Promise((resolve, reject) => {
+        const socket = net.connect(connectOptions(host, port));
+        socket.once('connect', () => {
+            socket.destroy();
+            resolve();
+        });
+        socket.once('error', reject);
+    }), timeout, `No answer from ${formatAddress(host, port)} after ${timeout}ms`);
+}
+
+function targetHints(error, host, port) {
+    const address = formatAddress(host, port);
+    switch (error.code) {
+    case 'ECONNREFUSED':
+        return [
+            `Nothing listens on ${address}: start the service, or check the port`,
+            'A service that listens on another address, e.g. a LAN IP, must be given that address as its host'
+        ];
+    case 'ENOENT':
+        return [`There is no socket at ${socketPath(host)}: start the service, or check the path`];
+    case 'EACCES':
+    case 'EPERM':
+        return [`This user may not connect to ${address}: check the socket's permissions`];
+    case 'CONNECTION_ERROR':
+    case 'ENOTFOUND':
+    case 'EAI_AGAIN':
+        return [`${host} does not resolve: check the host name, or use an IP address`];
+    case 'EHOSTUNREACH':
+    case 'ENETUNREACH':
+        return [`There is no route to ${host}: check that it is on this machine's network`];
+    case 'TIMEOUT_ERROR':
+        return [`A firewall on this machine or ${host} drops connections to port ${port}`];
+    default:
+        return [`Check that the service on ${address} is running`];
+    }
+}
+
+/**
+ * Check that a server can reach the service it forwards to
+ * @param {string} host - Target host, or a unix: socket path
+ * @param {number} port - Target port
+ * @param {Object} [options] - Check options
+ * @param {string} [options.proto] - 'udp' to probe a UDP service, TCP otherwise
+ * @param {number} [options.timeout] - Milliseconds to wait for the service
+ * @returns {Promise<Object>} { ok, address, proto, time, error, hints }
+ */
+async function checkTarget(host, port, options = {}) {
+    const proto = options.proto === 'udp' ? 'udp' : 'tcp';
+    const timeout = options.timeout ?? config.get('network.timeout');
+    const started = performance.now();
+    const result = { ok: true, address: formatAddress(host, port), proto, time: null, error: null, hints: [] };
+    try {
+        await (proto === 'udp' ? probeUdp(host, port, timeout) : probeTcp(host, port, timeout));
+        // Silence is all a listening UDP service is sure to give back
+        if (proto === 'udp') result.hints.push('No error came back, which is as far as a UDP service can be checked without speaking its protocol');
+        else result.time = round(performance.now() - started);
+    } catch (err) {
+        result.ok = false;
+        result.error = err.message;
+        result.hints = targetHints(err, host, port);
+    }
+    return result;
+}
+
+/**
+ * Connect to a peer and report the path the connection took
+ * @param {DHTRelay} relay - Relay to connect from
+ * @param {Buffer} publicKey - Peer public key
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeout] - Milliseconds to wait for the connection
+ * @returns {Promise<Object>} { ok, publicKey, connectTime, path, remoteAddress, error, code, hints }
+ */
+async function checkConnection(relay, publicKey, options = {}) {
+    const timeout = options.timeout ?? config.get('network.timeout');
+    await relay.initialize();
+    const result = { ok: true, publicKey: publicKey.toString('hex'), connectTime: null, path: null, remoteAddress: null, error: null, code: null, hints: [] };
+    const started = performance.now();
+    try {
+        const session = await deadline(relay.transport.connect(publicKey, { reconnect: { maxRetries: 0 } }),
+            timeout, `No connection after ${timeout}ms`);
+        result.connectTime = round(performance.now() - started);
+        Object.assign(result, connectionPath(relay.node, session.socket));
+    } catch (err) {
+        result.ok = false;
+        result.error = err.message;
+        result.code = err.code || null;
+        // A copy, so the hint added below never ends up in the shared list
+        result.hints = [...(CONNECTION_HINTS[err.code] || ['Run the doctor on the server too, and compare both NATs'])];
+        if (relay.node.randomized && err.code !== 'HOLEPUNCH_DOUBLE_RANDOMIZED_NATS') {
+            result.hints.push('This machine\'s NAT picks random ports, so the server\'s NAT must not');
+        }
+    }
+    return result;
+}
+
+/**
+ * Run every check that applies: the node always, the target and the
+ * connection when a host and port or a key are given
+ * @param {DHTRelay} relay - Relay to check from
+ * @param {Object} [options] - What to check
+ * @param {string} [options.host] - Target host
+ * @param {number} [options.port] - Target port
+ * @param {string} [options.proto] - Target protocol
+ * @param {Buffer} [options.publicKey] - Peer to connect to
+ * @param {number} [options.timeout] - Milliseconds each check may take
+ * @returns {Promise<Object>} { ok, node, target, connection }, target and connection null when not checked
+ */
+async function diagnose(relay, options = {}) {
+    const node = await checkNode(relay);
+    const target = options.port !== undefined
+        ? await checkTarget(options.host || '127.0.0.1', options.port, options)
+        : null;
+    const connection = options.publicKey ? await checkConnection(relay, options.publicKey, options) : null;
+    return {
+        ok: [node, target, connection].every((check) => !check || check.ok),
+        node,
+        target,
+        connection
+    };
+}
+
+module.exports = { diagnose, checkNode, checkTarget, checkConnection, NAT_TYPES };
@@ -80,13 +80,24 @@ class ErrorHandler {
         const recoverableCodes = [
             'TIMEOUT_ERROR',
             'CONNECTION_ERROR',
-            'NETWORK_ERROR'
+            'NETWORK_ERROR',
+            // Transient DHT failures, e.g. the peer restarting or a NAT rebinding
+            'PEER_NOT_FOUND',
+            'PEER_CONNECTION_FAILED',
+            'HOLEPUNCH_ABORTED',
+            'HOLEPUNCH_PROBE_TIMEOUT',
+            'HANDSHAKE_UNFINISHED',
+            'REMOTE_ABORTED',
+            'ETIMEDOUT',
+            'ECONNRESET'
         ];
 
-        return recoverableCodes.includes(error.code) || 
-               error.message.includes('timeout') ||
-               error.message.includes('connection') ||
-               error.message.includes('network');
+        const message = error.message || '';
+        return recoverableCodes.includes(error.code) ||
+               message.includes('timeout') ||
+               message.includes('timed out') ||
+               message.includes('connection') ||
+               message.includes('network');
     }
 
     static createConnectionError(message, socketType = 'unknown', details = {}) {
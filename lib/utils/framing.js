@@ -0,0 +1,58 @@
+const { Transform } = require('stream');
+const { ErrorHandler } = require('./error-handler');
+
+/**
+ * Frame Encoding Utility
+ * Length-prefixes messages so their boundaries survive a byte stream
+ */
+
+const HEADER_SIZE = 4;
+const MAX_DATAGRAM_SIZE = 65507;   // largest payload of a single IPv4 UDP datagram
+
+function encodeFrame(payload, maxFrameSize = MAX_DATAGRAM_SIZE) {
+    if (payload.length > maxFrameSize) {
+        throw ErrorHandler.createProtocolError(
+            `Frame of ${payload.length} bytes exceeds limit of ${maxFrameSize}`,
+            'framing', 'encode', { size: payload.length, maxFrameSize }
+        );
+    }
+    const header = Buffer.allocUnsafe(HEADER_SIZE);
+    header.writeUInt32BE(payload.length, 0);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Splits a byte stream back into the frames written by encodeFrame.
+ * Emits one Buffer per frame; an oversized length header destroys the
+ * decoder since the stream cannot be resynchronised afterwards.
+ */
+class FrameDecoder extends Transform {
+    constructor(options = {}) {
+        super({ readableObjectMode: true });
+        this.maxFrameSize = options.maxFrameSize || MAX_DATAGRAM_SIZE;
+        this.buffered = Buffer.alloc(0);
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.buffered = this.buffered.length ? Buffer.concat([this.buffered, chunk]) : chunk;
+
+        while (this.buffered.length >= HEADER_SIZE) {
+            const size = this.buffered.readUInt32BE(0);
+            if (size > this.maxFrameSize) {
+                callback(ErrorHandler.createProtocolError(
+                    `Received frame of ${size} bytes exceeds limit of ${this.maxFrameSize}`,
+                    'framing', 'decode', { size, maxFrameSize: this.maxFrameSize }
+                ));
+                return;
+            }
+            if (this.buffered.length < HEADER_SIZE + size) break;
+
+            this.push(this.buffered.subarray(HEADER_SIZE, HEADER_SIZE + size));
+            this.buffered = this.buffered.subarray(HEADER_SIZE + size);
+        }
+
+        callback();
+    }
+}
+
+module.exports = { encodeFrame, FrameDecoder, HEADER_SIZE, MAX_DATAGRAM_SIZE };
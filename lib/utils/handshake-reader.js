@@ -0,0 +1,80 @@
+const { ErrorHandler } = require('./error-handler');
+
+/**
+ * Handshake Reader
+ * Reads the handshake off a client socket, then hands the socket back with
+ * any bytes read past the handshake put back for whoever reads it next
+ */
+class HandshakeReader {
+    /**
+     * @param {net.Socket} socket - Accepted client socket
+     * @param {string} protocol - Protocol name for errors, e.g. 'socks'
+     */
+    constructor(socket, protocol) {
+        this.socket = socket;
+        this.protocol = protocol;
+        this.buffered = Buffer.alloc(0);
+        this.waiting = null;
+        this.ended = false;
+        this.ondata = (chunk) => {
+            this.buffered = Buffer.concat([this.buffered, chunk]);
+            this._check();
+        };
+        this.onend = () => {
+            this.ended = true;
+            this._check();
+        };
+        socket.on('data', this.ondata);
+        socket.once('end', this.onend);
+        socket.once('close', this.onend);
+    }
+
+    /**
+     * Wait for a message
+     * @param {Function} parse - Called with the buffered bytes, returns { value, length } or null for more
+     * @returns {Promise<*>} Parsed value
+     */
+    read(parse) {
+        return new Promise((resolve, reject) => {
+            this.waiting = { parse, resolve, reject };
+            this._check();
+        });
+    }
+
+    /**
+     * Stop reading and leave the rest of the stream to the next reader
+     * @param {Buffer} [prefix] - Bytes the next reader should see first, e.g. a rewritten request
+     */
+    release(prefix = null) {
+        this.socket.off('data', this.ondata);
+        this.socket.off('end', this.onend);
+        this.socket.off('close', this.onend);
+        this.socket.pause();
+        if (prefix) this.buffered = Buffer.concat([prefix, this.buffered]);
+        if (this.buffered.length) this.socket.unshift(this.buffered);
+        this.buffered = Buffer.alloc(0);
+    }
+
+    _check() {
+        if (!this.waiting) return;
+        const { parse, resolve, reject } = this.waiting;
+        let message;
+        try {
+            message = parse(this.buffered);
+        } catch (err) {
+            this.waiting = null;
+            reject(err);
+            return;
+        }
+        if (message) {
+            this.waiting = null;
+            this.buffered = this.buffered.subarray(message.length);
+            resolve(message.value);
+        } else if (this.ended) {
+            this.waiting = null;
+            reject(ErrorHandler.createProtocolError('Connection closed during handshake', this.protocol, 'handshake'));
+        }
+    }
+}
+
+module.exports = HandshakeReader;
@@ -0,0 +1,84 @@
+const { ErrorHandler } = require('./error-handler');
+const { REPLIES, replyCode } = require('./socks');
+
+/**
+ * HTTP Proxy Utility
+ * Parsing of proxy request heads and the rewriting of absolute-URI requests
+ */
+
+const MAX_HEAD_SIZE = 65536;
+const HEAD_END = '\r\n\r\n';
+// Hop-by-hop headers meant for the proxy, not the destination
+const PROXY_HEADERS = ['proxy-connection', 'proxy-authorization', 'connection', 'keep-alive'];
+
+/**
+ * Parse a request head: request line and header lines up to the empty line
+ * @param {Buffer} buffer - Bytes read from the client so far
+ * @returns {Object|null} { value: { method, target, version, headers }, length }, or null for more
+ */
+function parseHead(buffer) {
+    const end = buffer.indexOf(HEAD_END);
+    if (end === -1) {
+        if (buffer.length > MAX_HEAD_SIZE) {
+            throw ErrorHandler.createProtocolError('Request head too large', 'http', 'parse');
+        }
+        return null;
+    }
+    const [line, ...headers] = buffer.subarray(0, end).toString('latin1').split('\r\n');
+    const match = /^([A-Z]+) (\S+) (HTTP\/1\.[01])$/.exec(line);
+    if (!match) throw ErrorHandler.createProtocolError(`Invalid request line: ${line.slice(0, 100)}`, 'http', 'parse');
+    return { value: { method: match[1], target: match[2], version: match[3], headers }, length: end + HEAD_END.length };
+}
+
+/**
+ * Parse the host:port of a CONNECT request
+ * @param {string} authority - e.g. 'example.com:443' or '[::1]:443'
+ * @returns {Object|null} { host, port }, or null if invalid
+ */
+function parseAuthority(authority) {
+    const match = /^(?:\[([^\]]+)\]|([^:]+)):(\d+)$/.exec(authority);
+    if (!match) return null;
+    const port = parseInt(match[3], 10);
+    return port >= 1 && port <= 65535 ? { host: match[1] || match[2], port } : null;
+}
+
+/**
+ * Turn an absolute-URI request into the origin-form request the destination expects,
+ * asking it to close the connection after the response so that every request on a
+ * client connection is tunnelled to its own destination
+ * @param {Object} head - Parsed request head
+ * @returns {Object|null} { host, port, head: Buffer }, or null if not an http:// URI
+ */
+function rewriteRequest(head) {
+    let url;
+    try {
+        url = new URL(head.target);
+    } catch (_) {
+        return null;
+    }
+    if (url.protocol !== 'http:') return null;
+    const headers = head.headers.filter((header) => !PROXY_HEADERS.includes(header.split(':')[0].trim().toLowerCase()));
+    if (!headers.some((header) => /^host\s*:/i.test(header))) headers.unshift(`Host: ${url.host}`);
+    const lines = [`${head.method} ${url.pathname}${url.search} ${head.version}`, ...headers, 'Connection: close'];
+    return {
+        host: url.hostname.replace(/^\[|\]$/g, ''),
+        port: url.port ? parseInt(url.port, 10) : 80,
+        head: Buffer.from(lines.join('\r\n') + HEAD_END, 'latin1')
+    };
+}
+
+// Response for a request the proxy could not tunnel, worded after the server's reason
+function errorResponse(err) {
+    const code = replyCode(err);
+    const status = code === REPLIES.NOT_ALLOWED ? '403 Forbidden'
+        : code === REPLIES.TTL_EXPIRED ? '504 Gateway Timeout'
+            : '502 Bad Gateway';
+    const body = `${err ? err.message : 'Proxy error'}\n`;
+    return Buffer.from(`HTTP/1.1 ${status}\r\nContent-Type: text/plain\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+}
+
+function simpleResponse(status) {
+    return Buffer.from(`HTTP/1.1 ${status}\r\nContent-Length: 0\r\nConnection: close\r\n\r\n`);
+}
+
+module.exports = { parseHead, parseAuthority, rewriteRequest, errorResponse, simpleResponse, MAX_HEAD_SIZE };
@@ -0,0 +1,240 @@
+const net = require('net');
+const { performance } = require('perf_hooks');
+const { ErrorHandler } = require('./error-handler');
+const { config } = require('./config');
+
+/**
+ * Tunnel Measurements
+ * What `hyper-nat ping` and `hyper-nat bench` report: how the connection to
+ * a peer was made and how long its round trips take, and the TCP throughput
+ * and UDP loss and latency through a server's echo endpoint.
+ */
+
+const ECHO_SERVICE = 'echo';
+const CHUNK = Buffer.alloc(64 * 1024);
+const PRIVATE = new net.BlockList();
+for (const [address, prefix] of [['10.0.0.0', 8], ['172.16.0.0', 12], ['192.168.0.0', 16], ['127.0.0.0', 8], ['169.254.0.0', 16]]) {
+    PRIVATE.addSubnet(address, prefix);
+}
+PRIVATE.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE.addSubnet('fe80::', 10, 'ipv6');
+PRIVATE.addAddress('::1', 'ipv6');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves to undefined if the promise takes longer than the timeout
+function within(promise, timeout) {
+    let timer = null;
+    return Promise.race([promise, new Promise((resolve) => { timer = setTimeout(resolve, timeout); })])
+        .finally(() => clearTimeout(timer));
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Summarize round-trip samples
+ * @param {Array<number>} samples - Milliseconds, in the order they were taken
+ * @returns {Object} { min, avg, max, jitter }, jitter being the mean change between samples
+ */
+function summarize(samples) {
+    if (samples.length === 0) return { min: null, avg: null, max: null, jitter: null };
+    let jitter = 0;
+    for (let i = 1; i < samples.length; i++) jitter += Math.abs(samples[i] - samples[i - 1]);
+    return {
+        min: round(Math.min(...samples)),
+        avg: round(samples.reduce((sum, rtt) => sum + rtt, 0) / samples.length),
+        max: round(Math.max(...samples)),
+        jitter: round(samples.length > 1 ? jitter / (samples.length - 1) : 0)
+    };
+}
+
+/**
+ * How a connection reached its peer. The DHT only carries the handshake, so
+ * traffic always flows between the peers themselves: straight to an
+ * address the peer announced or found on the LAN, or through a hole punched
+ * in both NATs from a socket of its own. @hyperswarm/dht 6.5 has no relays
+ * for connection traffic (later hyperdht's relayThrough), so no path is
+ * 'relayed'; one that adds them must tell a relayed stream apart here.
+ * @param {Object} node - DHT node that made the connection
+ * @param {Object} socket - Encrypted connection
+ * @returns {Object} { path: 'direct'|'lan'|'holepunched'|'unknown', remoteAddress }
+ */
+function connectionPath(node, socket) {
+    const raw = socket.rawStream;
+    if (!raw || !raw.socket) return { path: 'unknown', remoteAddress: null };
+    const remoteAddress = raw.remoteHost ? `${raw.remoteHost}:${raw.remotePort}` : null;
+    if (raw.socket !== node.io.serverSocket && raw.socket !== node.io.clientSocket) return { path: 'holepunched', remoteAddress };
+    const family = net.isIPv6(raw.remoteHost) ? 'ipv6' : 'ipv4';
+    return { path: raw.remoteHost && PRIVATE.check(raw.remoteHost, family) ? 'lan' : 'direct', remoteAddress };
+}
+
+/**
+ * Connect to a peer and time round trips over the connection
+ * @param {DHTRelay} relay - Relay to connect from
+ * @param {Buffer} publicKey - Peer public key
+ * @param {Object} [options] - Ping options
+ * @param {number} [options.count] - Round trips to time
+ * @param {number} [options.interval] - Milliseconds between them
+ * @param {number} [options.timeout] - Milliseconds before a round trip counts as lost
+ * @param {Function} [options.onreply] - Called with (sequence, rtt or null) after each
+ * @returns {Promise<Object>} Connect time, path and round-trip statistics in milliseconds
+ */
+async function ping(relay, publicKey, options = {}) {
+    const { count = 10, interval = 1000, timeout = 2000, onreply = () => {} } = options;
+    await relay.initialize();
+    const started = performance.now();
+    const session = await relay.transport.connect(publicKey, { reconnect: { maxRetries: 0 } });
+    const connectTime = round(performance.now() - started);
+
+    const samples = [];
+    for (let sequence = 1; sequence <= count && !session.destroyed; sequence++) {
+        // A session that closes fails the ping, which then counts as lost
+        const rtt = await within(session.ping().catch(() => undefined), timeout);
+        if (rtt !== undefined) samples.push(rtt);
+        onreply(sequence, rtt === undefined ? null : round(rtt));
+        if (sequence < count) await wait(interval);
+    }
+
+    return {
+        publicKey: publicKey.toString('hex'),
+        connectTime,
+        ...connectionPath(relay.node, session.socket),
+        sent: count,
+        received: samples.length,
+        loss: round(100 * (count - samples.length) / count),
+        ...summarize(samples)
+    };
+}
+
+// Open a channel to the echo endpoint, explaining the rejection of a server without one
+async function openEcho(relay, publicKey, request) {
+    await relay.initialize();
+    const channel = await relay.transport.openChannel(publicKey, { service: ECHO_SERVICE, ...request });
+    const timeout = config.get('network.timeout');
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(ErrorHandler.createTimeoutError(`No answer from the echo endpoint after ${timeout}ms`, timeout)), timeout);
+        channel.once('open', () => {
+            clearTimeout(timer);
+            resolve();
+        });
+        channel.once('error', (err) => {
+            clearTimeout(timer);
+            reject(/Unknown service/.test(err.message)
+                ? ErrorHandler.createConfigurationError('The server has no echo endpoint, start it with --echo', 'echo', publicKey.toString('hex'))
+                : err);
+        });
+    });
+    return channel;
+}
+
+function throughput(bytes, milliseconds) {
+    return { bytes, seconds: round(milliseconds / 1000), bitsPerSecond: Math.round(bytes * 8000 / Math.max(milliseconds, 1)) };
+}
+
+/**
+ * Time sending and receiving bytes through the echo endpoint
+ * @param {DHTRelay} relay - Relay to connect from
+ * @param {Buffer} publicKey - Server public key
+ * @param {Object} [options] - Bench options
+ * @param {number} [options.bytes] - Bytes to send each way
+ * @returns {Promise<Object>} { upload, download }, each { bytes, seconds, bitsPerSecond }
+ */
+async function benchTcp(relay, publicKey, options = {}) {
+    const { bytes = 10 * 1024 * 1024 } = options;
+
+    const upload = await openEcho(relay, publicKey, { mode: 'upload' });
+    let started = performance.now();
+    const reply = [];
+    upload.on('data', (chunk) => reply.push(chunk));
+    const received = new Promise((resolve, reject) => {
+        upload.once('end', resolve);
+        upload.once('error', reject);
+    });
+    let left = bytes;
+    while (left > 0 && !upload.destroyed) {
+        const size = Math.min(left, CHUNK.length);
+        left -= size;
+        if (!upload.write(size === CHUNK.length ? CHUNK : CHUNK.subarray(0, size))) {
+            await new Promise((resolve) => {
+                const writable = () => {
+                    upload.off('drain', writable);
+                    upload.off('close', writable);
+                    resolve();
+                };
+                upload.on('drain', writable);
+                upload.on('close', writable);
+            });
+        }
+    }
+    upload.end();
+    await received;
+    const uploaded = throughput(JSON.parse(Buffer.concat(reply).toString()).bytes, performance.now() - started);
+
+    const download = await openEcho(relay, publicKey, { mode: 'download', bytes });
+    started = performance.now();
+    let downloadedBytes = 0;
+    download.on('data', (chunk) => { downloadedBytes += chunk.length; });
+    await new Promise((resolve, reject) => {
+        download.once('end', resolve);
+        download.once('error', reject);
+    });
+    download.end();
+
+    return { upload: uploaded, download: throughput(downloadedBytes, performance.now() - started) };
+}
+
+/**
+ * Send numbered datagrams through the echo endpoint and time their return
+ * @param {DHTRelay} relay - Relay to connect from
+ * @param {Buffer} publicKey - Server public key
+ * @param {Object} [options] - Bench options
+ * @param {number} [options.count] - Datagrams to send
+ * @param {number} [options.size] - Bytes per datagram, at least 12
+ * @param {number} [options.rate] - Datagrams per second
+ * @returns {Promise<Object>} Loss, reordering and latency statistics in milliseconds
+ */
+async function benchUdp(relay, publicKey, options = {}) {
+    const { count = 200, rate = 50 } = options;
+    const size = Math.max(options.size || 512, 12);
+    const channel = await openEcho(relay, publicKey, { mode: 'echo', datagrams: true });
+    const samples = [];
+    let highest = -1;
+    let reordered = 0;
+    const seen = new Set();
+    const onecho = (datagram) => {
+        if (datagram.length < 12) return;
+        const sequence = datagram.readUInt32BE(0);
+        if (seen.has(sequence)) return;
+        seen.add(sequence);
+        samples.push(performance.now() - datagram.readDoubleBE(4));
+        if (sequence < highest) reordered++;
+        highest = Math.max(highest, sequence);
+    };
+    channel.on('message', onecho);
+    channel.on('data', onecho);
+
+    for (let sequence = 0; sequence < count; sequence++) {
+        const datagram = Buffer.alloc(size);
+        datagram.writeUInt32BE(sequence, 0);
+        datagram.writeDoubleBE(performance.now(), 4);
+        channel.sendDatagram(datagram);
+        await wait(1000 / rate);
+    }
+    // Give the last datagrams time to come back
+    await wait(Math.max(1000, 4 * (Math.max(...samples, 0))));
+    channel.end();
+
+    return {
+        sent: count,
+        received: samples.length,
+        loss: round(100 * (count - samples.length) / count),
+        reordered,
+        size,
+        datagrams: channel.datagrams,
+        ...summarize(samples)
+    };
+}
+
+module.exports = { ping, benchTcp, benchUdp, connectionPath, summarize };
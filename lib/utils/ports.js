@@ -0,0 +1,48 @@
+const { ErrorHandler } = require('./error-handler');
+
+// One relay definition may not expand into more relays than this
+const MAX_RANGE_SIZE = 1024;
+
+/**
+ * Parse a port or a port range such as '27015-27030'
+ * @param {string|number} value - Single port or 'start-end'
+ * @returns {Object} { start, end }, equal for a single port
+ */
+function parsePortRange(value) {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(String(value));
+    if (!match) {
+        throw ErrorHandler.createConfigurationError(`Invalid port or port range: ${value}`, 'port', value);
+    }
+    const start = parseInt(match[1], 10);
+    const end = match[2] === undefined ? start : parseInt(match[2], 10);
+    if (start < 1 || end > 65535 || end < start) {
+        throw ErrorHandler.createConfigurationError(`Invalid port range ${value}: ports must be 1-65535 and in ascending order`, 'port', value);
+    }
+    if (end - start >= MAX_RANGE_SIZE) {
+        throw ErrorHandler.createConfigurationError(`Port range ${value} is larger than ${MAX_RANGE_SIZE} ports`, 'port', value);
+    }
+    return { start, end };
+}
+
+/**
+ * Parse a comma separated list of ports and port ranges
+ * @param {string|number|Array} value - e.g. '80,27015-27030' or [80, '27015-27030']
+ * @returns {Array<Object>} One { start, end } per entry
+ */
+function parsePortRanges(value) {
+    const entries = Array.isArray(value) ? value : String(value).split(',');
+    return entries.filter((entry) => String(entry).trim() !== '').map(parsePortRange);
+}
+
+function rangePorts({ start, end }) {
+    const ports = [];
+    for (let port = start; port <= end; port++) ports.push(port);
+    return ports;
+}
+
+// Canonical text of a range, used in key derivation and display
+function formatPortRange({ start, end }) {
+    return start === end ? String(start) : `${start}-${end}`;
+}
+
+module.exports = { parsePortRange, parsePortRanges, rangePorts, formatPortRange, MAX_RANGE_SIZE };
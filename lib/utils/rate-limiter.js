@@ -0,0 +1,166 @@
+const { config } = require('./config');
+const { ErrorHandler } = require('./error-handler');
+
+const UNITS = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+const MIN_BURST = 65536;
+
+/**
+ * Token Bucket
+ * Refills at `rate` bytes per second up to one second's worth of tokens.
+ * Stream traffic may run the bucket into debt and wait it off; datagrams
+ * need the tokens upfront. A rate of 0 never limits.
+ */
+class TokenBucket {
+    constructor(rate = 0) {
+        this.rate = 0;
+        this.burst = MIN_BURST;
+        this.tokens = MIN_BURST;
+        this.last = Date.now();
+        this.setRate(rate);
+    }
+
+    setRate(rate) {
+        this.refill();
+        this.rate = rate;
+        this.burst = Math.max(rate, MIN_BURST);
+        this.tokens = Math.min(this.tokens, this.burst);
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = this.rate
+            ? Math.min(this.burst, this.tokens + (now - this.last) * this.rate / 1000)
+            : this.burst;
+        this.last = now;
+    }
+
+    consume(bytes) {
+        if (this.rate) this.tokens -= bytes;
+    }
+
+    // Milliseconds until the bucket is out of debt
+    delay() {
+        this.refill();
+        return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens * 1000 / this.rate);
+    }
+}
+
+/**
+ * Throttle
+ * The buckets one connection draws from: its relay's, its peer's and the
+ * global ones, separately for upload (to the peer) and download (from it)
+ */
+class Throttle {
+    constructor(upload, download) {
+        this.buckets = { upload, download };
+    }
+
+    consume(direction, bytes) {
+        for (const bucket of this.buckets[direction]) bucket.consume(bytes);
+    }
+
+    delay(direction) {
+        return Math.max(0, ...this.buckets[direction].map((bucket) => bucket.delay()));
+    }
+
+    // Take the tokens only if every bucket has them, for traffic that is dropped instead of delayed
+    tryConsume(direction, bytes) {
+        const buckets = this.buckets[direction];
+        for (const bucket of buckets) {
+            bucket.refill();
+            if (bucket.rate && bucket.tokens < bytes) return false;
+        }
+        this.consume(direction, bytes);
+        return true;
+    }
+}
+
+/**
+ * Rate Limiter
+ * Holds the global and per-peer buckets of a DHTRelay and builds the
+ * throttle for each connection. A rate of 0 means unlimited. Limits can be
+ * changed at runtime and apply to live connections.
+ */
+class RateLimiter {
+    /**
+     * @param {Object} [options] - Limits in bytes per second, defaults from config rateLimit.*
+     * @param {number} [options.upload] - Global upload limit
+     * @param {number} [options.download] - Global download limit
+     * @param {Object} [options.perPeer] - { upload, download } limit for each remote peer
+     */
+    constructor(options = {}) {
+        this.global = RateLimiter.buckets();
+        this.peers = new Map();
+        this.perPeer = { upload: 0, download: 0 };
+        this.configure(options);
+    }
+
+    /**
+     * Create the buckets for one set of limits
+     * @param {Object} [limits] - { upload, download } in bytes per second
+     * @returns {Object} { upload, download } buckets
+     */
+    static buckets(limits = {}) {
+        return {
+            upload: new TokenBucket(parseRate(limits.upload)),
+            download: new TokenBucket(parseRate(limits.download))
+        };
+    }
+
+    /**
+     * Change the global and per-peer limits
+     * @param {Object} [options] - Same shape as the constructor options
+     */
+    configure(options = {}) {
+        const perPeer = options.perPeer || {};
+        this.global.upload.setRate(parseRate(options.upload ?? config.get('rateLimit.upload')));
+        this.global.download.setRate(parseRate(options.download ?? config.get('rateLimit.download')));
+        this.perPeer = {
+            upload: parseRate(perPeer.upload ?? config.get('rateLimit.perPeer.upload')),
+            download: parseRate(perPeer.download ?? config.get('rateLimit.perPeer.download'))
+        };
+        for (const buckets of this.peers.values()) {
+            buckets.upload.setRate(this.perPeer.upload);
+            buckets.download.setRate(this.perPeer.download);
+        }
+    }
+
+    get limits() {
+        return {
+            upload: this.global.upload.rate,
+            download: this.global.download.rate,
+            perPeer: { ...this.perPeer }
+        };
+    }
+
+    /**
+     * Build the throttle for a connection
+     * @param {Object} relayBuckets - Buckets of the relay carrying the connection
+     * @param {string} peerKey - Hex public key of the remote peer
+     * @returns {Throttle} Throttle drawing from all three layers
+     */
+    throttle(relayBuckets, peerKey) {
+        if (!this.peers.has(peerKey)) {
+            this.peers.set(peerKey, RateLimiter.buckets(this.perPeer));
+        }
+        const layers = [this.global, this.peers.get(peerKey), relayBuckets];
+        return new Throttle(layers.map((layer) => layer.upload), layers.map((layer) => layer.download));
+    }
+}
+
+/**
+ * Parse a rate such as 500000, '512K' or '10M' (bytes per second)
+ * @param {number|string} value - Rate, optionally with a K/M/G suffix
+ * @returns {number} Bytes per second, 0 for unlimited
+ */
+function parseRate(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    if (typeof value === 'number' && value >= 0) return value;
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([kmg]?)b?\s*$/i.exec(String(value));
+    if (!match) {
+        throw ErrorHandler.createConfigurationError(`Invalid rate limit: ${value}`, 'rateLimit', value);
+    }
+    return Math.round(parseFloat(match[1]) * UNITS[match[2].toLowerCase()]);
+}
+
+module.exports = { RateLimiter, Throttle, TokenBucket, parseRate };
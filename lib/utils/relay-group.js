@@ -0,0 +1,95 @@
+const { EventEmitter } = require('events');
+
+// Counters summed across the ports of a group
+const SUMMED = [
+    'activeConnections', 'totalConnections', 'refusedConnections', 'errors',
+    'bytesIn', 'bytesOut', 'packetsIn', 'packetsOut', 'droppedIn', 'droppedOut', 'queueDrops'
+];
+
+// Mean heartbeat round trip of the relays whose peers answered one
+function averageRtt(relays) {
+    const samples = relays.map((relay) => relay.rtt).filter((rtt) => rtt !== null && rtt !== undefined);
+    return samples.length ? Math.round(samples.reduce((sum, rtt) => sum + rtt, 0) / samples.length) : null;
+}
+
+/**
+ * Relay Group
+ * The handles of a port range, or of every service forwarded from a server,
+ * started as one relay definition. Offers the same close(), stats() and
+ * allowlist as a single RelayHandle, so callers can treat it like any other
+ * relay.
+ */
+class RelayGroup extends EventEmitter {
+    /**
+     * @param {Array<RelayHandle|RelayGroup>} handles - Handles with the same mode
+     * @param {string} service - Service name of the whole group, e.g. 'udp:27015-27030'
+     */
+    constructor(handles, service) {
+        super();
+        this.handles = handles;
+        this.service = service;
+        this.mode = handles[0].mode;
+        this.protocol = handles.every((handle) => handle.protocol === handles[0].protocol) ? handles[0].protocol : 'mixed';
+        this._closing = null;
+    }
+
+    /**
+     * Start one relay per item, closing those already started if any fails
+     * @param {Array} items - Ports of a range, or manifest entries
+     * @param {string} service - Service name of the whole group
+     * @param {Function} create - Called with each item, resolves to its handle
+     * @returns {Promise<RelayGroup>} Group of the started relays
+     */
+    static async start(items, service, create) {
+        const handles = [];
+        try {
+            for (const item of items) handles.push(await create(item));
+        } catch (err) {
+            await Promise.all(handles.map((handle) => handle.close({ gracePeriod: 0 })));
+            throw err;
+        }
+        return new RelayGroup(handles, service);
+    }
+
+    // Every port of a server range shares one allowlist
+    get allowlist() {
+        return this.handles[0].allowlist;
+    }
+
+    get accepting() {
+        return this.handles.some((handle) => handle.accepting);
+    }
+
+    stats() {
+        const relays = this.handles.map((handle) => handle.stats());
+        const stats = {
+            ...relays[0],
+            service: this.service,
+            protocol: this.protocol,
+            startedAt: Math.min(...relays.map((relay) => relay.startedAt)),
+            lastActivity: Math.max(...relays.map((relay) => relay.lastActivity || 0)) || null,
+            rtt: averageRtt(relays),
+            connections: relays.flatMap((relay) => relay.connections.map((connection) => ({ service: relay.service, ...connection })))
+        };
+        for (const key of SUMMED) {
+            const counted = relays.filter((relay) => relay[key] !== undefined);
+            if (counted.length) stats[key] = counted.reduce((sum, relay) => sum + relay[key], 0);
+        }
+        return stats;
+    }
+
+    stop() {
+        return Promise.all(this.handles.map((handle) => handle.stop()));
+    }
+
+    close(options = {}) {
+        if (!this._closing) {
+            this._closing = Promise.all(this.handles.map((handle) => handle.close(options))).then(() => {
+                this.emit('close');
+            });
+        }
+        return this._closing;
+    }
+}
+
+module.exports = RelayGroup;
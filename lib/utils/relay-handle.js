@@ -0,0 +1,251 @@
+const { EventEmitter } = require('events');
+const { config } = require('./config');
+const TrafficStats = require('./traffic-stats');
+const { DatagramQueue } = require('./datagram-queue');
+const { RateLimiter } = require('./rate-limiter');
+const { logger } = require('./logger');
+
+// Protocols whose channels carry byte streams rather than one datagram per message
+const STREAM_PROTOCOLS = ['tcp', 'socks', 'http-proxy', 'reverse'];
+
+/**
+ * Relay Handle
+ * Returned by every createServer/createClient call. Tracks the live channels
+ * a relay carries and their traffic, and shuts it down in three steps: stop
+ * accepting new connections, drain live ones within a grace period, release
+ * resources.
+ */
+class RelayHandle extends EventEmitter {
+    /**
+     * @param {Object} options - Handle options
+     * @param {string} options.mode - 'server' or 'client'
+     * @param {string} options.service - Service name, e.g. 'tcp:3000'
+     * @param {Allowlist} [options.allowlist] - Client keys a server relay accepts
+     * @param {RateLimiter} [options.limiter] - Global and per-peer limits shared by all relays
+     * @param {Object} [options.rateLimit] - { upload, download } limit for this relay
+     * @param {Object} [options.limits] - Timeouts and limits from config.createRelayConfig()
+     * @param {Function} [options.session] - Returns a client relay's session to its server, if open
+     * @param {Function} [options.stop] - Stops accepting new connections
+     * @param {Function} [options.release] - Frees listeners and sockets once drained
+     */
+    constructor(options) {
+        super();
+        this.mode = options.mode;
+        this.service = options.service;
+        this.protocol = options.service.split(':')[0];
+        this.allowlist = options.allowlist ? options.allowlist.retain() : null;
+        this.limiter = options.limiter || null;
+        this.buckets = RateLimiter.buckets(options.rateLimit);
+        this.dropped = { upload: 0, download: 0 };
+        this.queueDrops = 0;
+        this.limits = options.limits || config.createRelayConfig(this.protocol);
+        this.refused = 0;
+        this.pending = 0;
+        this.channels = new Set();
+        this.connections = new Map();
+        this.totals = new TrafficStats();
+        this.totalConnections = 0;
+        this.errors = 0;
+        this._session = options.session || null;
+        this.startedAt = Date.now();
+        this.accepting = true;
+        this.closed = false;
+        this._stop = options.stop || (async () => {});
+        this._release = options.release || (async () => {});
+        this._stopping = null;
+        this._closing = null;
+    }
+
+    /**
+     * Count a channel as one of this relay's connections until it closes
+     * @param {Channel} channel - Channel carrying the connection
+     * @param {Object} [options] - Track options
+     * @param {boolean} [options.datagrams] - Whether each message is a datagram, by default
+     *   true unless the relay's protocol carries streams
+     * @returns {Channel} The channel
+     */
+    track(channel, options = {}) {
+        const datagrams = options.datagrams ?? !STREAM_PROTOCOLS.includes(this.protocol);
+        const connection = { id: ++this.totalConnections, openedAt: Date.now(), datagrams, errors: 0, dropped: { upload: 0, download: 0 }, queueDrops: 0 };
+        connection.throttle = this.limiter ? this.limiter.throttle(this.buckets, channel.session.remoteKey) : null;
+        // Streams are slowed down by the channel; datagrams over the limit are dropped through admit()
+        if (!datagrams) channel.throttle = connection.throttle;
+        this.channels.add(channel);
+        this.connections.set(channel, connection);
+        channel.on('error', () => {
+            connection.errors++;
+            this.errors++;
+        });
+        channel.once('close', () => {
+            this.channels.delete(channel);
+            this.connections.delete(channel);
+            this.totals.add(channel.stats);
+        });
+        return channel;
+    }
+
+    /**
+     * Check whether a new connection fits under maxConnections, counting it as refused if not
+     * @returns {boolean} False if the connection must be refused
+     */
+    admitConnection() {
+        const { maxConnections } = this.limits;
+        if (!maxConnections || this.channels.size + this.pending < maxConnections) return true;
+        logger.warn(`Connection limit of ${maxConnections} reached on ${this.service}, refusing connection`);
+        this.refused++;
+        return false;
+    }
+
+    /**
+     * Check a datagram against the rate limits of its connection
+     * @param {Channel} channel - Tracked channel carrying the datagram
+     * @param {string} direction - 'upload' (to the peer) or 'download' (from it)
+     * @param {number} bytes - Datagram size
+     * @returns {boolean} False if the datagram is over the limit and must be dropped
+     */
+    admit(channel, direction, bytes) {
+        const connection = this.connections.get(channel);
+        if (!connection || !connection.throttle || connection.throttle.tryConsume(direction, bytes)) return true;
+        connection.dropped[direction]++;
+        this.dropped[direction]++;
+        return false;
+    }
+
+    /**
+     * Bound the datagrams waiting to go out on a tracked channel, by the relay's
+     * queueLimit and dropPolicy, counting what the queue drops
+     * @param {Channel} channel - Tracked channel the datagrams go to
+     * @returns {DatagramQueue} Queue to push the channel's outgoing datagrams to
+     */
+    queue(channel) {
+        const connection = this.connections.get(channel);
+        const queue = new DatagramQueue(channel, { limit: this.limits.queueLimit, policy: this.limits.dropPolicy });
+        queue.on('drop', () => {
+            this.queueDrops++;
+            if (connection) connection.queueDrops++;
+        });
+        return queue;
+    }
+
+    /**
+     * Count an error that is not tied to a tracked channel, e.g. a local socket error
+     */
+    recordError() {
+        this.errors++;
+    }
+
+    /**
+     * Heartbeat round trip to the peer: a client's server, or the mean over a server's
+     * connected clients
+     * @returns {number|null} Milliseconds, null if no peer has answered a heartbeat
+     */
+    rtt() {
+        const session = this._session && this._session();
+        const sessions = session ? [session] : new Set([...this.channels].map((channel) => channel.session));
+        const samples = [...sessions].map((entry) => entry.rtt).filter((rtt) => rtt !== null);
+        return samples.length ? Math.round(samples.reduce((sum, rtt) => sum + rtt, 0) / samples.length) : null;
+    }
+
+    /**
+     * Traffic counters for this relay and each of its live connections
+     * @returns {Object} Relay totals with a connections array
+     */
+    stats() {
+        const datagrams = !STREAM_PROTOCOLS.includes(this.protocol);
+        // A proxy relays streams but may also drop the datagrams of its UDP associations
+        const drops = datagrams || this.protocol === 'socks';
+        const traffic = new TrafficStats().add(this.totals);
+        const connections = [];
+        for (const [channel, connection] of this.connections) {
+            traffic.add(channel.stats);
+            connections.push({
+                id: connection.id,
+                remoteKey: channel.session.remoteKey,
+                // Destination a proxy connection was opened for
+                ...(channel.request.host ? { target: `${channel.request.host}:${channel.request.port}` } : {}),
+                openedAt: connection.openedAt,
+                ...channel.stats.snapshot(connection.datagrams),
+                rtt: channel.session.rtt,
+                ...(connection.datagrams ? {
+                    droppedIn: connection.dropped.download,
+                    droppedOut: connection.dropped.upload,
+                    queueDrops: connection.queueDrops
+                } : {}),
+                errors: connection.errors
+            });
+        }
+
+        return {
+            mode: this.mode,
+            service: this.service,
+            protocol: this.protocol,
+            startedAt: this.startedAt,
+            activeConnections: this.channels.size,
+            totalConnections: this.totalConnections,
+            refusedConnections: this.refused,
+            ...traffic.snapshot(datagrams),
+            ...(drops ? { droppedIn: this.dropped.download, droppedOut: this.dropped.upload } : {}),
+            // Datagrams a full queue dropped while the peer was slow
+            ...(datagrams ? { queueDrops: this.queueDrops } : {}),
+            rateLimit: { upload: this.buckets.upload.rate, download: this.buckets.download.rate },
+            rtt: this.rtt(),
+            errors: this.errors,
+            connections
+        };
+    }
+
+    stop() {
+        if (!this._stopping) {
+            this.accepting = false;
+            this._stopping = Promise.resolve(this._stop());
+        }
+        return this._stopping;
+    }
+
+    /**
+     * Wait for live channels to finish, then destroy those still open after the grace period
+     * @param {number} gracePeriod - Milliseconds to wait for channels to finish
+     */
+    async drain(gracePeriod = config.get('shutdown.gracePeriod')) {
+        if (this.channels.size === 0) return;
+        logger.debug(`Draining ${this.channels.size} connection(s) on ${this.service}`);
+
+        const closed = [...this.channels].map((channel) => new Promise((resolve) => {
+            if (channel.destroyed) return resolve();
+            channel.once('close', resolve);
+        }));
+
+        let timer = null;
+        await Promise.race([
+            Promise.all(closed),
+            new Promise((resolve) => { timer = setTimeout(resolve, gracePeriod); })
+        ]);
+        clearTimeout(timer);
+
+        if (this.channels.size > 0) {
+            logger.warn(`Closing ${this.channels.size} connection(s) on ${this.service} after ${gracePeriod}ms grace period`);
+            for (const channel of this.channels) channel.destroy();
+        }
+    }
+
+    /**
+     * Stop, drain and release this relay
+     * @param {Object} [options] - Close options
+     * @param {number} [options.gracePeriod] - Milliseconds to let live connections finish
+     */
+    close(options = {}) {
+        if (!this._closing) {
+            this._closing = (async () => {
+                await this.stop();
+                await this.drain(options.gracePeriod);
+                await this._release();
+                if (this.allowlist) this.allowlist.release();
+                this.closed = true;
+                this.emit('close');
+            })();
+        }
+        return this._closing;
+    }
+}
+
+module.exports = RelayHandle;
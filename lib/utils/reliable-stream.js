@@ -0,0 +1,274 @@
+const { Duplex } = require('stream');
+const { ErrorHandler } = require('./error-handler');
+
+/**
+ * Reliable Stream
+ * Carries a byte stream over a path that may drop, duplicate or reorder
+ * datagrams, as tcpudp does between a TCP listener and a TCP target.
+ * Data is cut into numbered packets that are retransmitted until the
+ * receiver acknowledges them, and delivered in order on the other side.
+ *
+ * Every packet is [flags u8][seq u32][ack u32][sack u32][window u16][payload]
+ *   flags   DATA carries a payload, FIN ends the sender's half and carries none;
+ *           a packet with neither only acknowledges
+ *   seq     number of a DATA or FIN packet, counting from 0
+ *   ack     every packet before this number has arrived
+ *   sack    bit i set: packet ack + 1 + i has arrived too
+ *   window  packets the receiver can still buffer
+ *
+ * Packets go unacknowledged for an RTO estimated from round trips (RFC 6298)
+ * before they are sent again, doubling the RTO each time; a packet is sent
+ * again at once when three acknowledgements show later packets arriving
+ * without it. The sender keeps at most the peer's window in flight, and
+ * always one packet, so a reopened window is noticed even if its update is lost.
+ * Once both halves are done the stream lingers before closing, to acknowledge
+ * the peer's FIN again should the first acknowledgement have been lost.
+ */
+
+const FLAGS = { DATA: 1, FIN: 2 };
+const HEADER_SIZE = 15;
+const SEGMENT_SIZE = 1100;      // payload per packet, small enough for any datagram path
+const WINDOW = 128;             // packets buffered by a receiver
+const INITIAL_RTO = 1000;
+const MIN_RTO = 200;
+const MAX_RTO = 8000;
+const MAX_RETRIES = 10;         // timeouts in a row without hearing from the peer
+const LINGER = MAX_RTO;         // milliseconds a finished stream still answers the peer
+const EMPTY = Buffer.alloc(0);
+
+// Signed distance between two u32 sequence numbers, correct across wrap-around
+function distance(a, b) {
+    return (a - b) | 0;
+}
+
+class ReliableStream extends Duplex {
+    /**
+     * @param {Function} send - Sends one packet over the datagram path
+     * @param {Object} [options] - Stream options
+     * @param {number} [options.segmentSize] - Largest payload per packet
+     * @param {number} [options.window] - Packets buffered for reading
+     */
+    constructor(send, options = {}) {
+        super({ allowHalfOpen: false, autoDestroy: false });
+        this._transmit = send;
+        this.segmentSize = options.segmentSize || SEGMENT_SIZE;
+        this.window = options.window || WINDOW;
+        // Sending side
+        this.nextSeq = 0;
+        this.unacked = new Map();      // seq -> { payload, fin, sentAt, retransmitted }
+        this.queue = [];               // packets waiting for room in the peer's window
+        this.peerWindow = this.window;
+        this.held = false;
+        this.writeCallback = null;
+        this.finalCallback = null;
+        this.srtt = null;
+        this.rttvar = 0;
+        this.rto = INITIAL_RTO;
+        this.retries = 0;
+        this.duplicateAcks = 0;
+        this.timer = null;
+        this.retransmits = 0;
+        // Receiving side
+        this.expected = 0;             // next packet to hand to the reader
+        this.received = new Map();     // seq -> payload, or null for FIN
+        this.reading = false;
+        this.lingering = null;
+        this.on('end', () => this._linger());
+        this.on('finish', () => this._linger());
+    }
+
+    /**
+     * Handle a packet from the datagram path
+     * @param {Buffer} packet - Packet as sent by the peer's ReliableStream
+     */
+    receive(packet) {
+        if (this.destroyed) return;
+        if (packet.length < HEADER_SIZE) {
+            this.destroy(ErrorHandler.createProtocolError(`Packet of ${packet.length} bytes is too short`, 'tcpudp', 'receive'));
+            return;
+        }
+        const flags = packet.readUInt8(0);
+        // Hearing from the peer at all shows it is alive
+        this.retries = 0;
+        this._onack(packet.readUInt32BE(5), packet.readUInt32BE(9), packet.readUInt16BE(13));
+        if (flags & (FLAGS.DATA | FLAGS.FIN)) {
+            this._ondata(packet.readUInt32BE(1), flags & FLAGS.FIN ? null : packet.subarray(HEADER_SIZE));
+        }
+    }
+
+    _write(chunk, encoding, callback) {
+        for (let offset = 0; offset < chunk.length; offset += this.segmentSize) {
+            this.queue.push({ payload: chunk.subarray(offset, offset + this.segmentSize), fin: false });
+        }
+        this.writeCallback = callback;
+        this._pump();
+    }
+
+    // The writable side finishes once the peer has acknowledged our FIN and all before it
+    _final(callback) {
+        this.queue.push({ payload: EMPTY, fin: true });
+        this.finalCallback = callback;
+        this._pump();
+    }
+
+    /**
+     * Stop or restart sending new packets, e.g. while the datagram path is congested.
+     * Writes wait meanwhile, holding back whatever writes to the stream
+     * @param {boolean} held - Whether to hold new packets back
+     */
+    hold(held) {
+        this.held = held;
+        if (!held) this._pump();
+    }
+
+    _read() {
+        this.reading = true;
+        const buffered = this.received.size;
+        this._deliver();
+        // Tell the sender about the room reading made
+        if (this.received.size < buffered) this._send(0, 0, EMPTY);
+    }
+
+    _destroy(err, callback) {
+        clearTimeout(this.timer);
+        clearTimeout(this.lingering);
+        this.timer = null;
+        this.unacked.clear();
+        this.queue = [];
+        const pending = this.writeCallback;
+        this.writeCallback = null;
+        if (pending) pending(err);
+        callback(err);
+    }
+
+    // Send queued packets while the peer's window has room
+    _pump() {
+        while (!this.held && this.queue.length && this.unacked.size < Math.max(this.peerWindow, 1)) {
+            const segment = this.queue.shift();
+            const seq = this.nextSeq;
+            this.nextSeq = (this.nextSeq + 1) >>> 0;
+            this.unacked.set(seq, { ...segment, sentAt: Date.now(), retransmitted: false });
+            this._send(segment.fin ? FLAGS.FIN : FLAGS.DATA, seq, segment.payload);
+        }
+        if (!this.timer && this.unacked.size) this._arm();
+        if (!this.queue.length && this.writeCallback) {
+            const callback = this.writeCallback;
+            this.writeCallback = null;
+            callback();
+        }
+    }
+
+    _send(flags, seq, payload) {
+        if (this.destroyed) return;
+        // Acknowledge everything received in order, held for the reader or not
+        let ack = this.expected;
+        while (this.received.has(ack)) ack = (ack + 1) >>> 0;
+        let sack = 0;
+        for (let i = 0; i < 32; i++) {
+            if (this.received.has((ack + 1 + i) >>> 0)) sack |= 1 << i;
+        }
+        const header = Buffer.allocUnsafe(HEADER_SIZE);
+        header.writeUInt8(flags, 0);
+        header.writeUInt32BE(seq, 1);
+        header.writeUInt32BE(ack, 5);
+        header.writeUInt32BE(sack >>> 0, 9);
+        header.writeUInt16BE(Math.max(this.window - this.received.size, 0), 13);
+        this._transmit(payload.length ? Buffer.concat([header, payload]) : header);
+    }
+
+    _onack(ack, sack, window) {
+        this.peerWindow = window;
+        let sampled = false;
+        let progressed = false;
+        for (const [seq, segment] of this.unacked) {
+            const gap = distance(seq, ack);
+            if (gap >= 0 && !(gap >= 1 && gap <= 32 && (sack >>> (gap - 1)) & 1)) continue;
+            // Only packets sent once time the round trip (Karn's algorithm)
+            if (!sampled && !segment.retransmitted) {
+                this._sample(Date.now() - segment.sentAt);
+                sampled = true;
+            }
+            this.unacked.delete(seq);
+            progressed = true;
+        }
+        if (progressed) {
+            this.duplicateAcks = 0;
+            this._arm();
+        } else if (sack && this.unacked.has(ack) && ++this.duplicateAcks === 3) {
+            this._retransmit(ack);
+        }
+        this._pump();
+        // FIN is queued last, so nothing left unacknowledged means everything arrived
+        if (this.finalCallback && !this.queue.length && !this.unacked.size) {
+            const callback = this.finalCallback;
+            this.finalCallback = null;
+            callback();
+        }
+    }
+
+    _ondata(seq, payload) {
+        const gap = distance(seq, this.expected);
+        if (gap >= 0 && gap < this.window && !this.received.has(seq)) this.received.set(seq, payload);
+        this._deliver();
+        this._send(0, 0, EMPTY);
+    }
+
+    // Hand packets to the reader in order, for as long as it wants more
+    _deliver() {
+        while (this.reading && this.received.has(this.expected)) {
+            const payload = this.received.get(this.expected);
+            this.received.delete(this.expected);
+            this.expected = (this.expected + 1) >>> 0;
+            if (payload === null) {
+                this.push(null);
+                return;
+            }
+            this.reading = this.push(payload);
+        }
+    }
+
+    // Close once both halves are done and the peer has had time to send its FIN again
+    _linger() {
+        if (!this.readableEnded || !this.writableFinished || this.destroyed || this.lingering) return;
+        this.lingering = setTimeout(() => this.destroy(), LINGER);
+        // Only answers the peer, so it need not keep the process alive
+        this.lingering.unref();
+    }
+
+    _sample(rtt) {
+        if (this.srtt === null) {
+            this.srtt = rtt;
+            this.rttvar = rtt / 2;
+        } else {
+            this.rttvar = 0.75 * this.rttvar + 0.25 * Math.abs(this.srtt - rtt);
+            this.srtt = 0.875 * this.srtt + 0.125 * rtt;
+        }
+        this.rto = Math.min(Math.max(this.srtt + 4 * this.rttvar, MIN_RTO), MAX_RTO);
+    }
+
+    _arm() {
+        clearTimeout(this.timer);
+        this.timer = this.unacked.size ? setTimeout(() => this._ontimeout(), this.rto) : null;
+    }
+
+    _ontimeout() {
+        this.timer = null;
+        if (++this.retries > MAX_RETRIES) {
+            this.destroy(ErrorHandler.createConnectionError(`No acknowledgement after ${MAX_RETRIES} retransmissions`, 'tcpudp'));
+            return;
+        }
+        this.rto = Math.min(this.rto * 2, MAX_RTO);
+        for (const seq of this.unacked.keys()) this._retransmit(seq);
+        this._arm();
+    }
+
+    _retransmit(seq) {
+        const segment = this.unacked.get(seq);
+        segment.retransmitted = true;
+        segment.sentAt = Date.now();
+        this.retransmits++;
+        this._send(segment.fin ? FLAGS.FIN : FLAGS.DATA, seq, segment.payload);
+    }
+}
+
+module.exports = { ReliableStream, HEADER_SIZE, SEGMENT_SIZE };
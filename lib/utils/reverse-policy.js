@@ -0,0 +1,67 @@
+const Allowlist = require('./allowlist');
+const { ErrorHandler } = require('./error-handler');
+const { parsePortRanges, formatPortRange } = require('./ports');
+
+/**
+ * Reverse Policy
+ * The ports a server may listen on for the clients of its reverse tunnels.
+ * Each rule allows its ports to every peer, or only to the peer keys it
+ * lists; a port no rule allows is refused.
+ */
+class ReversePolicy {
+    /**
+     * @param {Array<Object|string>} [rules] - { ports, peers } rules, or '[key@]ports' strings
+     *   such as '3000-3010' or '<key>@8080,8081'
+     */
+    constructor(rules = []) {
+        this.rules = (Array.isArray(rules) ? rules : [rules]).map(ReversePolicy.parseRule);
+    }
+
+    /**
+     * Build a policy from a config value
+     * @param {ReversePolicy|Array|string} [value] - Existing policy, or its rules
+     * @returns {ReversePolicy} Policy
+     */
+    static from(value) {
+        return value instanceof ReversePolicy ? value : new ReversePolicy(value ?? []);
+    }
+
+    static parseRule(rule) {
+        if (typeof rule === 'string') {
+            const at = rule.lastIndexOf('@');
+            rule = at === -1 ? { ports: rule } : { peers: [rule.slice(0, at)], ports: rule.slice(at + 1) };
+        }
+        if (!rule || rule.ports === undefined || rule.ports === null) {
+            throw ErrorHandler.createConfigurationError('A reverse tunnel rule needs ports', 'reverse', rule);
+        }
+        return {
+            ports: parsePortRanges(rule.ports),
+            peers: rule.peers ? new Set([].concat(rule.peers).map(Allowlist.parseKey)) : null
+        };
+    }
+
+    get size() {
+        return this.rules.length;
+    }
+
+    /**
+     * Check whether a peer may have the server listen on a port
+     * @param {Buffer} publicKey - Public key of the requesting peer
+     * @param {number} port - Port the peer asks for
+     * @returns {boolean} True if some rule allows it
+     */
+    allows(publicKey, port) {
+        const key = publicKey.toString('hex');
+        return this.rules.some((rule) => (!rule.peers || rule.peers.has(key))
+            && rule.ports.some((range) => port >= range.start && port <= range.end));
+    }
+
+    toJSON() {
+        return this.rules.map((rule) => ({
+            ports: rule.ports.map(formatPortRange).join(','),
+            peers: rule.peers ? [...rule.peers] : null
+        }));
+    }
+}
+
+module.exports = ReversePolicy;
@@ -0,0 +1,139 @@
+const net = require('net');
+const { ErrorHandler } = require('./error-handler');
+
+/**
+ * SOCKS5 Protocol Utility
+ * Encoding of the RFC 1928 handshake, addresses and UDP datagram headers
+ */
+
+const VERSION = 5;
+const AUTH_NONE = 0x00;
+const AUTH_UNACCEPTABLE = 0xff;
+const COMMANDS = { CONNECT: 1, BIND: 2, UDP_ASSOCIATE: 3 };
+const ATYP = { IPV4: 1, DOMAIN: 3, IPV6: 4 };
+const REPLIES = {
+    SUCCEEDED: 0,
+    FAILURE: 1,
+    NOT_ALLOWED: 2,
+    NETWORK_UNREACHABLE: 3,
+    HOST_UNREACHABLE: 4,
+    CONNECTION_REFUSED: 5,
+    TTL_EXPIRED: 6,
+    COMMAND_NOT_SUPPORTED: 7,
+    ADDRESS_NOT_SUPPORTED: 8
+};
+
+function protocolError(message, operation) {
+    return ErrorHandler.createProtocolError(message, 'socks', operation);
+}
+
+/**
+ * Encode a host and port as ATYP, address and port
+ * @param {string} host - IPv4 or IPv6 address, or a host name
+ * @param {number} port - Port
+ * @returns {Buffer} Encoded address
+ */
+function encodeAddress(host, port) {
+    let head;
+    if (net.isIPv4(host)) {
+        head = Buffer.from([ATYP.IPV4, ...host.split('.').map(Number)]);
+    } else if (net.isIPv6(host)) {
+        head = Buffer.concat([Buffer.from([ATYP.IPV6]), ipv6Bytes(host)]);
+    } else {
+        const name = Buffer.from(host);
+        head = Buffer.concat([Buffer.from([ATYP.DOMAIN, name.length]), name]);
+    }
+    const tail = Buffer.allocUnsafe(2);
+    tail.writeUInt16BE(port, 0);
+    return Buffer.concat([head, tail]);
+}
+
+function ipv6Bytes(address) {
+    const [left, right = ''] = address.split('::');
+    const head = left ? left.split(':') : [];
+    const tail = right ? right.split(':') : [];
+    // An embedded IPv4 address takes the place of the last two groups
+    const last = tail.length ? tail : head;
+    if (last.length && last[last.length - 1].includes('.')) {
+        const octets = last.pop().split('.').map(Number);
+        last.push(((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16));
+    }
+    const groups = address.includes('::')
+        ? [...head, ...new Array(8 - head.length - tail.length).fill('0'), ...tail]
+        : head;
+    const bytes = Buffer.alloc(16);
+    groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16) || 0, index * 2));
+    return bytes;
+}
+
+/**
+ * Decode an address written by encodeAddress
+ * @param {Buffer} buffer - Buffer holding the address
+ * @param {number} [offset] - Position of the ATYP byte
+ * @returns {Object|null} { host, port, length }, or null if the buffer is too short
+ */
+function decodeAddress(buffer, offset = 0) {
+    const type = buffer[offset];
+    let host;
+    let start = offset + 1;
+    if (type === ATYP.IPV4) {
+        if (buffer.length < start + 6) return null;
+        host = [...buffer.subarray(start, start + 4)].join('.');
+        start += 4;
+    } else if (type === ATYP.IPV6) {
+        if (buffer.length < start + 18) return null;
+        const groups = [];
+        for (let i = 0; i < 16; i += 2) groups.push(buffer.readUInt16BE(start + i).toString(16));
+        // Compressed form, as reported by sockets
+        host = new net.SocketAddress({ address: groups.join(':'), family: 'ipv6' }).address;
+        start += 16;
+    } else if (type === ATYP.DOMAIN) {
+        if (buffer.length < start + 1 || buffer.length < start + 1 + buffer[start] + 2) return null;
+        host = buffer.subarray(start + 1, start + 1 + buffer[start]).toString();
+        start += 1 + buffer[start];
+    } else if (type === undefined) {
+        return null;
+    } else {
+        throw protocolError(`Unsupported address type ${type}`, 'address');
+    }
+    return { host, port: buffer.readUInt16BE(start), length: start + 2 - offset };
+}
+
+// Reply to a request; the bound address defaults to 0.0.0.0:0
+function encodeReply(code, host = '0.0.0.0', port = 0) {
+    return Buffer.concat([Buffer.from([VERSION, code, 0]), encodeAddress(host, port)]);
+}
+
+// Map the reason a server gave for rejecting a request to the closest reply code
+function replyCode(err) {
+    const message = err ? err.message : '';
+    if (/not allowed/i.test(message)) return REPLIES.NOT_ALLOWED;
+    if (/ECONNREFUSED/.test(message)) return REPLIES.CONNECTION_REFUSED;
+    if (/ENETUNREACH/.test(message)) return REPLIES.NETWORK_UNREACHABLE;
+    if (/EHOSTUNREACH|ENOTFOUND|EAI_AGAIN|resolve/.test(message)) return REPLIES.HOST_UNREACHABLE;
+    if (/timed out|ETIMEDOUT/i.test(message)) return REPLIES.TTL_EXPIRED;
+    return REPLIES.FAILURE;
+}
+
+// Greeting: VER NMETHODS METHODS...
+function parseGreeting(buffer) {
+    if (buffer.length < 2) return null;
+    if (buffer[0] !== VERSION) throw protocolError(`Unsupported SOCKS version ${buffer[0]}`, 'greeting');
+    if (buffer.length < 2 + buffer[1]) return null;
+    return { value: [...buffer.subarray(2, 2 + buffer[1])], length: 2 + buffer[1] };
+}
+
+// Request: VER CMD RSV ATYP DST.ADDR DST.PORT
+function parseRequest(buffer) {
+    if (buffer.length < 4) return null;
+    if (buffer[0] !== VERSION) throw protocolError(`Unsupported SOCKS version ${buffer[0]}`, 'request');
+    const address = decodeAddress(buffer, 3);
+    if (!address) return null;
+    return { value: { command: buffer[1], host: address.host, port: address.port }, length: 3 + address.length };
+}
+
+module.exports = {
+    VERSION, AUTH_NONE, AUTH_UNACCEPTABLE, COMMANDS, ATYP, REPLIES,
+    encodeAddress, decodeAddress, encodeReply, replyCode,
+    parseGreeting, parseRequest
+};
@@ -0,0 +1,115 @@
+const dns = require('dns');
+const net = require('net');
+const { ErrorHandler } = require('./error-handler');
+const { parsePortRanges } = require('./ports');
+const { parseHost } = require('./address');
+const { config } = require('./config');
+
+/**
+ * Target Policy
+ * The destinations a proxy server may open for its clients. Hosts are IP
+ * addresses, CIDR ranges such as '10.0.0.0/8', host names, '*.example.com'
+ * for a domain and its subdomains, or '*' for anywhere. A host name that no
+ * name entry allows is resolved and its address checked against the IP and
+ * CIDR entries, so 'localhost' is allowed by the default loopback ranges.
+ */
+class TargetPolicy {
+    /**
+     * @param {Object} [options] - Policy, defaults from config protocols.socks.targets
+     * @param {Array<string>|string} [options.hosts] - Allowed hosts, comma separated or a list
+     * @param {string|Array} [options.ports] - Allowed ports and ranges, any port if omitted
+     */
+    constructor(options = {}) {
+        const hosts = options.hosts ?? config.get('protocols.socks.targets.hosts');
+        const ports = options.ports ?? config.get('protocols.socks.targets.ports');
+        this.hosts = (Array.isArray(hosts) ? hosts : String(hosts).split(',')).map((host) => parseHost(host).toLowerCase()).filter(Boolean);
+        this.ports = ports === null || ports === undefined || ports === '' ? null : parsePortRanges(ports);
+        this.any = this.hosts.includes('*');
+        this.names = [];
+        this.addresses = new net.BlockList();
+        for (const host of this.hosts) {
+            if (host !== '*') this._add(host);
+        }
+    }
+
+    /**
+     * Build a policy from a config value
+     * @param {TargetPolicy|Object} [value] - Existing policy or its options
+     * @returns {TargetPolicy} Policy
+     */
+    static from(value) {
+        return value instanceof TargetPolicy ? value : new TargetPolicy(value);
+    }
+
+    allowsPort(port) {
+        return !this.ports || this.ports.some((range) => port >= range.start && port <= range.end);
+    }
+
+    allowsAddress(address) {
+        const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+        return this.any || this.addresses.check(address, family);
+    }
+
+    allowsName(name) {
+        const host = name.toLowerCase().replace(/\.$/, '');
+        return this.names.some((entry) => entry.startsWith('*.')
+            ? host === entry.slice(2) || host.endsWith(entry.slice(1))
+            : host === entry);
+    }
+
+    /**
+     * Check a destination and resolve it to the address to connect to
+     * @param {string} host - Host name or IP address requested by the client
+     * @param {number} port - Port requested by the client
+     * @returns {Promise<Object>} { address, family, port }
+     */
+    async resolve(host, port) {
+        if (!this.allowsPort(port)) throw this._denied(host, port);
+        if (net.isIP(host)) {
+            if (!this.allowsAddress(host)) throw this._denied(host, port);
+            return { address: host, family: net.isIP(host), port };
+        }
+
+        let resolved;
+        try {
+            resolved = await dns.promises.lookup(host);
+        } catch (err) {
+            throw ErrorHandler.createConnectionError(`Could not resolve ${host}: ${err.code || err.message}`, 'socks', { host });
+        }
+        // Connect to the address that was checked, not to a fresh lookup of the name
+        if (!this.any && !this.allowsName(host) && !this.allowsAddress(resolved.address)) throw this._denied(host, port);
+        return { address: resolved.address, family: resolved.family, port };
+    }
+
+    toJSON() {
+        return { hosts: this.hosts, ports: this.ports };
+    }
+
+    _add(host) {
+        const [address, prefix] = host.split('/');
+        const family = net.isIP(address);
+        if (!family) {
+            if (prefix !== undefined || !/^(\*\.)?[a-z0-9_.-]+$/.test(host)) {
+                throw ErrorHandler.createConfigurationError(`Invalid target host: ${host}`, 'targets', host);
+            }
+            this.names.push(host.replace(/\.$/, ''));
+            return;
+        }
+        const type = family === 6 ? 'ipv6' : 'ipv4';
+        if (prefix === undefined) {
+            this.addresses.addAddress(address, type);
+            return;
+        }
+        const bits = Number(prefix);
+        if (!Number.isInteger(bits) || bits < 0 || bits > (family === 6 ? 128 : 32)) {
+            throw ErrorHandler.createConfigurationError(`Invalid target range: ${host}`, 'targets', host);
+        }
+        this.addresses.addSubnet(address, bits, type);
+    }
+
+    _denied(host, port) {
+        return ErrorHandler.createConnectionError(`Target not allowed: ${host}:${port}`, 'socks', { host, port });
+    }
+}
+
+module.exports = TargetPolicy;
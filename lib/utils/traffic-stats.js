@@ -0,0 +1,52 @@
+/**
+ * Traffic Stats
+ * Byte and message counters for a channel or a whole relay. "In" is traffic
+ * received from the remote peer over the DHT, "out" is traffic sent to it.
+ */
+class TrafficStats {
+    constructor() {
+        this.bytesIn = 0;
+        this.bytesOut = 0;
+        this.messagesIn = 0;
+        this.messagesOut = 0;
+        this.lastActivity = null;
+    }
+
+    recordIn(bytes) {
+        this.bytesIn += bytes;
+        this.messagesIn++;
+        this.lastActivity = Date.now();
+    }
+
+    recordOut(bytes) {
+        this.bytesOut += bytes;
+        this.messagesOut++;
+        this.lastActivity = Date.now();
+    }
+
+    add(other) {
+        this.bytesIn += other.bytesIn;
+        this.bytesOut += other.bytesOut;
+        this.messagesIn += other.messagesIn;
+        this.messagesOut += other.messagesOut;
+        if (other.lastActivity > this.lastActivity) this.lastActivity = other.lastActivity;
+        return this;
+    }
+
+    /**
+     * Plain counters for reporting
+     * @param {boolean} datagrams - Whether each message is one UDP packet
+     * @returns {Object} bytesIn, bytesOut, lastActivity and, for datagrams, packetsIn/packetsOut
+     */
+    snapshot(datagrams = false) {
+        const counters = { bytesIn: this.bytesIn, bytesOut: this.bytesOut };
+        if (datagrams) {
+            counters.packetsIn = this.messagesIn;
+            counters.packetsOut = this.messagesOut;
+        }
+        counters.lastActivity = this.lastActivity;
+        return counters;
+    }
+}
+
+module.exports = TrafficStats;
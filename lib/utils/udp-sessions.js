@@ -0,0 +1,98 @@
+const { config } = require('./config');
+
+/**
+ * UDP Session Table
+ * Tracks one session per UDP peer with idle expiry and a session cap.
+ * A maxSessions or idleTimeout of 0 disables that limit.
+ */
+class UdpSessionTable {
+    constructor(options = {}) {
+        this.maxSessions = options.maxSessions ?? config.get('protocols.udp.maxSessions');
+        this.idleTimeout = options.idleTimeout ?? config.get('protocols.udp.sessionTimeout');
+        this.sweepInterval = options.sweepInterval || config.get('logging.cleanupInterval');
+        this.onExpire = options.onExpire || (() => {});
+        this.sessions = new Map();
+        this.index = new Map();
+        this.lastId = 0;
+        this.timer = null;
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    nextId() {
+        this.lastId = (this.lastId + 1) >>> 0 || 1;
+        return this.lastId;
+    }
+
+    get(id) {
+        return this.sessions.get(id);
+    }
+
+    lookup(key) {
+        const id = this.index.get(key);
+        return id === undefined ? undefined : this.sessions.get(id);
+    }
+
+    /**
+     * Open a new session
+     * @param {Object} session - Session data, must include a numeric id
+     * @param {string} [session.key] - Optional secondary key (e.g. "address:port")
+     * @returns {Object|null} The session, or null when the table is full
+     */
+    open(session) {
+        if (this.maxSessions && this.sessions.size >= this.maxSessions) return null;
+        const entry = { ...session, lastSeen: Date.now() };
+        this.sessions.set(entry.id, entry);
+        if (entry.key !== undefined) this.index.set(entry.key, entry.id);
+        return entry;
+    }
+
+    touch(session) {
+        session.lastSeen = Date.now();
+    }
+
+    close(id) {
+        const session = this.sessions.get(id);
+        if (!session) return false;
+        this.sessions.delete(id);
+        if (session.key !== undefined) this.index.delete(session.key);
+        return true;
+    }
+
+    sweep() {
+        if (!this.idleTimeout) return 0;
+        const now = Date.now();
+        let expired = 0;
+        for (const session of [...this.sessions.values()]) {
+            if (now - session.lastSeen > this.idleTimeout) {
+                this.close(session.id);
+                this.onExpire(session);
+                expired++;
+            }
+        }
+        return expired;
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.sweep(), this.sweepInterval);
+            this.timer.unref();
+        }
+        return this;
+    }
+
+    clear() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        for (const session of [...this.sessions.values()]) {
+            this.close(session.id);
+            this.onExpire(session);
+        }
+    }
+}
+
+module.exports = { UdpSessionTable };
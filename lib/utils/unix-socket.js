@@ -0,0 +1,116 @@
+const fs = require('fs');
+const net = require('net');
+const { ErrorHandler } = require('./error-handler');
+const { formatHostPort } = require('./address');
+const { logger } = require('./logger');
+
+const PREFIX = 'unix:';
+
+/**
+ * Unix Socket Utility
+ * Wherever a stream relay takes a host, 'unix:/path/to.sock' names a Unix
+ * domain socket instead of a host and port
+ */
+
+/**
+ * Get the socket path a host names
+ * @param {string} host - Host, or 'unix:' followed by a socket path
+ * @returns {string|null} Socket path, or null for a network host
+ */
+function socketPath(host) {
+    return typeof host === 'string' && host.startsWith(PREFIX) ? host.slice(PREFIX.length) : null;
+}
+
+// Options for net.connect() to a host and port, or to the socket a unix: host names
+function connectOptions(host, port) {
+    const path = socketPath(host);
+    return path ? { path } : { host, port };
+}
+
+// Text for logs: host:port, or the unix: host as given
+function formatAddress(host, port) {
+    return socketPath(host) ? host : formatHostPort(host, port);
+}
+
+// Datagram relays bind and send to network addresses only
+function assertNetworkHost(host, protocol) {
+    if (socketPath(host)) {
+        throw ErrorHandler.createConfigurationError(`${protocol.toUpperCase()} relays cannot use Unix socket ${host}`, 'host', host);
+    }
+}
+
+// Parse a socket file mode such as '660' or 0o660
+function parseSocketMode(value) {
+    const mode = typeof value === 'number' ? value : parseInt(String(value), 8);
+    if (!Number.isInteger(mode) || mode < 0 || mode > 0o777) {
+        throw ErrorHandler.createConfigurationError(`Invalid socket mode: ${value}. Use octal permissions such as 660.`, 'socketMode', value);
+    }
+    return mode;
+}
+
+/**
+ * Remove a socket file that an earlier process left behind. A socket that
+ * still accepts connections belongs to a live process and is kept.
+ * @param {string} path - Socket path
+ */
+async function removeStaleSocket(path) {
+    let stat;
+    try {
+        stat = await fs.promises.lstat(path);
+    } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+    }
+    if (!stat.isSocket()) {
+        throw ErrorHandler.createConfigurationError(`${path} exists and is not a socket`, 'host', path);
+    }
+    const live = await new Promise((resolve) => {
+        const probe = net.connect({ path });
+        probe.once('connect', () => {
+            probe.destroy();
+            resolve(true);
+        });
+        probe.once('error', (err) => resolve(err.code !== 'ECONNREFUSED'));
+    });
+    if (live) {
+        throw ErrorHandler.createConfigurationError(`Socket ${path} is in use by another process`, 'host', path);
+    }
+    logger.info(`Removing stale socket ${path}`);
+    await fs.promises.unlink(path);
+}
+
+/**
+ * Listen on a host and port, or on the socket a unix: host names. A stale
+ * socket file is removed first, and the new one gets options.socketMode.
+ * Failures are emitted as the server's 'error' event, like those of listen().
+ * @param {net.Server} server - Server to listen with
+ * @param {string} host - Host, or 'unix:' followed by a socket path
+ * @param {number} port - Port, unused for a socket
+ * @param {Object} options - Relay options
+ * @param {number|string} [options.socketMode] - Permissions of the socket file, e.g. '660'
+ * @param {Function} callback - Called once listening
+ */
+function listen(server, host, port, options, callback) {
+    const path = socketPath(host);
+    if (!path) {
+        server.listen(port, host, callback);
+        return;
+    }
+    (async () => {
+        const mode = options.socketMode !== undefined ? parseSocketMode(options.socketMode) : null;
+        await removeStaleSocket(path);
+        await new Promise((resolve) => server.listen(path, resolve));
+        // The socket is closed again if its permissions cannot be set
+        if (mode !== null) {
+            try {
+                await fs.promises.chmod(path, mode);
+            } catch (err) {
+                server.close();
+                throw err;
+            }
+        }
+        callback();
+    })().catch((err) => server.emit('error', err));
+}
+
+module.exports = { socketPath, connectOptions, formatAddress, assertNetworkHost, parseSocketMode, removeStaleSocket, listen };
@@ -0,0 +1,90 @@
+// Run as: node scripts/udp-modes.js [loss]
+// Echoes udp relay packets in datagram and in stream mode over a simulated
+// lossy link, and prints how many came back and how long they took: the
+// numbers in the README's UDP Modes section. Two MuxSessions talk over an
+// in-process link where the stream is a ReliableStream, retransmitting in
+// order roughly as a UDX stream does, and datagrams cross the link as they
+// are. This simulates UDX rather than measuring it: ReliableStream's timers
+// are not UDX's, so the stream numbers are only indicative.
+const MuxSession = require('../lib/mux/session');
+const { ReliableStream } = require('../lib/utils/reliable-stream');
+
+const LOSS = Number(process.argv[2] || 0.05); // chance each packet is lost, each way
+const DELAY = 20;                             // one-way delay in milliseconds
+const RATE = 50;                              // packets sent per second
+const COUNT = 500;                            // packets sent per mode
+const DATAGRAM = 0xff;                        // link prefix telling datagrams from stream packets
+
+function link(peer) {
+  return (packet) => {
+    if (Math.random() >= LOSS) setTimeout(() => peer().emit('link', packet), DELAY);
+  };
+}
+
+// Two connected ends that, like a UDX stream, also send datagrams with trySend
+function pair() {
+  const ends = [];
+  for (const i of [0, 1]) {
+    const send = link(() => ends[1 - i]);
+    const end = new ReliableStream(send);
+    end.trySend = (datagram) => send(Buffer.concat([Buffer.from([DATAGRAM]), datagram]));
+    end.on('link', (packet) => {
+      if (packet[0] === DATAGRAM) end.emit('message', packet.subarray(1));
+      else end.receive(packet);
+    });
+    ends.push(end);
+  }
+  return ends;
+}
+
+function quantile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function run(datagrams) {
+  return new Promise((resolve) => {
+    const [a, b] = pair();
+    const client = new MuxSession(a, { initiator: true });
+    const server = new MuxSession(b);
+    server.on('channel', (channel) => {
+      channel.on('error', () => {});
+      channel.accept({ datagrams: true });
+      const echo = (packet) => channel.sendDatagram(packet);
+      channel.on('data', echo);
+      channel.on('message', echo);
+    });
+
+    const channel = client.openChannel({ service: 'udp:1', datagrams });
+    const latencies = [];
+    const receive = (packet) => latencies.push(Date.now() - Number(packet.toString()));
+    channel.on('error', () => {});
+    channel.on('data', receive);
+    channel.on('message', receive);
+    channel.on('open', () => {
+      let sent = 0;
+      const timer = setInterval(() => {
+        channel.sendDatagram(Buffer.from(String(Date.now())));
+        if (++sent === COUNT) clearInterval(timer);
+      }, 1000 / RATE);
+
+      // Give the stream time to resend what was lost before counting
+      setTimeout(() => {
+        latencies.sort((x, y) => x - y);
+        client.destroy();
+        server.destroy();
+        resolve({
+          mode: datagrams ? 'datagram' : 'stream',
+          echoed: `${Math.round(latencies.length / COUNT * 100)}%`,
+          median: `${quantile(latencies, 0.5)}ms`,
+          p99: `${quantile(latencies, 0.99)}ms`
+        });
+      }, COUNT * 1000 / RATE + 8000);
+    });
+  });
+}
+
+(async () => {
+  console.log(`${LOSS * 100}% loss each way, ${DELAY * 2}ms round trip, echoing ${RATE} packets a second`);
+  console.table([await run(true), await run(false)]);
+  process.exit(0);
+})();
@@ -1,5 +1,5 @@
 const { ipcMain, BrowserWindow } = require('electron');
-const { startRelay, stopRelay, listRelays, setStateChangeCallback } = require('./relay-manager');
+const { startRelay, stopRelay, browseServices, runDoctor, listRelays, updateAllowlist, applySettings, getIdentity, setStateChangeCallback } = require('./relay-manager');
 const { getSettings, saveSettings } = require('./settings-store');
 const { initLoggerBridge } = require('./logger-bridge');
 
@@ -30,17 +30,51 @@ function registerIpcHandlers() {
 
   ipcMain.handle('relay:stop', async (_event, id) => {
     try {
-      stopRelay(id);
+      await stopRelay(id);
       return { ok: true };
     } catch (err) {
       return { ok: false, error: err.message };
     }
   });
 
+  ipcMain.handle('relay:browse', async (_event, publicKey) => {
+    try {
+      return { ok: true, services: await browseServices(publicKey) };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('doctor:run', async (_event, options) => {
+    try {
+      return { ok: true, result: await runDoctor(options) };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  });
+
   ipcMain.handle('relay:list', async () => {
     return { ok: true, relays: listRelays() };
   });
 
+  ipcMain.handle('relay:update-allowlist', async (_event, id, keys) => {
+    try {
+      updateAllowlist(id, keys);
+      broadcastToAll('relay:list-updated', listRelays());
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('identity:get', async () => {
+    try {
+      return { ok: true, publicKey: getIdentity() };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  });
+
   ipcMain.handle('settings:get', async () => {
     return { ok: true, settings: getSettings() };
   });
@@ -48,6 +82,7 @@ function registerIpcHandlers() {
   ipcMain.handle('settings:save', async (_event, settings) => {
     try {
       const saved = saveSettings(settings);
+      applySettings();
       return { ok: true, settings: saved };
     } catch (err) {
       return { ok: false, error: err.message };
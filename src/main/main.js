@@ -1,8 +1,10 @@
 const { app, BrowserWindow } = require('electron');
 const path = require('path');
 const { registerIpcHandlers } = require('./ipc-handlers');
+const { shutdownAll } = require('./relay-manager');
 
 let mainWindow = null;
+let quitting = false;
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -51,3 +53,13 @@ app.whenReady().then(() => {
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
+
+// Drain and close every relay, and unannounce servers, before the process exits
+app.on('before-quit', (event) => {
+  if (quitting) return;
+  quitting = true;
+  event.preventDefault();
+  shutdownAll()
+    .catch((err) => console.error('[SHUTDOWN]', err.message))
+    .finally(() => app.quit());
+});
@@ -1,12 +1,21 @@
+const crypto = require('crypto');
+const bs58 = require('bs58').default;
 const { createActor } = require('xstate');
 const { createRelayMachine } = require('../shared/relay-machine');
 const ModeHandler = require('../../lib/modes');
+const ConfigManager = require('../../lib/config');
+const { config } = require('../../lib/utils/config');
+const { diagnose } = require('../../lib/utils/doctor');
 const { createBridgedLogger } = require('./logger-bridge');
+const { getSettings, saveSettings } = require('./settings-store');
 
 const logger = createBridgedLogger(process.env.LOG_LEVEL || 'info');
 let _onStateChange = null;
 let _idCounter = 0;
 const _actors = new Map();
+const _watchers = new Map();
+let _relay = null;
+let _serverRelay = null;
 
 function setStateChangeCallback(fn) {
   _onStateChange = fn;
@@ -25,11 +34,120 @@ function notifyStateChange(id, snapshot) {
         mode: snapshot.context.mode,
         publicKey: snapshot.context.publicKey,
         error: snapshot.context.error,
+        retryAttempt: snapshot.context.retryAttempt,
+        retryDelay: snapshot.context.retryDelay,
       },
     });
   }
 }
 
+// Secret of the stable client key pair, so servers can put this app on their allowlist
+function identitySecret() {
+  let secret = getSettings().identitySecret;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    saveSettings({ identitySecret: secret });
+  }
+  return secret;
+}
+
+function identityKeyPair() {
+  return ConfigManager.generateKeyPair(identitySecret());
+}
+
+function getIdentity() {
+  return bs58.encode(identityKeyPair().publicKey);
+}
+
+function rateLimits() {
+  const settings = getSettings();
+  return {
+    upload: settings.uploadLimit,
+    download: settings.downloadLimit,
+    perPeer: { upload: settings.peerUploadLimit, download: settings.peerDownloadLimit },
+  };
+}
+
+// Apply the settings: bandwidth limits take effect on running relays,
+// timeouts and connection limits on relays started afterwards
+function applySettings() {
+  const settings = getSettings();
+  config.setRelayDefaults({
+    connectTimeout: settings.defaultTimeout,
+    idleTimeout: settings.idleTimeout,
+    maxConnections: settings.maxConnections,
+    maxSessions: settings.maxSessions,
+    heartbeatInterval: settings.heartbeatInterval,
+    heartbeatMisses: settings.heartbeatMisses,
+  });
+  for (const relay of [_relay, _serverRelay]) {
+    if (relay) relay.rateLimiter.configure(rateLimits());
+  }
+}
+
+// The shared relay is created on first use and carries the client identity
+// and the bandwidth limits
+async function sharedRelay() {
+  applySettings();
+  _relay = await ModeHandler.relay({ keyPair: identityKeyPair(), rateLimit: rateLimits() });
+  return _relay;
+}
+
+// Servers run on a node of their own, which carries the bandwidth limits too
+async function serverRelay() {
+  applySettings();
+  _serverRelay = await ModeHandler.relay({ rateLimit: rateLimits() });
+  return _serverRelay;
+}
+
+// Services a shared key server offers this app, for the browse step of add-relay
+async function browseServices(publicKey) {
+  await sharedRelay();
+  return ModeHandler.services(publicKey, { keyPair: identityKeyPair() });
+}
+
+// Connectivity checks for the Doctor screen; a key that is not shared is
+// derived for the service's protocol and port, as a client would
+async function runDoctor(options) {
+  const relay = await sharedRelay();
+  const publicKey = options.publicKey ? ModeHandler.clientKey(options) : undefined;
+  return diagnose(relay, {
+    host: options.host,
+    port: options.checkTarget ? options.port : undefined,
+    proto: options.proto,
+    publicKey,
+  });
+}
+
+async function watchReconnects(id, actor, config) {
+  const key = ModeHandler.clientKey({ ...config, sharedKey: !!config.sharedKey }).toString('hex');
+  const relay = await ModeHandler.relay({ keyPair: identityKeyPair() });
+  const matches = (info) => info.publicKey.toString('hex') === key;
+
+  const handlers = {
+    reconnecting: (info) => {
+      if (!matches(info)) return;
+      logger.warn(`Relay ${id} lost its connection, retrying in ${info.delay}ms (attempt ${info.attempt}/${info.maxRetries})`);
+      actor.send({ type: 'RETRY', attempt: info.attempt, delay: info.delay, message: info.error ? info.error.message : null });
+    },
+    reconnected: (info) => {
+      if (!matches(info)) return;
+      logger.info(`Relay ${id} reconnected after ${info.attempts} attempt(s)`);
+      actor.send({ type: 'RECONNECTED' });
+    },
+    'reconnect-failed': (info) => {
+      if (!matches(info)) return;
+      logger.error(`Relay ${id} gave up reconnecting: ${info.error.message}`);
+      actor.send({ type: 'ERROR', message: `Connection lost: ${info.error.message}` });
+    },
+  };
+
+  for (const [event, handler] of Object.entries(handlers)) relay.on(event, handler);
+  _watchers.set(id, () => {
+    for (const [event, handler] of Object.entries(handlers)) relay.off(event, handler);
+  });
+}
+
 async function startRelay(config) {
   const id = `relay-${++_idCounter}`;
   const machine = createRelayMachine(id);
@@ -39,35 +157,46 @@ async function startRelay(config) {
     notifyStateChange(id, snapshot);
   });
 
+  await sharedRelay();
   actor.start();
 
   try {
     if (config.mode === 'server') {
       actor.send({ type: 'START_SERVER', config });
-      const publicKey = await ModeHandler.server({
+      await serverRelay();
+      const { publicKey, handle } = await ModeHandler.server({
         proto: config.proto,
         port: config.port,
         host: config.host || '127.0.0.1',
         secret: config.secret,
+        allowlist: config.allowlist,
+        targets: config.targets,
+        label: config.label,
+        description: config.description,
+        sharedKey: !!config.sharedKey,
         showCommands: false,
       });
       actor.send({ type: 'KEY_GENERATED', publicKey });
-      actor.send({ type: 'STARTED', handle: null });
+      actor.send({ type: 'STARTED', handle });
       _actors.set(id, actor);
       logger.info(`Relay ${id} started (server, ${config.proto}:${config.port})`);
       return { id, publicKey };
     } else {
       actor.send({ type: 'START_CLIENT', config });
-      await ModeHandler.client({
+      const handle = await ModeHandler.client({
         proto: config.proto,
         port: config.port,
         localPort: config.localPort || config.port,
         publicKey: config.publicKey,
+        sharedKey: !!config.sharedKey,
+        forwardAll: !!config.forwardAll,
         host: config.host || '127.0.0.1',
+        identity: identitySecret(),
       });
-      actor.send({ type: 'STARTED', handle: null });
+      actor.send({ type: 'STARTED', handle });
       _actors.set(id, actor);
-      logger.info(`Relay ${id} started (client, ${config.proto}:${config.port})`);
+      await watchReconnects(id, actor, config);
+      logger.info(`Relay ${id} started (client, ${config.forwardAll ? 'all services' : `${config.proto}:${config.port}`})`);
       return { id };
     }
   } catch (err) {
@@ -78,21 +207,59 @@ async function startRelay(config) {
   }
 }
 
-function stopRelay(id) {
+async function stopRelay(id) {
   const actor = _actors.get(id);
   if (!actor) throw new Error(`Relay ${id} not found`);
+  const unwatch = _watchers.get(id);
+  if (unwatch) {
+    unwatch();
+    _watchers.delete(id);
+  }
+
+  const handle = actor.getSnapshot().context.relayHandle;
   actor.send({ type: 'STOP' });
-  setTimeout(() => {
-    try { actor.send({ type: 'STOPPED' }); } catch (_) {}
-    _actors.delete(id);
+  try {
+    if (handle) await handle.close();
+    actor.send({ type: 'STOPPED' });
     logger.info(`Relay ${id} stopped`);
-  }, 200);
+  } catch (err) {
+    logger.error(`Relay ${id} did not stop cleanly: ${err.message}`);
+    actor.send({ type: 'ERROR', message: err.message });
+  } finally {
+    _actors.delete(id);
+  }
+}
+
+function updateAllowlist(id, keys) {
+  const actor = _actors.get(id);
+  if (!actor) throw new Error(`Relay ${id} not found`);
+  const handle = actor.getSnapshot().context.relayHandle;
+  if (!handle || !handle.allowlist) throw new Error(`Relay ${id} was started without an allowlist`);
+  handle.allowlist.set(keys);
+  logger.info(`Relay ${id} allowlist updated (${handle.allowlist.size} key(s))`);
+}
+
+// Close every relay and the shared DHT node, e.g. before the app quits
+async function shutdownAll() {
+  for (const unwatch of _watchers.values()) unwatch();
+  _watchers.clear();
+  for (const actor of _actors.values()) actor.send({ type: 'STOP' });
+  try {
+    await ModeHandler.shutdown();
+    _relay = null;
+    _serverRelay = null;
+    logger.info('All relays stopped');
+  } finally {
+    for (const actor of _actors.values()) actor.send({ type: 'STOPPED' });
+    _actors.clear();
+  }
 }
 
 function listRelays() {
   const result = [];
   for (const [id, actor] of _actors.entries()) {
     const snap = actor.getSnapshot();
+    const handle = snap.context.relayHandle;
     result.push({
       id,
       state: snap.value,
@@ -103,9 +270,13 @@ function listRelays() {
       mode: snap.context.mode,
       publicKey: snap.context.publicKey,
       error: snap.context.error,
+      retryAttempt: snap.context.retryAttempt,
+      retryDelay: snap.context.retryDelay,
+      stats: handle ? handle.stats() : null,
+      allowlist: handle && handle.allowlist ? handle.allowlist.toJSON() : null,
     });
   }
   return result;
 }
 
-module.exports = { startRelay, stopRelay, listRelays, setStateChangeCallback };
+module.exports = { startRelay, stopRelay, browseServices, runDoctor, shutdownAll, listRelays, updateAllowlist, applySettings, getIdentity, setStateChangeCallback };
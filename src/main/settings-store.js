@@ -5,7 +5,17 @@ const { app } = require('electron');
 const DEFAULTS = {
   logLevel: 'info',
   defaultTimeout: 15000,
+  idleTimeout: 300000,
+  maxConnections: 0,
+  maxSessions: 256,
+  heartbeatInterval: 5000,
+  heartbeatMisses: 3,
   defaultHost: '127.0.0.1',
+  // Bandwidth limits in bytes/s such as '512K' or '10M', empty for unlimited
+  uploadLimit: '',
+  downloadLimit: '',
+  peerUploadLimit: '',
+  peerDownloadLimit: '',
 };
 
 function getSettingsPath() {
@@ -26,7 +36,8 @@ function getSettings() {
 function saveSettings(settings) {
   try {
     const p = getSettingsPath();
-    const merged = { ...DEFAULTS, ...settings };
+    // Keep stored values the settings screen does not edit, like the client identity
+    const merged = { ...getSettings(), ...settings };
     fs.writeFileSync(p, JSON.stringify(merged, null, 2), 'utf8');
     return merged;
   } catch (e) {
@@ -9,10 +9,26 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return ipcRenderer.invoke('relay:stop', id);
   },
 
+  browseServices(publicKey) {
+    return ipcRenderer.invoke('relay:browse', publicKey);
+  },
+
+  runDoctor(options) {
+    return ipcRenderer.invoke('doctor:run', options);
+  },
+
   getRelays() {
     return ipcRenderer.invoke('relay:list');
   },
 
+  updateAllowlist(id, keys) {
+    return ipcRenderer.invoke('relay:update-allowlist', id, keys);
+  },
+
+  getIdentity() {
+    return ipcRenderer.invoke('identity:get');
+  },
+
   getSettings() {
     return ipcRenderer.invoke('settings:get');
   },
@@ -50,6 +50,7 @@ function navigate(screen) {
     add_relay: 'NAVIGATE_ADD',
     settings: 'NAVIGATE_SETTINGS',
     logs: 'NAVIGATE_LOGS',
+    doctor: 'NAVIGATE_DOCTOR',
   };
   const type = eventMap[screen];
   if (type) send({ type });
@@ -17,6 +17,7 @@ class RuiNavbar extends HTMLElement {
       { id: 'add_relay', label: 'Add Relay' },
       { id: 'settings', label: 'Settings' },
       { id: 'logs', label: 'Logs' },
+      { id: 'doctor', label: 'Doctor' },
     ];
 
     applyDiff(this, [
@@ -3,6 +3,7 @@ import './screens/home.js';
 import './screens/add-relay.js';
 import './screens/settings.js';
 import './screens/logs.js';
+import './screens/doctor.js';
 import { createElement, applyDiff } from '../../vendor/webjsx.js';
 import { getSnapshot, subscribe, navigate } from './app-state.js';
 
@@ -11,6 +12,7 @@ const SCREEN_TAGS = {
   add_relay: 'app-add-relay',
   settings: 'app-settings',
   logs: 'app-logs',
+  doctor: 'app-doctor',
 };
 
 function renderApp() {
@@ -1,6 +1,9 @@
 import { createElement, applyDiff } from '../../../vendor/webjsx.js';
 import { navigate } from '../app-state.js';
 
+// Proxy protocols: label and placeholder of the local proxy port
+const PROXIES = { socks: ['Local SOCKS5 Port', '1080'], 'http-proxy': ['Local HTTP Proxy Port', '8080'] };
+
 function randomSecret() {
   const arr = new Uint8Array(32);
   crypto.getRandomValues(arr);
@@ -24,6 +27,19 @@ function numInput(placeholder, value, onInput) {
   });
 }
 
+// A port or a range such as '27015-27030', returned as { start, end } or null if invalid
+function parsePortRange(text) {
+  const m = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(text);
+  if (!m) return null;
+  const start = parseInt(m[1]);
+  const end = m[2] === undefined ? start : parseInt(m[2]);
+  return start >= 1 && end <= 65535 && start <= end ? { start, end } : null;
+}
+
+function parseKeys(text) {
+  return text.split(/[\s,]+/).map(k => k.trim()).filter(Boolean);
+}
+
 function textInput(placeholder, value, cls, onInput) {
   return createElement('input', {
     type: 'text', placeholder, value,
@@ -35,22 +51,76 @@ function textInput(placeholder, value, cls, onInput) {
 class AppAddRelay extends HTMLElement {
   constructor() {
     super();
-    this._s = { mode: 'server', proto: 'tcp', port: '', localPort: '', host: '127.0.0.1', secret: '', publicKey: '', loading: false, error: '', portError: '' };
+    this._s = { mode: 'server', proto: 'tcp', port: '', localPort: '', host: '127.0.0.1', secret: '', publicKey: '', allowlist: '', targetHosts: '', targetPorts: '', label: '', description: '', sharedKey: true, services: null, browsing: false, loading: false, error: '', portError: '' };
   }
 
   connectedCallback() { this._s.secret = randomSecret(); this._render(); }
 
   _set(k, v) { this._s[k] = v; this._render(); }
 
+  async _browse() {
+    if (!this._s.publicKey.trim()) { this._set('error', 'Public key required'); return; }
+    this._s.browsing = true; this._s.error = ''; this._render();
+    const res = await window.electronAPI.browseServices(this._s.publicKey.trim());
+    this._s.browsing = false;
+    this._s.services = res.ok ? res.services : null;
+    this._s.error = res.ok ? '' : res.error || 'Failed to fetch services';
+    this._render();
+  }
+
+  // Fill the form from a manifest entry; the manifest only lists shared key services
+  _pick(entry) {
+    // A proxy has no port of its own and gets the usual local SOCKS port
+    Object.assign(this._s, { proto: entry.protocol, port: String(entry.port ?? 1080), localPort: '', sharedKey: true, portError: '' });
+    this._render();
+  }
+
+  async _forwardAll() {
+    const s = this._s;
+    this._s.loading = true; this._s.error = ''; this._render();
+    const res = await window.electronAPI.startRelay({
+      mode: 'client', forwardAll: true, sharedKey: true, publicKey: s.publicKey.trim(), host: s.host || '127.0.0.1',
+      proto: 'all', port: s.services.map(e => e.port ?? e.protocol).join(', '),
+    });
+    if (res.ok) { navigate('home'); return; }
+    this._s.loading = false; this._s.error = res.error || 'Failed to start relay'; this._render();
+  }
+
+  _renderServices() {
+    const s = this._s;
+    if (!s.services) return null;
+    if (!s.services.length) {
+      return createElement('div', { class: 'alert mb-4' }, createElement('span', {}, 'The server does not offer any services to this app'));
+    }
+    return createElement('div', { class: 'mb-4' },
+      ...s.services.map(e => createElement('div', { class: 'flex items-center gap-3 py-1 border-b border-base-200' },
+        createElement('span', { class: 'badge badge-outline' }, e.protocol.toUpperCase()),
+        createElement('span', { class: 'font-mono text-sm' }, String(e.port ?? '')),
+        createElement('span', { class: 'text-sm flex-1 truncate', title: e.description || '' }, e.label || e.description || ''),
+        createElement('button', { class: 'btn btn-xs', onclick: () => this._pick(e) }, 'Forward'),
+      )),
+      createElement('button', { class: 'btn btn-sm btn-secondary mt-3', disabled: s.loading, onclick: () => this._forwardAll() }, 'Forward All'),
+    );
+  }
+
   async _submit() {
     const s = this._s;
-    const port = parseInt(s.port);
-    if (isNaN(port) || port < 1 || port > 65535) { this._set('portError', 'Port must be 1-65535'); return; }
+    // A proxy server has no port; a proxy client's port is the local proxy port
+    const proxyServer = !!PROXIES[s.proto] && s.mode === 'server';
+    const range = proxyServer ? { start: null, end: null } : parsePortRange(s.port);
+    if (!range) { this._set('portError', 'Port must be 1-65535, or a range like 27015-27030'); return; }
+    const port = range.start === range.end ? range.start : `${range.start}-${range.end}`;
     if (s.mode === 'client' && !s.publicKey.trim()) { this._set('error', 'Public key required'); return; }
     this._s.loading = true; this._s.error = ''; this._s.portError = ''; this._render();
+    const allowlist = parseKeys(s.allowlist);
+    const targetHosts = parseKeys(s.targetHosts);
     const config = {
-      mode: s.mode, proto: s.proto, port, host: s.host || '127.0.0.1',
-      ...(s.mode === 'server' ? { secret: s.secret } : { localPort: parseInt(s.localPort) || port, publicKey: s.publicKey.trim() }),
+      mode: s.mode, proto: s.proto, port, host: s.host || '127.0.0.1', sharedKey: s.sharedKey,
+      ...(s.mode === 'server' ? { secret: s.secret } : { localPort: parseInt(s.localPort) || range.start, publicKey: s.publicKey.trim() }),
+      ...(s.mode === 'server' && allowlist.length ? { allowlist } : {}),
+      ...(proxyServer ? { targets: { hosts: targetHosts.length ? targetHosts : undefined, ports: s.targetPorts.trim() || null } } : {}),
+      ...(s.mode === 'server' && s.label.trim() ? { label: s.label.trim() } : {}),
+      ...(s.mode === 'server' && s.description.trim() ? { description: s.description.trim() } : {}),
     };
     const res = await window.electronAPI.startRelay(config);
     if (res.ok) { navigate('home'); return; }
@@ -59,7 +129,8 @@ class AppAddRelay extends HTMLElement {
 
   _render() {
     const s = this._s;
-    const protos = ['tcp', 'udp', 'tcpudp'];
+    const protos = ['tcp', 'udp', 'tcpudp', ...Object.keys(PROXIES)];
+    const proxy = PROXIES[s.proto];
     applyDiff(this, [
       createElement('div', { class: 'p-6 max-w-lg mx-auto' },
         createElement('h2', { class: 'text-xl font-bold mb-4' }, 'Add Relay'),
@@ -78,13 +149,24 @@ class AppAddRelay extends HTMLElement {
           ...protos.map(p => createElement('button', { class: `tab${s.proto === p ? ' tab-active' : ''}`, onclick: () => this._set('proto', p) }, p.toUpperCase()))
         )]),
 
-        field(s.mode === 'server' ? 'Local Port to Expose' : 'Remote Port', [
-          numInput('3000', s.port, v => this._set('port', v)),
+        !(proxy && s.mode === 'server') && field(proxy ? proxy[0] : s.mode === 'server' ? 'Local Port(s) to Expose' : 'Remote Port(s)', [
+          textInput(proxy ? proxy[1] : '3000 or 27015-27030', s.port, null, v => this._set('port', v)),
           s.portError && createElement('label', { class: 'label' }, createElement('span', { class: 'label-text-alt text-error' }, s.portError)),
         ]),
 
-        s.mode === 'client' && field('Local Port', [numInput('Same as remote', s.localPort, v => this._set('localPort', v))]),
-        field('Host', [textInput('127.0.0.1', s.host, null, v => this._set('host', v))]),
+        s.mode === 'client' && !proxy && field('Local Port (first of the range)', [numInput('Same as remote', s.localPort, v => this._set('localPort', v))]),
+        !(proxy && s.mode === 'server') && field('Host', [textInput('127.0.0.1', s.host, null, v => this._set('host', v))]),
+
+        proxy && s.mode === 'server' && field('Allowed Targets', [
+          createElement('textarea', {
+            placeholder: 'Hosts, CIDRs such as 192.168.1.0/24, or *.example.com, one per line. * allows anywhere. Leave empty for this machine only.',
+            value: s.targetHosts,
+            class: 'textarea textarea-bordered w-full font-mono text-xs',
+            rows: 3,
+            oninput: (e) => this._set('targetHosts', e.target.value),
+          }),
+        ]),
+        proxy && s.mode === 'server' && field('Allowed Target Ports', [textInput('Any, or e.g. 22,80,8000-9000', s.targetPorts, null, v => this._set('targetPorts', v))]),
 
         s.mode === 'server' && field('Secret', [
           createElement('div', { class: 'flex items-center gap-1' },
@@ -93,9 +175,33 @@ class AppAddRelay extends HTMLElement {
           textInput('', s.secret, 'input input-bordered w-full font-mono text-xs', v => this._set('secret', v)),
         ]),
 
+        s.mode === 'server' && field('Allowed Client Keys', [
+          createElement('textarea', {
+            placeholder: 'One client key per line. Leave empty to allow anyone with the public key.',
+            value: s.allowlist,
+            class: 'textarea textarea-bordered w-full font-mono text-xs',
+            rows: 3,
+            oninput: (e) => this._set('allowlist', e.target.value),
+          }),
+        ]),
+
+        s.mode === 'server' && field('Label', [textInput('Shown to clients that browse this server, e.g. Minecraft', s.label, null, v => this._set('label', v))]),
+        s.mode === 'server' && field('Description', [textInput('Optional', s.description, null, v => this._set('description', v))]),
+
         s.mode === 'client' && field('Public Key', [
-          textInput('Server public key (base58)', s.publicKey, 'input input-bordered w-full font-mono text-xs', v => this._set('publicKey', v)),
+          createElement('div', { class: 'flex gap-2' },
+            textInput('Server public key (base58)', s.publicKey, 'input input-bordered flex-1 font-mono text-xs', v => this._set('publicKey', v)),
+            createElement('button', { class: `btn btn-outline${s.browsing ? ' loading' : ''}`, disabled: s.browsing, onclick: () => this._browse() }, 'Browse'),
+          ),
         ]),
+        s.mode === 'client' && this._renderServices(),
+
+        createElement('label', { class: 'label cursor-pointer justify-start gap-3 mb-4' },
+          createElement('input', { type: 'checkbox', class: 'checkbox checkbox-primary', checked: s.sharedKey, onchange: (e) => this._set('sharedKey', e.target.checked) }),
+          createElement('span', { class: 'label-text' }, s.mode === 'server'
+            ? 'One key for all services (share a single key with friends)'
+            : 'Server uses one key for all services'),
+        ),
 
         createElement('div', { class: 'flex gap-3 mt-6' },
           createElement('button', { class: `btn btn-primary flex-1${s.loading ? ' loading' : ''}`, disabled: s.loading, onclick: () => this._submit() }, s.loading ? 'Starting...' : 'Start Relay'),
@@ -0,0 +1,131 @@
+import { createElement, applyDiff } from '../../../vendor/webjsx.js';
+import { getSnapshot } from '../app-state.js';
+
+function field(label, children) {
+  return createElement('div', { class: 'form-control mb-4' },
+    createElement('label', { class: 'label' },
+      createElement('span', { class: 'label-text font-medium' }, label)
+    ),
+    ...children
+  );
+}
+
+function textInput(placeholder, value, cls, onInput) {
+  return createElement('input', {
+    type: 'text', placeholder, value,
+    class: cls || 'input input-bordered w-full',
+    oninput: (e) => onInput(e.target.value),
+  });
+}
+
+// One check of the report: a badge, its findings and, when it failed, what to try
+function checkCard(title, check, lines) {
+  return createElement('div', { class: 'card bg-base-200 mb-3' },
+    createElement('div', { class: 'card-body p-4' },
+      createElement('div', { class: 'flex items-center gap-2' },
+        createElement('span', { class: `badge ${check.ok ? 'badge-success' : 'badge-error'}` }, check.ok ? 'OK' : 'FAIL'),
+        createElement('span', { class: 'font-medium' }, title),
+      ),
+      ...lines.filter(Boolean).map(line => createElement('p', { class: 'text-sm text-base-content/70' }, line)),
+      check.hints.length > 0 && createElement('ul', { class: 'list-disc list-inside text-sm mt-1' },
+        ...check.hints.map(hint => createElement('li', {}, hint))
+      ),
+    )
+  );
+}
+
+class AppDoctor extends HTMLElement {
+  constructor() {
+    super();
+    this._s = { checkTarget: false, proto: 'tcp', port: '', host: '', publicKey: '', sharedKey: true, running: false, error: '', result: null };
+  }
+
+  connectedCallback() {
+    this._s.host = getSnapshot().context.settings.defaultHost || '127.0.0.1';
+    this._render();
+  }
+
+  _set(k, v) { this._s[k] = v; this._render(); }
+
+  async _run() {
+    const s = this._s;
+    const port = parseInt(s.port);
+    const needsPort = s.checkTarget || (s.publicKey.trim() && !s.sharedKey);
+    if (needsPort && !(port >= 1 && port <= 65535)) { this._set('error', 'Port must be 1-65535'); return; }
+    this._s.running = true; this._s.error = ''; this._s.result = null; this._render();
+    const res = await window.electronAPI.runDoctor({
+      proto: s.proto,
+      port: needsPort ? port : undefined,
+      host: s.host.trim() || '127.0.0.1',
+      checkTarget: s.checkTarget,
+      publicKey: s.publicKey.trim() || undefined,
+      sharedKey: s.sharedKey,
+    });
+    this._s.running = false;
+    this._s.result = res.ok ? res.result : null;
+    this._s.error = res.ok ? '' : res.error || 'Diagnostics failed';
+    this._render();
+  }
+
+  _renderResult() {
+    const r = this._s.result;
+    if (!r) return null;
+    const { node, target, connection } = r;
+    return createElement('div', { class: 'mt-6' },
+      createElement('div', { class: `alert ${r.ok ? 'alert-success' : 'alert-warning'} mb-4` },
+        createElement('span', {}, r.ok ? '✓ No problems found' : '⚠ Some checks failed, see the hints below')
+      ),
+      checkCard('This machine', node, [
+        `${node.peers} DHT node(s) answered, ${node.firewalled ? 'firewalled' : 'not firewalled'}`,
+        `Public address: ${node.publicAddress || 'unknown'}`,
+        `NAT: ${node.natDescription}`,
+      ]),
+      target && checkCard(`Service ${target.proto.toUpperCase()} ${target.address}`, target, [
+        target.ok ? `Reachable${target.time !== null ? ` in ${target.time} ms` : ''}` : target.error,
+      ]),
+      connection && checkCard('Connection', connection, connection.ok
+        ? [`Connected in ${connection.connectTime} ms, ${connection.path}${connection.remoteAddress ? ` to ${connection.remoteAddress}` : ''}`]
+        : [connection.error]),
+    );
+  }
+
+  _render() {
+    const s = this._s;
+    applyDiff(this, [
+      createElement('div', { class: 'p-6 max-w-lg mx-auto' },
+        createElement('h2', { class: 'text-xl font-bold mb-1' }, 'Doctor'),
+        createElement('p', { class: 'text-sm text-base-content/60 mb-4' },
+          'Find out whether a failing relay is down to this machine\'s NAT, the service it forwards or the other peer.'
+        ),
+        s.error && createElement('div', { class: 'alert alert-error mb-4' }, createElement('span', {}, s.error)),
+
+        field('Protocol', [createElement('div', { class: 'tabs tabs-boxed bg-base-200 inline-flex' },
+          ...['tcp', 'udp', 'tcpudp'].map(p => createElement('button', { class: `tab${s.proto === p ? ' tab-active' : ''}`, onclick: () => this._set('proto', p) }, p.toUpperCase()))
+        )]),
+        field('Port', [textInput('The service port, e.g. 25565', s.port, null, v => this._set('port', v))]),
+
+        createElement('label', { class: 'label cursor-pointer justify-start gap-3 mb-2' },
+          createElement('input', { type: 'checkbox', class: 'checkbox checkbox-primary', checked: s.checkTarget, onchange: (e) => this._set('checkTarget', e.target.checked) }),
+          createElement('span', { class: 'label-text' }, 'Check that the service runs on this machine (when hosting it)'),
+        ),
+        s.checkTarget && field('Host', [textInput('127.0.0.1', s.host, null, v => this._set('host', v))]),
+
+        field('Public Key', [textInput('Optional: a server to test a connection to (base58)', s.publicKey, 'input input-bordered w-full font-mono text-xs', v => this._set('publicKey', v))]),
+        s.publicKey.trim() && createElement('label', { class: 'label cursor-pointer justify-start gap-3 mb-4' },
+          createElement('input', { type: 'checkbox', class: 'checkbox checkbox-primary', checked: s.sharedKey, onchange: (e) => this._set('sharedKey', e.target.checked) }),
+          createElement('span', { class: 'label-text' }, 'Server uses one key for all services'),
+        ),
+
+        createElement('button', {
+          class: `btn btn-primary w-full mt-2${s.running ? ' loading' : ''}`,
+          disabled: s.running,
+          onclick: () => this._run(),
+        }, s.running ? 'Checking...' : 'Run Checks'),
+
+        this._renderResult(),
+      ),
+    ]);
+  }
+}
+
+customElements.define('app-doctor', AppDoctor);
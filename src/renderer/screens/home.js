@@ -1,29 +1,71 @@
 import { createElement, applyDiff } from '../../../vendor/webjsx.js';
-import { getSnapshot, subscribe, navigate } from '../app-state.js';
+import { getSnapshot, subscribe, navigate, send } from '../app-state.js';
 
 const STATE_BADGE = {
   running: { color: 'green', text: 'Running' },
   starting: { color: 'yellow', text: 'Starting' },
   generating_key: { color: 'yellow', text: 'Generating Key' },
   stopping: { color: 'yellow', text: 'Stopping' },
+  retrying: { color: 'yellow', text: 'Reconnecting' },
   error: { color: 'red', text: 'Error' },
   idle: { color: 'gray', text: 'Idle' },
 };
 
+const STATS_REFRESH_MS = 2000;
+
+function parseKeys(text) {
+  return text.split(/[\s,]+/).map(k => k.trim()).filter(Boolean);
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
 class AppHome extends HTMLElement {
   connectedCallback() {
     this._unsub = subscribe(() => this._render());
     this._render();
+    // Relay list updates are only pushed on state changes, so poll for traffic stats
+    this._statsTimer = setInterval(() => this._refreshStats(), STATS_REFRESH_MS);
   }
 
   disconnectedCallback() {
     if (this._unsub) this._unsub();
+    clearInterval(this._statsTimer);
+  }
+
+  async _refreshStats() {
+    const res = await window.electronAPI.getRelays();
+    if (res.ok) send({ type: 'UPDATE_RELAYS', relays: res.relays });
   }
 
   async _stopRelay(id) {
     await window.electronAPI.stopRelay(id);
   }
 
+  _editAllowlist(relay) {
+    this._editing = { id: relay.id, text: relay.allowlist.join('\n'), error: '' };
+    this._render();
+  }
+
+  async _saveAllowlist() {
+    const { id, text } = this._editing;
+    const res = await window.electronAPI.updateAllowlist(id, parseKeys(text));
+    if (res.ok) {
+      this._editing = null;
+    } else {
+      this._editing.error = res.error || 'Could not update allowlist';
+    }
+    this._render();
+  }
+
   async _copyKey(key) {
     try { await navigator.clipboard.writeText(key); } catch (_) {}
   }
@@ -83,6 +125,20 @@ class AppHome extends HTMLElement {
               title: 'Copy public key',
             }, '⎘'),
           ),
+          relay.stats && createElement('div', { class: 'text-xs text-base-content/60' },
+            `↓ ${formatBytes(relay.stats.bytesIn)} ↑ ${formatBytes(relay.stats.bytesOut)}`
+            + (relay.stats.packetsIn !== undefined ? ` | Packets ↓ ${relay.stats.packetsIn} ↑ ${relay.stats.packetsOut}` : '')
+            + ` | Connections: ${relay.stats.activeConnections} active, ${relay.stats.totalConnections} total`
+            + (relay.stats.droppedIn || relay.stats.droppedOut ? ` | Dropped ↓ ${relay.stats.droppedIn} ↑ ${relay.stats.droppedOut}` : '')
+            + (relay.stats.rtt !== null && relay.stats.rtt !== undefined ? ` | RTT: ${relay.stats.rtt} ms` : '')
+            + (relay.stats.queueDrops ? ` | Queue drops: ${relay.stats.queueDrops}` : '')
+            + (relay.stats.refusedConnections ? ` | Refused: ${relay.stats.refusedConnections}` : '')
+            + (relay.stats.errors ? ` | Errors: ${relay.stats.errors}` : '')
+          ),
+          relay.allowlist && this._renderAllowlist(relay),
+          relay.state === 'retrying' && createElement('div', { class: 'text-xs text-warning mt-1' },
+            `Reconnect attempt ${relay.retryAttempt}${relay.retryDelay ? ` in ${Math.round(relay.retryDelay / 1000)}s` : ''}`
+          ),
           relay.error && createElement('div', { class: 'text-xs text-error mt-1' }, relay.error),
         ),
         createElement('button', {
@@ -93,6 +149,29 @@ class AppHome extends HTMLElement {
       )
     );
   }
+
+  _renderAllowlist(relay) {
+    const editing = this._editing && this._editing.id === relay.id ? this._editing : null;
+    if (!editing) {
+      return createElement('div', { class: 'flex items-center gap-2 text-xs text-base-content/60 mt-1' },
+        `Allowlist: ${relay.allowlist.length} client key(s)`,
+        createElement('button', { class: 'btn btn-xs btn-ghost', onclick: () => this._editAllowlist(relay) }, 'Edit'),
+      );
+    }
+    return createElement('div', { class: 'flex flex-col gap-1 mt-1' },
+      createElement('textarea', {
+        value: editing.text,
+        rows: 3,
+        class: 'textarea textarea-bordered textarea-xs w-full font-mono',
+        oninput: (e) => { editing.text = e.target.value; },
+      }),
+      editing.error && createElement('div', { class: 'text-xs text-error' }, editing.error),
+      createElement('div', { class: 'flex gap-2' },
+        createElement('button', { class: 'btn btn-xs btn-primary', onclick: () => this._saveAllowlist() }, 'Apply'),
+        createElement('button', { class: 'btn btn-xs btn-ghost', onclick: () => { this._editing = null; this._render(); } }, 'Cancel'),
+      ),
+    );
+  }
 }
 
 customElements.define('app-home', AppHome);
@@ -1,18 +1,40 @@
 import { createElement, applyDiff } from '../../../vendor/webjsx.js';
 import { getSnapshot, send } from '../app-state.js';
 
+const RATE_PATTERN = /^\s*(\d+(\.\d+)?\s*[kmg]?b?\s*)?$/i;
+const LIMIT_FIELDS = [
+  ['idleTimeout', 'Idle Timeout (ms)', 'Close connections idle this long, 0 = never'],
+  ['maxConnections', 'Max Connections', 'Per relay, 0 = unlimited'],
+  ['maxSessions', 'Max UDP Sessions', 'Per relay, 0 = unlimited'],
+  ['heartbeatInterval', 'Heartbeat Interval (ms)', 'Ping each peer this often, 0 = never'],
+  ['heartbeatMisses', 'Heartbeat Misses', 'Silent intervals before a peer is dropped or reconnected, 0 = never'],
+];
+const RATE_FIELDS = [
+  ['uploadLimit', 'Upload Limit (all relays)'],
+  ['downloadLimit', 'Download Limit (all relays)'],
+  ['peerUploadLimit', 'Upload Limit per Peer'],
+  ['peerDownloadLimit', 'Download Limit per Peer'],
+];
+
 class AppSettings extends HTMLElement {
   constructor() {
     super();
-    this._form = { logLevel: 'info', defaultTimeout: 15000, defaultHost: '127.0.0.1' };
+    this._form = { logLevel: 'info', defaultTimeout: 15000, idleTimeout: 300000, maxConnections: 0, maxSessions: 256, heartbeatInterval: 5000, heartbeatMisses: 3, defaultHost: '127.0.0.1' };
     this._saved = false;
     this._error = '';
+    this._identity = '';
   }
 
   connectedCallback() {
     const snap = getSnapshot();
     this._form = { ...snap.context.settings };
     this._render();
+    window.electronAPI.getIdentity().then((res) => {
+      if (res.ok) {
+        this._identity = res.publicKey;
+        this._render();
+      }
+    });
   }
 
   _set(key, value) {
@@ -28,11 +50,23 @@ class AppSettings extends HTMLElement {
       this._render();
       return;
     }
+    const badLimit = LIMIT_FIELDS.find(([key]) => !(Number.isInteger(this._form[key]) && this._form[key] >= 0));
+    if (badLimit) {
+      this._error = `${badLimit[1]} must be 0 or more`;
+      this._render();
+      return;
+    }
     if (!this._form.defaultHost.trim()) {
       this._error = 'Host cannot be empty';
       this._render();
       return;
     }
+    const badRate = RATE_FIELDS.find(([key]) => !RATE_PATTERN.test(this._form[key] || ''));
+    if (badRate) {
+      this._error = `${badRate[1]} must be bytes per second, like 512K or 10M`;
+      this._render();
+      return;
+    }
     this._error = '';
     const res = await window.electronAPI.saveSettings(this._form);
     if (res.ok) {
@@ -73,7 +107,7 @@ class AppSettings extends HTMLElement {
 
         createElement('div', { class: 'form-control mb-4' },
           createElement('label', { class: 'label' },
-            createElement('span', { class: 'label-text font-medium' }, 'Default Timeout (ms)')
+            createElement('span', { class: 'label-text font-medium' }, 'Connect Timeout (ms)')
           ),
           createElement('input', {
             type: 'number',
@@ -83,6 +117,22 @@ class AppSettings extends HTMLElement {
           })
         ),
 
+        ...LIMIT_FIELDS.map(([key, label, hint]) =>
+          createElement('div', { class: 'form-control mb-4' },
+            createElement('label', { class: 'label' },
+              createElement('span', { class: 'label-text font-medium' }, label),
+              createElement('span', { class: 'label-text-alt text-base-content/50' }, hint)
+            ),
+            createElement('input', {
+              type: 'number',
+              min: '0',
+              value: String(f[key]),
+              class: 'input input-bordered w-full',
+              oninput: (e) => this._set(key, parseInt(e.target.value)),
+            })
+          )
+        ),
+
         createElement('div', { class: 'form-control mb-4' },
           createElement('label', { class: 'label' },
             createElement('span', { class: 'label-text font-medium' }, 'Default Host')
@@ -95,10 +145,47 @@ class AppSettings extends HTMLElement {
           })
         ),
 
+        createElement('div', { class: 'grid grid-cols-2 gap-x-4' },
+          ...RATE_FIELDS.map(([key, label]) =>
+            createElement('div', { class: 'form-control mb-4' },
+              createElement('label', { class: 'label' },
+                createElement('span', { class: 'label-text font-medium' }, label)
+              ),
+              createElement('input', {
+                type: 'text',
+                value: f[key] || '',
+                placeholder: 'Unlimited',
+                class: 'input input-bordered w-full',
+                oninput: (e) => this._set(key, e.target.value.trim()),
+              })
+            )
+          )
+        ),
+        createElement('p', { class: 'text-xs text-base-content/50 -mt-2 mb-4' },
+          'Bytes per second, e.g. 512K or 10M. Streams slow down at the limit, excess UDP packets are dropped.'
+        ),
+
         createElement('button', {
           class: 'btn btn-primary w-full mt-2',
           onclick: () => this._save(),
-        }, 'Save Settings')
+        }, 'Save Settings'),
+
+        this._identity && createElement('div', { class: 'form-control mt-6' },
+          createElement('label', { class: 'label' },
+            createElement('span', { class: 'label-text font-medium' }, 'Your Client Key')
+          ),
+          createElement('div', { class: 'flex items-center gap-2' },
+            createElement('code', { class: 'text-xs bg-base-300 px-2 py-1 rounded truncate flex-1' }, this._identity),
+            createElement('button', {
+              class: 'btn btn-xs btn-ghost',
+              onclick: () => navigator.clipboard.writeText(this._identity).catch(() => {}),
+              title: 'Copy client key',
+            }, '⎘'),
+          ),
+          createElement('label', { class: 'label' },
+            createElement('span', { class: 'label-text-alt text-base-content/50' }, 'Share this with server owners who only allow listed clients')
+          )
+        )
       ),
     ]);
   }
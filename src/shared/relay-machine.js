@@ -15,6 +15,8 @@ function createRelayMachine(id) {
       mode: null,
       error: null,
       relayHandle: null,
+      retryAttempt: 0,
+      retryDelay: null,
     },
     states: {
       idle: {
@@ -73,6 +75,34 @@ function createRelayMachine(id) {
       },
       running: {
         on: {
+          STOP: 'stopping',
+          RETRY: {
+            actions: assign({
+              retryAttempt: ({ event }) => event.attempt,
+              retryDelay: ({ event }) => event.delay,
+              error: ({ event }) => event.message || null,
+            }),
+            target: 'retrying',
+          },
+          ERROR: {
+            actions: assign({ error: ({ event }) => event.message }),
+            target: 'error',
+          },
+        },
+      },
+      retrying: {
+        on: {
+          RETRY: {
+            actions: assign({
+              retryAttempt: ({ event }) => event.attempt,
+              retryDelay: ({ event }) => event.delay,
+              error: ({ event }) => event.message || null,
+            }),
+          },
+          RECONNECTED: {
+            actions: assign({ retryAttempt: () => 0, retryDelay: () => null, error: () => null }),
+            target: 'running',
+          },
           STOP: 'stopping',
           ERROR: {
             actions: assign({ error: ({ event }) => event.message }),
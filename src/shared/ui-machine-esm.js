@@ -26,6 +26,7 @@ export const uiMachine = createMachine({
         NAVIGATE_ADD: 'add_relay',
         NAVIGATE_SETTINGS: 'settings',
         NAVIGATE_LOGS: 'logs',
+        NAVIGATE_DOCTOR: 'doctor',
       },
     },
     add_relay: {
@@ -34,6 +35,7 @@ export const uiMachine = createMachine({
         NAVIGATE_HOME: 'home',
         NAVIGATE_SETTINGS: 'settings',
         NAVIGATE_LOGS: 'logs',
+        NAVIGATE_DOCTOR: 'doctor',
       },
     },
     settings: {
@@ -42,6 +44,7 @@ export const uiMachine = createMachine({
         NAVIGATE_HOME: 'home',
         NAVIGATE_ADD: 'add_relay',
         NAVIGATE_LOGS: 'logs',
+        NAVIGATE_DOCTOR: 'doctor',
       },
     },
     logs: {
@@ -50,8 +53,18 @@ export const uiMachine = createMachine({
         NAVIGATE_HOME: 'home',
         NAVIGATE_ADD: 'add_relay',
         NAVIGATE_SETTINGS: 'settings',
+        NAVIGATE_DOCTOR: 'doctor',
         CLEAR_LOGS: { actions: assign({ logEntries: () => [] }) },
       },
     },
+    doctor: {
+      on: {
+        ...sharedOn,
+        NAVIGATE_HOME: 'home',
+        NAVIGATE_ADD: 'add_relay',
+        NAVIGATE_SETTINGS: 'settings',
+        NAVIGATE_LOGS: 'logs',
+      },
+    },
   },
 });
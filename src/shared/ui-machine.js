@@ -18,6 +18,7 @@ const uiMachine = createMachine({
         NAVIGATE_ADD: 'add_relay',
         NAVIGATE_SETTINGS: 'settings',
         NAVIGATE_LOGS: 'logs',
+        NAVIGATE_DOCTOR: 'doctor',
         UPDATE_RELAYS: { actions: assign({ relays: ({ event }) => event.relays }) },
         APPEND_LOG: {
           actions: assign({
@@ -35,6 +36,7 @@ const uiMachine = createMachine({
         NAVIGATE_HOME: 'home',
         NAVIGATE_SETTINGS: 'settings',
         NAVIGATE_LOGS: 'logs',
+        NAVIGATE_DOCTOR: 'doctor',
         UPDATE_RELAYS: { actions: assign({ relays: ({ event }) => event.relays }) },
         APPEND_LOG: {
           actions: assign({
@@ -51,6 +53,7 @@ const uiMachine = createMachine({
         NAVIGATE_HOME: 'home',
         NAVIGATE_ADD: 'add_relay',
         NAVIGATE_LOGS: 'logs',
+        NAVIGATE_DOCTOR: 'doctor',
         UPDATE_RELAYS: { actions: assign({ relays: ({ event }) => event.relays }) },
         APPEND_LOG: {
           actions: assign({
@@ -68,6 +71,7 @@ const uiMachine = createMachine({
         NAVIGATE_HOME: 'home',
         NAVIGATE_ADD: 'add_relay',
         NAVIGATE_SETTINGS: 'settings',
+        NAVIGATE_DOCTOR: 'doctor',
         UPDATE_RELAYS: { actions: assign({ relays: ({ event }) => event.relays }) },
         APPEND_LOG: {
           actions: assign({
@@ -80,6 +84,24 @@ const uiMachine = createMachine({
         CLEAR_LOGS: { actions: assign({ logEntries: () => [] }) },
       },
     },
+    doctor: {
+      on: {
+        NAVIGATE_HOME: 'home',
+        NAVIGATE_ADD: 'add_relay',
+        NAVIGATE_SETTINGS: 'settings',
+        NAVIGATE_LOGS: 'logs',
+        UPDATE_RELAYS: { actions: assign({ relays: ({ event }) => event.relays }) },
+        APPEND_LOG: {
+          actions: assign({
+            logEntries: ({ context, event }) => {
+              const next = [...context.logEntries, event.entry];
+              return next.length > 500 ? next.slice(next.length - 500) : next;
+            },
+          }),
+        },
+        UPDATE_SETTINGS: { actions: assign({ settings: ({ event }) => event.settings }) },
+      },
+    },
   },
 });
 
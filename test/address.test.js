@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseHost, formatHostPort, resolveHost, udpType } = require('../lib/utils/address');
+const ConfigManager = require('../lib/config');
+const { runConfigFile } = require('../lib/cli/config-file');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cli.js');
+
+test('hosts are trimmed and IPv6 brackets removed', () => {
+    assert.strictEqual(parseHost('[::1]'), '::1');
+    assert.strictEqual(parseHost('::1'), '::1');
+    assert.strictEqual(parseHost(' 192.168.1.10 '), '192.168.1.10');
+    assert.strictEqual(parseHost('nas.local'), 'nas.local');
+    assert.strictEqual(parseHost('unix:/run/app.sock'), 'unix:/run/app.sock');
+});
+
+test('brackets around anything but an IPv6 address, or with a port, are refused', () => {
+    for (const host of ['[nope]', '[127.0.0.1]', '[]', '[::1]:8080', '[2001:db8::1]:53']) {
+        assert.throws(() => parseHost(host), { code: 'CONFIGURATION_ERROR' }, host);
+    }
+    assert.throws(() => parseHost('[::1]:8080'), /includes a port/);
+});
+
+test('host:port is written with brackets for IPv6 only', () => {
+    assert.strictEqual(formatHostPort('::1', 80), '[::1]:80');
+    assert.strictEqual(formatHostPort('10.0.0.1', 80), '10.0.0.1:80');
+    assert.strictEqual(formatHostPort('example.com', 443), 'example.com:443');
+});
+
+test('IP addresses resolve to themselves with their family', async () => {
+    assert.deepStrictEqual(await resolveHost('10.0.0.1'), { address: '10.0.0.1', family: 4 });
+    assert.deepStrictEqual(await resolveHost('2001:db8::1'), { address: '2001:db8::1', family: 6 });
+});
+
+test('a host name resolves to an address whose family picks the UDP socket type', async () => {
+    const { address, family } = await resolveHost('localhost');
+    assert.ok(['127.0.0.1', '::1'].includes(address), address);
+    assert.strictEqual(udpType(family), family === 6 ? 'udp6' : 'udp4');
+    assert.strictEqual(udpType(4), 'udp4');
+    assert.strictEqual(udpType(6), 'udp6');
+    await assert.rejects(resolveHost('nothing.invalid'), { code: 'CONNECTION_ERROR', message: /Could not resolve nothing\.invalid/ });
+});
+
+test('the CLI refuses a bad bracketed host before starting anything', async () => {
+    for (const host of ['[nope]', '[::1]:8080']) {
+        const { code, stderr } = await new Promise((resolve) => {
+            execFile(process.execPath, [CLI, 'server', '-p', '8080', '--host', host], { timeout: 30000 }, (err, stdout, stderr) => {
+                resolve({ code: err ? err.code : 0, stderr });
+            });
+        });
+        assert.strictEqual(code, 1, host);
+        assert.match(stderr, host === '[nope]' ? /Invalid IPv6 address: \[nope\]/ : /includes a port/);
+    }
+});
+
+test('an options.json entry with a bad bracketed host is refused', async () => {
+    await assert.rejects(ConfigManager.runFromConfig([{ mode: 'server', proto: 'tcp', port: 8080, host: '[::1]:8080', secret: 'test' }]),
+        { code: 'CONFIGURATION_ERROR' });
+    await assert.rejects(ConfigManager.runFromConfig([{ mode: 'client', proto: 'udp', port: 8080, host: '[nope]', publicKey: 'x' }]),
+        { code: 'CONFIGURATION_ERROR' });
+});
+
+test('a config file passes bracketed hosts to the relays without brackets', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-file-'));
+    t.after(() => fs.rmSync(dir, { recursive: true }));
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({
+        server: { secret: 'test', ports: [{ protocol: 'tcp', port: 8080, host: '[::1]' }], reverse: ['9000'], reverseHost: '[::]' },
+        client: {
+            serverKey: ConfigManager.generateKeyPair('test').publicKey.toString('hex'),
+            ports: [{ protocol: 'udp', remotePort: 27015, host: '[::1]' }]
+        }
+    }));
+
+    // Relays that record what they are started with, in place of the DHT
+    const calls = [];
+    const record = (name) => async (...args) => calls.push([name, ...args]);
+    const relays = {
+        tcp: { server: record('tcp.server') },
+        udp: { client: record('udp.client') },
+        reverse: { server: record('reverse.server') }
+    };
+    const relay = { createRelay: async () => relays };
+    const cli = { getRelay: async () => relay };
+    t.mock.method(console, 'log', () => {});
+
+    await runConfigFile(cli, file);
+    const find = (name) => calls.find((call) => call[0] === name);
+    assert.strictEqual(find('tcp.server')[3], '::1');
+    assert.strictEqual(find('udp.client')[3].host, '::1');
+    assert.strictEqual(find('reverse.server')[2].host, '::');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const bs58 = require('bs58').default;
+const Allowlist = require('../lib/utils/allowlist');
+const RelayHandle = require('../lib/utils/relay-handle');
+
+const key = () => crypto.randomBytes(32);
+
+test('keys are accepted as hex or base58 and compared as hex', () => {
+    const allowed = key();
+    const allowlist = new Allowlist([bs58.encode(allowed)]);
+    assert.ok(allowlist.allows(allowed));
+    assert.ok(allowlist.allows(allowed.toString('hex')));
+    assert.ok(!allowlist.allows(key()));
+    assert.ok(!allowlist.allows(null));
+});
+
+test('an invalid key is a configuration error', () => {
+    assert.throws(() => new Allowlist(['not-a-key']), { code: 'CONFIGURATION_ERROR' });
+    assert.throws(() => new Allowlist([crypto.randomBytes(16).toString('hex')]), { code: 'CONFIGURATION_ERROR' });
+});
+
+test('a file is read without comments and blank lines', (t) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'allowlist-')), 'keys');
+    t.after(() => fs.rmSync(path.dirname(file), { recursive: true }));
+    const [first, second] = [key(), key()];
+    fs.writeFileSync(file, `# clients\n${first.toString('hex')}\n\n${bs58.encode(second)}  # laptop\n`);
+    const allowlist = Allowlist.fromFile(file);
+    assert.strictEqual(allowlist.size, 2);
+    assert.ok(allowlist.allows(second));
+});
+
+test('a watched file is unwatched once the last relay using it closes', async (t) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'allowlist-')), 'keys');
+    t.after(() => fs.rmSync(path.dirname(file), { recursive: true }));
+    fs.writeFileSync(file, `${key().toString('hex')}\n`);
+
+    const allowlist = Allowlist.from(file);
+    assert.ok(allowlist.watcher);
+    const handles = ['tcp:80', 'tcp:81'].map((service) => new RelayHandle({ mode: 'server', service, allowlist }));
+
+    await handles[0].close({ gracePeriod: 0 });
+    assert.ok(allowlist.watcher, 'still used by the other relay');
+    await handles[1].close({ gracePeriod: 0 });
+    assert.strictEqual(allowlist.watcher, null);
+});
+
+test('set() replaces the keys and emits change', () => {
+    const allowlist = new Allowlist([key()]);
+    const changes = [];
+    allowlist.on('change', (list) => changes.push(list.size));
+    allowlist.set([key(), key()]);
+    assert.deepStrictEqual(changes, [2]);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Backoff = require('../lib/utils/backoff');
+
+test('delays grow by the factor up to the maximum', () => {
+    const backoff = new Backoff({ initialDelay: 100, maxDelay: 1000, factor: 2, jitter: 0, maxRetries: 6 });
+    const delays = [];
+    for (let delay = backoff.next(); delay !== null; delay = backoff.next()) delays.push(delay);
+    assert.deepStrictEqual(delays, [100, 200, 400, 800, 1000, 1000]);
+    assert.ok(backoff.exhausted);
+});
+
+test('jitter keeps each delay within its spread', () => {
+    const backoff = new Backoff({ initialDelay: 1000, maxDelay: 1000, factor: 2, jitter: 0.25, maxRetries: 100 });
+    for (let i = 0; i < 100; i++) {
+        const delay = backoff.next();
+        assert.ok(delay >= 750 && delay <= 1250, `delay ${delay}`);
+    }
+});
+
+test('reset starts over from the first delay', () => {
+    const backoff = new Backoff({ initialDelay: 100, maxDelay: 1000, factor: 2, jitter: 0, maxRetries: 2 });
+    backoff.next();
+    backoff.next();
+    assert.strictEqual(backoff.next(), null);
+    backoff.reset();
+    assert.strictEqual(backoff.next(), 100);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bridge = require('../lib/utils/bridge');
+
+test('rules are ports with an optional multicast group', () => {
+    assert.deepStrictEqual(bridge.parseBridgeRules('4445, 27015@239.255.255.250'), [
+        { port: 4445, group: null },
+        { port: 27015, group: '239.255.255.250' }
+    ]);
+    assert.deepStrictEqual(bridge.parseBridgeRules([{ port: 5353, group: '224.0.0.251' }, 4445]), [
+        { port: 5353, group: '224.0.0.251' },
+        { port: 4445, group: null }
+    ]);
+    assert.strictEqual(bridge.ruleAddress({ port: 4445, group: null }), bridge.BROADCAST);
+});
+
+test('a group outside 224-239 or an invalid port is refused', () => {
+    for (const value of ['4445@192.168.1.255', '4445@nope', '4445@240.0.0.1']) {
+        assert.throws(() => bridge.parseBridgeRules(value), { code: 'CONFIGURATION_ERROR' }, value);
+    }
+    for (const value of ['0', 'abc', '70000@239.0.0.1']) {
+        assert.throws(() => bridge.parseBridgeRules(value), /Invalid port/, value);
+    }
+});
+
+test('messages round trip with their kind and port', () => {
+    const message = bridge.encodeBridgeMessage(bridge.KINDS.ANNOUNCE, 27015, Buffer.from('hello'));
+    const decoded = bridge.decodeBridgeMessage(message);
+    assert.strictEqual(decoded.kind, bridge.KINDS.ANNOUNCE);
+    assert.strictEqual(decoded.port, 27015);
+    assert.strictEqual(decoded.payload.toString(), 'hello');
+    assert.strictEqual(bridge.decodeBridgeMessage(Buffer.from([3, 0])), null);
+});
+
+test('forwarded ports written in a packet are replaced by their local ports', () => {
+    const ports = new Map([[25565, 35565], [80, 8080]]);
+    const rewritten = bridge.rewritePorts(Buffer.from('[MOTD]World 1[/MOTD][AD]25565[/AD] 125565 2556 80'), ports);
+    assert.strictEqual(rewritten.toString(), '[MOTD]World 1[/MOTD][AD]35565[/AD] 125565 2556 8080');
+
+    const untouched = Buffer.from('[AD]19132[/AD]');
+    assert.strictEqual(bridge.rewritePorts(untouched, ports), untouched);
+    assert.strictEqual(bridge.rewritePorts(untouched, new Map()), untouched);
+});
+
+test('a packet heard again within the window is an echo', () => {
+    const filter = new bridge.EchoFilter(100);
+    const packet = Buffer.from('[AD]25565[/AD]');
+    assert.strictEqual(filter.echo(4445, packet), false);
+    assert.strictEqual(filter.echo(4445, packet), true);
+    assert.strictEqual(filter.echo(4446, packet), false);
+
+    // Past the window the packet is new again
+    for (const key of filter.recent.keys()) filter.recent.set(key, Date.now() - 200);
+    assert.strictEqual(filter.echo(4445, packet), false);
+});
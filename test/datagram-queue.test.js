@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { DatagramQueue } = require('../lib/utils/datagram-queue');
+const { Config } = require('../lib/utils/config');
+
+// A channel that takes datagrams only while it has credit, as a slow peer's does
+function slowChannel() {
+    const channel = new EventEmitter();
+    channel.sent = [];
+    channel.destroyed = false;
+    channel.writableEnded = false;
+    channel.writableNeedDrain = true;
+    channel.sendDatagram = (datagram) => channel.sent.push(datagram.toString());
+    channel.end = () => {
+        channel.writableEnded = true;
+    };
+    channel.drain = () => {
+        channel.writableNeedDrain = false;
+        channel.emit('drain');
+    };
+    return channel;
+}
+
+function fill(queue, count) {
+    return Array.from({ length: count }, (_, i) => queue.push(Buffer.from(String(i))));
+}
+
+test('a channel with room is sent to at once', () => {
+    const channel = slowChannel();
+    channel.writableNeedDrain = false;
+    const queue = new DatagramQueue(channel, { limit: 1 });
+    assert.deepStrictEqual(fill(queue, 3), [true, true, true]);
+    assert.deepStrictEqual(channel.sent, ['0', '1', '2']);
+    assert.strictEqual(queue.length, 0);
+});
+
+test('drop-oldest makes room for each new datagram', () => {
+    const channel = slowChannel();
+    const queue = new DatagramQueue(channel, { limit: 2, policy: 'drop-oldest' });
+    let drops = 0;
+    queue.on('drop', () => drops++);
+    assert.deepStrictEqual(fill(queue, 4), [true, true, true, true]);
+    assert.strictEqual(drops, 2);
+    channel.drain();
+    assert.deepStrictEqual(channel.sent, ['2', '3']);
+});
+
+test('drop-newest keeps what is queued and drops the new datagram', () => {
+    const channel = slowChannel();
+    const queue = new DatagramQueue(channel, { limit: 2, policy: 'drop-newest' });
+    let drops = 0;
+    queue.on('drop', () => drops++);
+    assert.deepStrictEqual(fill(queue, 4), [true, true, false, false]);
+    assert.strictEqual(drops, 2);
+    channel.drain();
+    assert.deepStrictEqual(channel.sent, ['0', '1']);
+});
+
+test('pause drops everything offered until the queue has drained', () => {
+    const channel = slowChannel();
+    const queue = new DatagramQueue(channel, { limit: 2, policy: 'pause' });
+    const events = [];
+    for (const event of ['pause', 'resume', 'drop']) queue.on(event, () => events.push(event));
+
+    assert.deepStrictEqual(fill(queue, 4), [true, true, false, false]);
+    assert.deepStrictEqual(events, ['pause', 'drop', 'drop']);
+    assert.ok(queue.paused);
+
+    channel.drain();
+    assert.deepStrictEqual(events, ['pause', 'drop', 'drop', 'resume']);
+    assert.deepStrictEqual(channel.sent, ['0', '1']);
+    assert.ok(queue.push(Buffer.from('after')));
+    assert.deepStrictEqual(channel.sent, ['0', '1', 'after']);
+});
+
+test('no limit queues every datagram', () => {
+    const channel = slowChannel();
+    const queue = new DatagramQueue(channel, { limit: 0 });
+    assert.ok(fill(queue, 1000).every(Boolean));
+    assert.strictEqual(queue.length, 1000);
+});
+
+test('end waits for the queued datagrams and refuses new ones', () => {
+    const channel = slowChannel();
+    const queue = new DatagramQueue(channel, { limit: 4 });
+    fill(queue, 2);
+    queue.end();
+    assert.ok(!channel.writableEnded);
+    assert.strictEqual(queue.push(Buffer.from('late')), false);
+    channel.drain();
+    assert.deepStrictEqual(channel.sent, ['0', '1']);
+    assert.ok(channel.writableEnded);
+});
+
+test('closing the channel empties the queue', () => {
+    const channel = slowChannel();
+    const queue = new DatagramQueue(channel, { limit: 4 });
+    fill(queue, 3);
+    channel.emit('close');
+    assert.strictEqual(queue.length, 0);
+});
+
+test('every relay takes the pause policy, set on it or as the process default', () => {
+    const config = new Config();
+    config.setRelayDefaults({ dropPolicy: 'pause' });
+    for (const protocol of ['udp', 'tcpudp']) {
+        assert.strictEqual(config.createRelayConfig(protocol).dropPolicy, 'pause');
+    }
+    assert.strictEqual(config.createRelayConfig('udp', { dropPolicy: 'drop-newest' }).dropPolicy, 'drop-newest');
+    assert.throws(() => config.createRelayConfig('udp', { dropPolicy: 'sometimes' }), /Invalid drop policy/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { checkNode, checkTarget, checkConnection, NAT_TYPES } = require('../lib/utils/doctor');
+const { once } = require('./helpers');
+
+// A relay whose DHT node is in the given state and whose connections fail with code
+function fakeRelay(node, code) {
+    return {
+        node: { nodes: [{}, {}], firewalled: true, host: '203.0.113.7', port: 49737, randomized: false, ...node },
+        initialize: async () => {},
+        transport: {
+            connect: async () => {
+                throw Object.assign(new Error('Could not connect'), { code });
+            }
+        }
+    };
+}
+
+test('checkNode reads the NAT type off the DHT node', async () => {
+    const cases = [
+        [{ firewalled: false }, 'open', true],
+        [{}, 'consistent', true],
+        [{ randomized: true }, 'random', false],
+        [{ host: null }, 'unknown', true],
+        [{ nodes: [] }, 'consistent', false]
+    ];
+    for (const [node, nat, ok] of cases) {
+        const result = await checkNode(fakeRelay(node));
+        assert.strictEqual(result.nat, nat);
+        assert.strictEqual(result.natDescription, NAT_TYPES[nat]);
+        assert.strictEqual(result.ok, ok, `${nat} with ${result.peers} peers`);
+        assert.strictEqual(result.hints.length, ok && nat !== 'unknown' ? 0 : 1);
+    }
+});
+
+test('checkTarget times a listening TCP service and explains a refused one', async () => {
+    const server = net.createServer((socket) => socket.destroy());
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+
+    const up = await checkTarget('127.0.0.1', port, { timeout: 2000 });
+    assert.ok(up.ok);
+    assert.strictEqual(up.address, `127.0.0.1:${port}`);
+    assert.ok(up.time >= 0);
+
+    server.close();
+    await once(server, 'close');
+    const down = await checkTarget('127.0.0.1', port, { timeout: 2000 });
+    assert.ok(!down.ok);
+    assert.match(down.hints[0], /Nothing listens on 127\.0\.0\.1:/);
+});
+
+test('checkConnection hints at the failure without changing the shared hints', async () => {
+    const relay = fakeRelay({ randomized: true }, 'PEER_NOT_FOUND');
+    const key = Buffer.alloc(32, 1);
+    const first = await checkConnection(relay, key, { timeout: 2000 });
+    const second = await checkConnection(relay, key, { timeout: 2000 });
+
+    assert.ok(!first.ok);
+    assert.strictEqual(first.code, 'PEER_NOT_FOUND');
+    assert.deepStrictEqual(second.hints, first.hints);
+    assert.strictEqual(second.hints.length, 3);
+    assert.match(second.hints[2], /picks random ports/);
+
+    const unknown = await checkConnection(fakeRelay({}, 'SOMETHING_ELSE'), key, { timeout: 2000 });
+    assert.deepStrictEqual(unknown.hints, ['Run the doctor on the server too, and compare both NATs']);
+});
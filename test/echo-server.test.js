@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MuxSession = require('../lib/mux/session');
+const EchoServerRelay = require('../lib/relays/echo-server');
+const { INITIAL_WINDOW } = require('../lib/mux/messages');
+const { socketPair, once, wait } = require('./helpers');
+
+test('echo stops reading while the client does not take the echo back', async () => {
+    const [a, b] = socketPair();
+    const client = new MuxSession(a, { initiator: true, heartbeat: { interval: 0 } });
+    const server = new MuxSession(b, { heartbeat: { interval: 0 } });
+    let echo = null;
+    server.on('channel', (channel, request) => {
+        echo = channel;
+        new EchoServerRelay().serve(channel, request);
+    });
+
+    const channel = client.openChannel({ service: 'echo', mode: 'echo' });
+    await once(channel, 'open');
+    channel.pause();
+    const data = Buffer.alloc(8 * INITIAL_WINDOW, 1);
+    channel.write(data);
+    await wait(100);
+    assert.ok(echo.writableLength <= 2 * INITIAL_WINDOW, `${echo.writableLength} bytes held`);
+
+    const chunks = [];
+    channel.on('data', (chunk) => chunks.push(chunk));
+    channel.resume();
+    channel.end();
+    await once(channel, 'end');
+    assert.ok(Buffer.concat(chunks).equals(data));
+    client.destroy();
+    server.destroy();
+});
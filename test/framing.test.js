@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeFrame, FrameDecoder } = require('../lib/utils/framing');
+
+function decode(decoder, chunks) {
+    const frames = [];
+    decoder.on('data', (frame) => frames.push(frame.toString()));
+    for (const chunk of chunks) decoder.write(chunk);
+    return frames;
+}
+
+test('frames survive being split and joined by the stream', () => {
+    const bytes = Buffer.concat(['one', '', 'three'].map((text) => encodeFrame(Buffer.from(text))));
+    // One byte at a time, and all at once
+    assert.deepStrictEqual(decode(new FrameDecoder(), [...bytes].map((byte) => Buffer.from([byte]))), ['one', '', 'three']);
+    assert.deepStrictEqual(decode(new FrameDecoder(), [bytes]), ['one', '', 'three']);
+});
+
+test('oversized frames are refused on both ends', async () => {
+    assert.throws(() => encodeFrame(Buffer.alloc(11), 10), { code: 'PROTOCOL_ERROR' });
+
+    const decoder = new FrameDecoder({ maxFrameSize: 10 });
+    const failed = new Promise((resolve) => decoder.once('error', resolve));
+    decoder.write(encodeFrame(Buffer.alloc(11)));
+    assert.strictEqual((await failed).code, 'PROTOCOL_ERROR');
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MuxSession = require('../lib/mux/session');
+const { Heartbeat, UNANSWERED_GRACE } = require('../lib/mux/heartbeat');
+const { TYPES } = require('../lib/mux/messages');
+const { socketPair } = require('./helpers');
+
+// A session that records what the heartbeat sends and is never answered
+function silentSession() {
+    return {
+        sent: [],
+        destroyed: false,
+        send(type, channel, payload) {
+            this.sent.push({ type, payload });
+        },
+        destroy(err) {
+            this.destroyed = true;
+            this.error = err;
+        }
+    };
+}
+
+test('ping resolves with the round trip once the peer answers', async () => {
+    const [a, b] = socketPair();
+    const client = new MuxSession(a, { initiator: true, heartbeat: { interval: 0 } });
+    const server = new MuxSession(b, { heartbeat: { interval: 0 } });
+    const rtt = await client.ping();
+    assert.ok(rtt >= 0 && rtt < 1000, `rtt ${rtt}`);
+    assert.strictEqual(client.heartbeat.waiting.size, 0);
+    client.destroy();
+    server.destroy();
+});
+
+test('pings still waiting fail with a connection error when the heartbeat stops', async () => {
+    const session = silentSession();
+    const heartbeat = new Heartbeat(session, { interval: 0 });
+    const pings = [heartbeat.ping(), heartbeat.ping()];
+    assert.strictEqual(heartbeat.waiting.size, 2);
+
+    heartbeat.stop();
+    for (const ping of pings) {
+        await assert.rejects(ping, (err) => err.code === 'CONNECTION_ERROR' && /Peer connection closed/.test(err.message));
+    }
+    assert.strictEqual(heartbeat.waiting.size, 0);
+});
+
+test('a session that closes fails its pending pings, and pings after it at once', async () => {
+    const [a, b] = socketPair();
+    const client = new MuxSession(a, { initiator: true, heartbeat: { interval: 0 } });
+    b.on('error', () => {});
+    const pending = client.ping();
+    client.destroy();
+    await assert.rejects(pending, { code: 'CONNECTION_ERROR' });
+    await assert.rejects(client.ping(), { code: 'CONNECTION_ERROR' });
+    assert.strictEqual(client.heartbeat.waiting.size, 0);
+});
+
+test('a pong that answers no ping() only updates the smoothed round trip', () => {
+    const session = silentSession();
+    const heartbeat = new Heartbeat(session, { interval: 0 });
+    const payload = Buffer.alloc(8);
+    payload.writeDoubleBE(0, 0);
+    heartbeat.receive(TYPES.PONG, payload);
+    assert.ok(heartbeat.rtt > 0);
+    assert.ok(heartbeat.answered);
+});
+
+// A heartbeat on mocked timers whose peer has answered one ping already
+function mockedHeartbeat(t, options) {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const session = silentSession();
+    const heartbeat = new Heartbeat(session, options).start();
+    heartbeat.receive(TYPES.PONG, session.sent[0].payload);
+    return { session, heartbeat };
+}
+
+test('a peer silent for misses intervals in a row is taken for gone', (t) => {
+    const { session, heartbeat } = mockedHeartbeat(t, { interval: 1000, misses: 3 });
+
+    // The first beat only starts counting: the peer was heard before it
+    for (let beat = 1; beat <= 3; beat++) {
+        t.mock.timers.tick(1000);
+        assert.strictEqual(heartbeat.missed, beat - 1);
+        assert.ok(!session.destroyed);
+    }
+    t.mock.timers.tick(1000);
+    assert.ok(session.destroyed);
+    assert.strictEqual(session.error.code, 'TIMEOUT_ERROR');
+    assert.match(session.error.message, /missing 3 heartbeats/);
+    assert.strictEqual(heartbeat.timer, null);
+});
+
+test('anything from the peer starts the count again', (t) => {
+    const { session, heartbeat } = mockedHeartbeat(t, { interval: 1000, misses: 3 });
+    for (let beat = 0; beat < 10; beat++) {
+        t.mock.timers.tick(1000);
+        if (beat % 2) heartbeat.touch();
+    }
+    assert.ok(heartbeat.missed <= 1);
+    assert.ok(!session.destroyed);
+    // Each beat pings the peer
+    assert.strictEqual(session.sent.filter((message) => message.type === TYPES.PING).length, 11);
+});
+
+test('a peer that never answers is taken for gone after the grace period', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const session = silentSession();
+    const heartbeat = new Heartbeat(session, { interval: 1000, misses: 3 }).start();
+    const misses = 3 * UNANSWERED_GRACE;
+    t.mock.timers.tick(1000 * misses);
+    assert.strictEqual(heartbeat.missed, misses - 1);
+    assert.ok(!session.destroyed);
+    t.mock.timers.tick(1000);
+    assert.ok(session.destroyed);
+    assert.match(session.error.message, new RegExp(`missing ${misses} heartbeats`));
+    assert.strictEqual(heartbeat.timer, null);
+});
+
+test('a peer that never answers but sends data is kept', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const session = silentSession();
+    const heartbeat = new Heartbeat(session, { interval: 1000, misses: 3 }).start();
+    for (let beat = 0; beat < 100; beat++) {
+        t.mock.timers.tick(1000);
+        if (beat % 10 === 0) heartbeat.touch();
+    }
+    assert.ok(!heartbeat.answered);
+    assert.ok(!session.destroyed);
+    heartbeat.stop();
+});
+
+test('misses of 0 never gives up on a silent peer', (t) => {
+    const { session, heartbeat } = mockedHeartbeat(t, { interval: 1000, misses: 0 });
+    t.mock.timers.tick(10000);
+    assert.ok(!session.destroyed);
+    heartbeat.stop();
+});
@@ -0,0 +1,48 @@
+const { Duplex } = require('stream');
+
+/**
+ * Test Helpers
+ * In-memory stand-ins for the encrypted DHT connections the relays run on
+ */
+
+/**
+ * Two connected duplex streams, like both ends of a DHT connection. What one
+ * end writes arrives on the next tick, never during the write, as on a network.
+ * @param {Object} [options] - Pair options
+ * @param {boolean} [options.datagrams] - Give both ends UDX-style trySend() and 'message' events
+ * @returns {Array<Duplex>} [a, b]
+ */
+function socketPair(options = {}) {
+    const ends = [];
+    for (let i = 0; i < 2; i++) {
+        const end = new Duplex({
+            read() {},
+            write(chunk, encoding, callback) {
+                process.nextTick(() => ends[1 - i].push(chunk));
+                callback();
+            },
+            final(callback) {
+                process.nextTick(() => ends[1 - i].push(null));
+                callback();
+            },
+            destroy(err, callback) {
+                if (!ends[1 - i].destroyed) ends[1 - i].destroy();
+                callback(err);
+            }
+        });
+        if (options.datagrams) {
+            end.trySend = (message) => setImmediate(() => ends[1 - i].emit('message', message));
+        }
+        ends.push(end);
+    }
+    return ends;
+}
+
+// Resolves once the emitter emits the event, with its first argument
+function once(emitter, event) {
+    return new Promise((resolve) => emitter.once(event, resolve));
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { socketPair, once, wait };
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const httpProxy = require('../lib/utils/http-proxy');
+const HandshakeReader = require('../lib/utils/handshake-reader');
+const { once } = require('./helpers');
+
+const head = (text) => Buffer.from(text.replace(/\n/g, '\r\n'), 'latin1');
+
+test('a request head is parsed once the empty line arrives', () => {
+    assert.strictEqual(httpProxy.parseHead(head('CONNECT example.com:443 HTTP/1.1\nHost: example.com:443\n')), null);
+    const parsed = httpProxy.parseHead(head('CONNECT example.com:443 HTTP/1.1\nHost: example.com:443\n\nTLS'));
+    assert.deepStrictEqual(parsed.value, { method: 'CONNECT', target: 'example.com:443', version: 'HTTP/1.1', headers: ['Host: example.com:443'] });
+    assert.strictEqual(parsed.length, head('CONNECT example.com:443 HTTP/1.1\nHost: example.com:443\n\n').length);
+});
+
+test('a bad request line or an oversized head is a protocol error', () => {
+    assert.throws(() => httpProxy.parseHead(head('hello\n\n')), { code: 'PROTOCOL_ERROR' });
+    assert.throws(() => httpProxy.parseHead(Buffer.alloc(httpProxy.MAX_HEAD_SIZE + 1, 'a')), { code: 'PROTOCOL_ERROR' });
+});
+
+test('CONNECT authorities parse with bracketed IPv6 and valid ports only', () => {
+    assert.deepStrictEqual(httpProxy.parseAuthority('example.com:443'), { host: 'example.com', port: 443 });
+    assert.deepStrictEqual(httpProxy.parseAuthority('[::1]:8443'), { host: '::1', port: 8443 });
+    for (const authority of ['example.com', '::1:443', 'example.com:0', 'example.com:70000']) {
+        assert.strictEqual(httpProxy.parseAuthority(authority), null, authority);
+    }
+});
+
+test('an absolute-URI request is rewritten to origin form without proxy headers', () => {
+    const parsed = httpProxy.parseHead(head('GET http://[::1]:8080/path?q=1 HTTP/1.1\nProxy-Connection: keep-alive\nAccept: */*\n\n'));
+    const rewritten = httpProxy.rewriteRequest(parsed.value);
+    assert.strictEqual(rewritten.host, '::1');
+    assert.strictEqual(rewritten.port, 8080);
+    assert.strictEqual(rewritten.head.toString('latin1'),
+        'GET /path?q=1 HTTP/1.1\r\nHost: [::1]:8080\r\nAccept: */*\r\nConnection: close\r\n\r\n');
+    assert.strictEqual(httpProxy.rewriteRequest({ ...parsed.value, target: '/relative' }), null);
+    assert.strictEqual(httpProxy.rewriteRequest({ ...parsed.value, target: 'https://example.com/' }), null);
+});
+
+test('error responses follow the server\'s reason', () => {
+    assert.match(httpProxy.errorResponse(new Error('Target not allowed: a:1')).toString(), /^HTTP\/1\.1 403 Forbidden/);
+    assert.match(httpProxy.errorResponse(new Error('connect ETIMEDOUT')).toString(), /^HTTP\/1\.1 504 Gateway Timeout/);
+    assert.match(httpProxy.errorResponse(null).toString(), /^HTTP\/1\.1 502 Bad Gateway[^]*Proxy error\n$/);
+});
+
+test('bytes after the handshake are handed back to the next reader', async () => {
+    const socket = new PassThrough();
+    const reader = new HandshakeReader(socket, 'http');
+    const pending = reader.read(httpProxy.parseHead);
+    socket.write(head('CONNECT a:1 HTTP/1.1\n'));
+    socket.write(head('\nfirst bytes'));
+    const parsed = await pending;
+    assert.strictEqual(parsed.target, 'a:1');
+
+    reader.release(Buffer.from('prefix '));
+    socket.resume();
+    const chunk = await once(socket, 'data');
+    assert.strictEqual(chunk.toString(), 'prefix first bytes');
+});
+
+test('a connection that closes mid-handshake is a protocol error', async () => {
+    const socket = new PassThrough();
+    const reader = new HandshakeReader(socket, 'http');
+    const pending = reader.read(httpProxy.parseHead);
+    socket.end(head('GET / HTTP/1.1\n'));
+    socket.resume();
+    await assert.rejects(pending, { code: 'PROTOCOL_ERROR', message: /closed during handshake/ });
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarize, connectionPath } = require('../lib/utils/measure');
+
+test('summarize gives min, average, max and the mean change between samples', () => {
+    assert.deepStrictEqual(summarize([30, 40, 35]), { min: 30, avg: 35, max: 40, jitter: 7.5 });
+    assert.deepStrictEqual(summarize([12.345]), { min: 12.35, avg: 12.35, max: 12.35, jitter: 0 });
+    assert.deepStrictEqual(summarize([]), { min: null, avg: null, max: null, jitter: null });
+});
+
+test('connectionPath tells direct, LAN and holepunched connections apart', () => {
+    const serverSocket = {};
+    const clientSocket = {};
+    const node = { io: { serverSocket, clientSocket } };
+    const connection = (socket, remoteHost) => ({ rawStream: { socket, remoteHost, remotePort: 49740 } });
+
+    assert.deepStrictEqual(connectionPath(node, connection(clientSocket, '203.0.113.7')),
+        { path: 'direct', remoteAddress: '203.0.113.7:49740' });
+    assert.strictEqual(connectionPath(node, connection(serverSocket, '192.168.1.20')).path, 'lan');
+    assert.strictEqual(connectionPath(node, connection(serverSocket, 'fd00::5')).path, 'lan');
+    assert.strictEqual(connectionPath(node, connection({}, '198.51.100.2')).path, 'holepunched');
+    assert.deepStrictEqual(connectionPath(node, {}), { path: 'unknown', remoteAddress: null });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const MuxHost = require('../lib/mux/host');
+const MuxSession = require('../lib/mux/session');
+const { socketPair, once } = require('./helpers');
+
+// A host whose DHT server is a stand-in, with one peer connected over an in-memory pair
+function connectedHost() {
+    const server = Object.assign(new EventEmitter(), { close: async () => {} });
+    const host = new MuxHost({ createServer: () => server }, null);
+    const [a, b] = socketPair();
+    host._onconnection(b);
+    const client = new MuxSession(a, { initiator: true, heartbeat: { interval: 0 } });
+    return { host, client };
+}
+
+test('a handler that throws before accepting rejects its channel', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { host, client } = connectedHost();
+    host.add('udp:1', async () => {
+        throw new Error('Target does not resolve');
+    });
+    host.add('udp:2', () => {
+        throw new Error('Handler bug');
+    });
+
+    for (const service of ['udp:1', 'udp:2']) {
+        const channel = client.openChannel({ service });
+        const err = await once(channel, 'error');
+        assert.match(err.message, /Channel rejected: (Target does not resolve|Handler bug)/);
+    }
+    assert.strictEqual(console.error.mock.callCount(), 2);
+    client.destroy();
+    await host.close();
+});
+
+test('a handler that fails after accepting resets its channel', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { host, client } = connectedHost();
+    host.add('tcp:1', async (channel) => {
+        channel.accept();
+        await new Promise((resolve) => setImmediate(resolve));
+        throw new Error('Target refused');
+    });
+
+    const channel = client.openChannel({ service: 'tcp:1' });
+    await once(channel, 'open');
+    const err = await once(channel, 'error');
+    assert.match(err.message, /closed/);
+    client.destroy();
+    await host.close();
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const MuxSession = require('../lib/mux/session');
+const { TYPES, INITIAL_WINDOW, MAX_DATA_SIZE } = require('../lib/mux/messages');
+const { socketPair, once, wait } = require('./helpers');
+
+// Two sessions over an in-memory connection, heartbeats off
+function sessionPair(options = {}) {
+    const [a, b] = socketPair(options);
+    const client = new MuxSession(a, { initiator: true, heartbeat: { interval: 0 } });
+    const server = new MuxSession(b, { heartbeat: { interval: 0 } });
+    return { client, server };
+}
+
+// Destroy both sessions, ignoring the errors that closes their open channels with
+function close({ client, server }) {
+    for (const session of [client, server]) {
+        for (const channel of session.channels.values()) channel.on('error', () => {});
+        session.destroy();
+    }
+}
+
+test('channels open with odd ids from the initiator and carry data both ways', async () => {
+    const pair = sessionPair();
+    const { client, server } = pair;
+    const requests = [];
+    server.on('channel', (channel, request) => {
+        requests.push(request);
+        channel.accept();
+        channel.pipe(channel);
+    });
+
+    const channel = client.openChannel({ service: 'echo' });
+    assert.strictEqual(channel.id, 1);
+    assert.strictEqual(client.openChannel({ service: 'other' }).id, 3);
+    await once(channel, 'open');
+    assert.deepStrictEqual(requests[0], { service: 'echo' });
+
+    const chunks = [];
+    channel.on('data', (chunk) => chunks.push(chunk));
+    channel.end('hello');
+    await once(channel, 'end');
+    assert.strictEqual(Buffer.concat(chunks).toString(), 'hello');
+    close(pair);
+});
+
+test('a rejected channel errors with the reason', async () => {
+    const pair = sessionPair();
+    const { client, server } = pair;
+    server.on('channel', (channel) => channel.reject('Unknown service nope'));
+
+    const channel = client.openChannel({ service: 'nope' });
+    const err = await once(channel, 'error');
+    assert.match(err.message, /Channel rejected: Unknown service nope/);
+    assert.strictEqual(client.channels.size, 0);
+    close(pair);
+});
+
+test('a sender stops at the window until the receiver reads, then delivers every byte', async () => {
+    const pair = sessionPair();
+    const { client, server } = pair;
+    let remote = null;
+    server.on('channel', (channel) => {
+        remote = channel;
+        channel.pause();
+        channel.accept();
+    });
+
+    const channel = client.openChannel({ service: 'bulk' });
+    await once(channel, 'open');
+    const data = crypto.randomBytes(INITIAL_WINDOW * 3);
+    channel.end(data);
+    await wait(50);
+
+    // Nothing read yet: the window is spent and the rest of the write waits
+    assert.ok(channel.credit < MAX_DATA_SIZE, `credit left ${channel.credit}`);
+    assert.ok(channel.pending, 'write should be waiting for credit');
+    assert.ok(remote.readableLength <= INITIAL_WINDOW);
+
+    const received = [];
+    remote.on('data', (chunk) => received.push(chunk));
+    remote.resume();
+    await once(remote, 'end');
+    assert.ok(Buffer.concat(received).equals(data));
+    close(pair);
+});
+
+test('each write of up to MAX_DATA_SIZE bytes arrives as one chunk', async () => {
+    const pair = sessionPair();
+    const { client, server } = pair;
+    const received = [];
+    server.on('channel', (channel) => {
+        channel.accept();
+        channel.on('data', (chunk) => received.push(chunk.length));
+    });
+
+    const channel = client.openChannel({ service: 'datagrams' });
+    await once(channel, 'open');
+    for (const size of [1, 500, MAX_DATA_SIZE]) channel.write(Buffer.alloc(size));
+    await wait(20);
+    assert.deepStrictEqual(received, [1, 500, MAX_DATA_SIZE]);
+    close(pair);
+});
+
+test('ids skip channels still open once they wrap around', async () => {
+    const pair = sessionPair();
+    const { client, server } = pair;
+    server.on('channel', (channel) => channel.accept());
+
+    const first = client.openChannel({ service: 'long-lived' });
+    assert.strictEqual(first.id, 1);
+    client.nextId = 0xffffffff;
+    assert.strictEqual(client.openChannel({ service: 'last' }).id, 0xffffffff);
+    assert.strictEqual(client.openChannel({ service: 'wrapped' }).id, 3);
+    await wait(20);
+    assert.strictEqual(server.channels.size, 3);
+    close(pair);
+});
+
+test('a peer that sends past its window has the channel reset', async () => {
+    const pair = sessionPair();
+    const { client, server } = pair;
+    let remote = null;
+    server.on('channel', (channel) => {
+        remote = channel;
+        channel.pause();
+        channel.accept();
+    });
+
+    const channel = client.openChannel({ service: 'flood' });
+    await once(channel, 'open');
+    const reset = once(channel, 'error');
+    const failed = once(remote, 'error');
+    // Bypasses the sender's own credit check, as a misbehaving peer would
+    for (let sent = 0; sent <= INITIAL_WINDOW; sent += MAX_DATA_SIZE) {
+        client.send(TYPES.DATA, channel.id, Buffer.alloc(MAX_DATA_SIZE));
+    }
+    assert.strictEqual((await failed).code, 'PROTOCOL_ERROR');
+    assert.match((await reset).message, /Channel reset by peer: Peer sent 65536 bytes with a window of 0/);
+    assert.ok(remote.readableLength <= INITIAL_WINDOW);
+    close(pair);
+});
+
+test('destroying a session destroys its channels on both ends', async () => {
+    const pair = sessionPair();
+    const { client, server } = pair;
+    let remote = null;
+    server.on('channel', (channel) => {
+        remote = channel;
+        channel.on('error', () => {});
+        channel.accept();
+    });
+
+    const channel = client.openChannel({ service: 'tcp:80' });
+    channel.on('error', () => {});
+    await once(channel, 'open');
+    const closed = once(server, 'close');
+    client.destroy();
+    await closed;
+    assert.ok(channel.destroyed);
+    assert.ok(remote.destroyed);
+    assert.strictEqual(server.channels.size, 0);
+});
+
+test('an unreadable open request is a protocol error that ends the session', async () => {
+    const pair = sessionPair();
+    const { client, server } = pair;
+    const closed = once(server, 'close');
+    client.send(1, 7, Buffer.from('not json'));
+    const err = await closed;
+    assert.strictEqual(err.code, 'PROTOCOL_ERROR');
+    close(pair);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const path = require('path');
+const bs58 = require('bs58').default;
+const { parsePortRange, parsePortRanges, rangePorts, formatPortRange, MAX_RANGE_SIZE } = require('../lib/utils/ports');
+const RelayGroup = require('../lib/utils/relay-group');
+const RelayHandle = require('../lib/utils/relay-handle');
+const ModeHandler = require('../lib/modes');
+const ConfigManager = require('../lib/config');
+
+test('a single port is a range of one', () => {
+    assert.deepStrictEqual(parsePortRange(8080), { start: 8080, end: 8080 });
+    assert.deepStrictEqual(parsePortRange(' 53 '), { start: 53, end: 53 });
+});
+
+test('ranges parse with or without spaces around the dash', () => {
+    assert.deepStrictEqual(parsePortRange('27015-27030'), { start: 27015, end: 27030 });
+    assert.deepStrictEqual(parsePortRange('27015 - 27030'), { start: 27015, end: 27030 });
+    assert.deepStrictEqual(parsePortRange('65535-65535'), { start: 65535, end: 65535 });
+});
+
+test('invalid ports and ranges are configuration errors', () => {
+    for (const value of ['', 'http', '0', '65536', '30-20', '10-', '-10', '1.5', '80,81', `1-${MAX_RANGE_SIZE + 1}`]) {
+        assert.throws(() => parsePortRange(value), { code: 'CONFIGURATION_ERROR' }, value);
+    }
+    assert.deepStrictEqual(parsePortRange(`1-${MAX_RANGE_SIZE}`), { start: 1, end: MAX_RANGE_SIZE });
+});
+
+test('lists mix ports and ranges and skip empty entries', () => {
+    assert.deepStrictEqual(parsePortRanges('80, 27015-27017,'), [{ start: 80, end: 80 }, { start: 27015, end: 27017 }]);
+    assert.deepStrictEqual(parsePortRanges([443, '8000-8001']), [{ start: 443, end: 443 }, { start: 8000, end: 8001 }]);
+    assert.throws(() => parsePortRanges('80,nope'), { code: 'CONFIGURATION_ERROR' });
+});
+
+test('a range expands to its ports and formats canonically', () => {
+    assert.deepStrictEqual(rangePorts({ start: 27015, end: 27018 }), [27015, 27016, 27017, 27018]);
+    assert.strictEqual(formatPortRange({ start: 80, end: 80 }), '80');
+    assert.strictEqual(formatPortRange(parsePortRange(' 27015 - 27030 ')), '27015-27030');
+});
+
+test('a range derives the same key however it is written', () => {
+    assert.strictEqual(ModeHandler.keyName('udp', ' 27015 - 27030'), 'udp27015-27030');
+    assert.strictEqual(ModeHandler.keyName('tcp', '8080-8080'), ModeHandler.keyName('tcp', 8080));
+    assert.strictEqual(ModeHandler.keyName('socks', 1080), 'socks');
+});
+
+test('clients connect to the shared key unless sharedKey is false', () => {
+    const { publicKey: key } = ConfigManager.generateKeyPair('mysecret');
+    const publicKey = bs58.encode(key);
+    const shared = ModeHandler.clientKey({ proto: 'udp', port: 27015, publicKey });
+    assert.deepStrictEqual(shared, key);
+    const derived = ModeHandler.clientKey({ proto: 'udp', port: 27015, publicKey, sharedKey: false });
+    assert.notDeepStrictEqual(derived, shared);
+    assert.deepStrictEqual(derived, ModeHandler.clientKey({ proto: 'udp', port: '27015-27015', publicKey, sharedKey: false }));
+});
+
+test('a group closes the relays it started when one fails to start', async () => {
+    const started = [];
+    const create = async (port) => {
+        if (port === 27017) throw new Error('Port in use');
+        const handle = new RelayHandle({ mode: 'client', service: `udp:${port}` });
+        started.push(handle);
+        return handle;
+    };
+    await assert.rejects(RelayGroup.start(rangePorts(parsePortRange('27015-27020')), 'udp:27015-27020', create), /Port in use/);
+    assert.strictEqual(started.length, 2);
+    assert.ok(started.every((handle) => handle.closed));
+});
+
+test('a group sums the stats of its relays', async () => {
+    const group = await RelayGroup.start([80, 81], 'tcp:80-81', async (port) => new RelayHandle({ mode: 'server', service: `tcp:${port}` }));
+    group.handles[0].refused = 2;
+    group.handles[1].refused = 3;
+    const stats = group.stats();
+    assert.strictEqual(stats.service, 'tcp:80-81');
+    assert.strictEqual(stats.protocol, 'tcp');
+    assert.strictEqual(stats.refusedConnections, 5);
+    await group.close({ gracePeriod: 0 });
+    assert.ok(group.handles.every((handle) => handle.closed));
+});
+
+test('a client with local ports but no remote ports is refused', async () => {
+    const cli = path.join(__dirname, '..', 'bin', 'cli.js');
+    const { code, stderr } = await new Promise((resolve) => {
+        execFile(process.execPath, [cli, 'client', '-k', 'abc', '--socks', '1080', '-l', '9000'], { timeout: 30000 }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stderr });
+        });
+    });
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /--local-port needs --remote-port or --all/);
+});
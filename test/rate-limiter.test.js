@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter, TokenBucket, parseRate } = require('../lib/utils/rate-limiter');
+
+// Limiter with the given limits, unlimited wherever they are not set
+function limiter(options = {}) {
+    return new RateLimiter({ upload: 0, download: 0, perPeer: { upload: 0, download: 0 }, ...options });
+}
+
+test('rates parse with K/M/G suffixes and reject anything else', () => {
+    assert.strictEqual(parseRate(undefined), 0);
+    assert.strictEqual(parseRate(''), 0);
+    assert.strictEqual(parseRate(500000), 500000);
+    assert.strictEqual(parseRate('512K'), 512 * 1024);
+    assert.strictEqual(parseRate('1.5m'), 1.5 * 1024 * 1024);
+    assert.strictEqual(parseRate(' 2GB '), 2 * 1024 * 1024 * 1024);
+    for (const value of ['fast', '10T', '-5', -5]) {
+        assert.throws(() => parseRate(value), { code: 'CONFIGURATION_ERROR' }, String(value));
+    }
+});
+
+test('a bucket runs into debt and reports how long to wait it off', () => {
+    const bucket = new TokenBucket(100000);
+    // A new bucket holds MIN_BURST tokens, 64 KiB
+    assert.strictEqual(bucket.tokens, 65536);
+    bucket.consume(115536);
+    // 50000 bytes of debt at 100000 bytes per second
+    const delay = bucket.delay();
+    assert.ok(delay > 490 && delay <= 500, `delay ${delay}`);
+
+    bucket.last -= 1000;
+    assert.strictEqual(bucket.delay(), 0);
+    assert.ok(bucket.tokens <= bucket.burst);
+});
+
+test('an unlimited bucket never delays', () => {
+    const bucket = new TokenBucket(0);
+    bucket.consume(10 * 1024 * 1024);
+    assert.strictEqual(bucket.delay(), 0);
+});
+
+test('tryConsume takes tokens only when every layer has them', () => {
+    const rate = limiter({ perPeer: { upload: 100000 } });
+    const relay = RateLimiter.buckets({ upload: '1M' });
+    const throttle = rate.throttle(relay, 'aa');
+
+    assert.ok(throttle.tryConsume('upload', 60000));
+    const relayTokens = relay.upload.tokens;
+    // The peer bucket is short, so nothing is taken from the relay's either
+    assert.ok(!throttle.tryConsume('upload', 60000));
+    assert.ok(relay.upload.tokens >= relayTokens);
+    // Download is unlimited
+    assert.ok(throttle.tryConsume('download', 10 * 1024 * 1024));
+});
+
+test('connections of one peer share its buckets, other peers have their own', () => {
+    const rate = limiter({ perPeer: { upload: 100000 } });
+    const first = rate.throttle(RateLimiter.buckets(), 'aa');
+    const second = rate.throttle(RateLimiter.buckets(), 'aa');
+    const other = rate.throttle(RateLimiter.buckets(), 'bb');
+
+    assert.ok(first.tryConsume('upload', 60000));
+    assert.ok(!second.tryConsume('upload', 10000));
+    assert.ok(other.tryConsume('upload', 60000));
+});
+
+test('the global bucket is shared by every peer and the slowest layer sets the delay', () => {
+    const rate = limiter({ upload: 100000 });
+    const first = rate.throttle(RateLimiter.buckets(), 'aa');
+    const other = rate.throttle(RateLimiter.buckets(), 'bb');
+    first.consume('upload', 65536);
+    other.consume('upload', 50000);
+    const delay = first.delay('upload');
+    assert.ok(delay > 490 && delay <= 500, `delay ${delay}`);
+});
+
+test('configure() changes the limits of live connections', () => {
+    const rate = limiter({ perPeer: { upload: 100000 } });
+    const throttle = rate.throttle(RateLimiter.buckets(), 'aa');
+    assert.ok(!throttle.tryConsume('upload', 200000));
+
+    rate.configure({ download: '10M', perPeer: { upload: 0 } });
+    assert.deepStrictEqual(rate.limits, { upload: 0, download: 10 * 1024 * 1024, perPeer: { upload: 0, download: 0 } });
+    assert.ok(throttle.tryConsume('upload', 200000));
+});
@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { ReliableStream, SEGMENT_SIZE } = require('../lib/utils/reliable-stream');
+const { once } = require('./helpers');
+
+// Seeded random numbers (mulberry32), so every run meets much the same losses
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Join two ReliableStreams through a datagram path that loses, duplicates
+ * and reorders packets
+ * @param {Object} [options] - Path options
+ * @param {number} [options.loss] - Share of packets lost, each way
+ * @param {number} [options.duplicate] - Share of packets delivered twice
+ * @param {number} [options.delay] - Packets arrive after up to this many milliseconds, so
+ *   they overtake each other; without a delay they arrive on the next tick, in order
+ * @param {number} [options.seed] - Seed of the random choices
+ * @param {Object} [options.stream] - ReliableStream options for both ends
+ * @returns {Object} { ends, path }; set path.cut to lose every packet, or
+ *   path.drop to a function of (packet, to) that picks packets to lose
+ */
+function link(options = {}) {
+    const { loss = 0, duplicate = 0, delay = 0, seed = 1 } = options;
+    const rand = random(seed);
+    const path = { cut: false, drop: null, sent: 0, lost: 0 };
+    const later = delay ? (fn) => setTimeout(fn, rand() * delay) : process.nextTick;
+    const ends = [];
+    const send = (to) => (packet) => {
+        path.sent++;
+        if (path.cut || (path.drop && path.drop(packet, to)) || rand() < loss) {
+            path.lost++;
+            return;
+        }
+        const copies = rand() < duplicate ? 2 : 1;
+        for (let i = 0; i < copies; i++) {
+            const copy = Buffer.from(packet);
+            later(() => ends[to].receive(copy));
+        }
+    };
+    ends.push(new ReliableStream(send(1), options.stream), new ReliableStream(send(0), options.stream));
+    return { ends, path };
+}
+
+// Write data in chunks of random sizes
+function writeChunks(stream, data, rand, end = true) {
+    for (let offset = 0; offset < data.length;) {
+        const size = 1 + Math.floor(rand() * 5000);
+        stream.write(data.subarray(offset, offset + size));
+        offset += size;
+    }
+    if (end) stream.end();
+}
+
+// Everything a stream reads until its end; unlike for await, leaves the stream open
+function readAll(stream) {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    return new Promise((resolve, reject) => {
+        stream.once('end', () => resolve(Buffer.concat(chunks)));
+        stream.once('error', reject);
+    });
+}
+
+// Resolves once the peer has acknowledged everything the stream wrote, its FIN included
+function finished(stream) {
+    return stream.writableFinished || once(stream, 'finish');
+}
+
+const LOSSY = { loss: 0.1, duplicate: 0.1, delay: 10 };
+
+test('a lossy, duplicating and reordering path delivers every byte in order both ways', async () => {
+    for (const seed of [1, 2, 3]) {
+        const { ends: [a, b], path } = link({ ...LOSSY, seed });
+        const rand = random(seed);
+        const [toB, toA] = [crypto.randomBytes(100000), crypto.randomBytes(60000)];
+        const received = Promise.all([readAll(b), readAll(a)]);
+        writeChunks(a, toB, rand);
+        writeChunks(b, toA, rand);
+
+        const [atB, atA] = await received;
+        assert.ok(atB.equals(toB), `seed ${seed}: ${atB.length} of ${toB.length} bytes from a`);
+        assert.ok(atA.equals(toA), `seed ${seed}: ${atA.length} of ${toA.length} bytes from b`);
+        assert.ok(path.lost > 0 && a.retransmits + b.retransmits > 0);
+        await Promise.all([a, b].map(finished));
+    }
+});
+
+test('a FIN ends one half after its data, while the other half still delivers', async () => {
+    const { ends: [a, b] } = link({ ...LOSSY, seed: 4 });
+    const [toB, toA] = [crypto.randomBytes(3000), crypto.randomBytes(SEGMENT_SIZE * 200)];
+    const received = Promise.all([readAll(b), readAll(a)]);
+    let arrived = 0;
+    a.on('data', (chunk) => { arrived += chunk.length; });
+    let arrivedAtFin = null;
+    b.once('end', () => { arrivedAtFin = arrived; });
+
+    // a's short half ends long before b's long one, which b then ends once sent
+    a.end(toB);
+    writeChunks(b, toA, random(4), false);
+
+    const [atB, atA] = await received;
+    assert.ok(atB.equals(toB));
+    assert.ok(atA.equals(toA));
+    assert.ok(arrivedAtFin < toA.length, `${arrivedAtFin} bytes had arrived at a when its FIN reached b`);
+    await Promise.all([a, b].map(finished));
+    // Finishing waited for the peer to acknowledge the FIN and everything before it
+    for (const stream of [a, b]) {
+        assert.ok(stream.writableFinished);
+        assert.strictEqual(stream.unacked.size, 0);
+    }
+});
+
+test('a stream that is done lingers to acknowledge its peer\'s FIN again', { timeout: 10000 }, async () => {
+    const { ends: [a, b], path } = link();
+    const received = Promise.all([readAll(a), readAll(b)]);
+
+    // a's FIN ends b's half too. Lose a's acknowledgement of b's FIN, which comes
+    // when a is done and only lingering lets it answer b's resent FIN.
+    let dropped = 0;
+    const acksFin = (packet) => packet[0] === 0 && b.writableEnded && packet.readUInt32BE(5) === b.nextSeq;
+    path.drop = (packet, to) => to === 1 && acksFin(packet) && dropped++ === 0;
+    a.end('from a');
+
+    await finished(b);
+    assert.strictEqual(dropped, 2);
+    assert.ok(b.retransmits > 0);
+    assert.deepStrictEqual((await received).map(String), ['', 'from a']);
+    assert.ok(!a.destroyed, 'a lingers');
+    a.destroy();
+    b.destroy();
+});
+
+test('a sender stops at the receiver\'s window until it reads, then delivers every byte', async () => {
+    const window = 8;
+    const { ends: [a, b] } = link({ ...LOSSY, seed: 5, stream: { window } });
+    const data = crypto.randomBytes(SEGMENT_SIZE * 60);
+    b.pause();
+    let written = false;
+    a.write(data, () => { written = true; });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    // The reader's buffer and the window are full: the rest of the write waits
+    assert.ok(!written, 'the write should still be waiting');
+    assert.ok(a.queue.length > 0);
+    assert.ok(a.unacked.size <= window, `${a.unacked.size} packets in flight`);
+    assert.ok(b.received.size <= window, `${b.received.size} packets buffered`);
+
+    const received = readAll(b);
+    b.resume();
+    a.end();
+    assert.ok((await received).equals(data));
+    assert.ok(written);
+});
+
+test('sequence numbers wrap around u32 without losing or reordering data', async () => {
+    const { ends: [a, b] } = link({ ...LOSSY, seed: 6 });
+    // Both directions start just before the wrap
+    a.nextSeq = b.expected = 0xffffffff - 20;
+    b.nextSeq = a.expected = 0xffffffff - 3;
+    const [toB, toA] = [crypto.randomBytes(SEGMENT_SIZE * 60), crypto.randomBytes(SEGMENT_SIZE * 10)];
+    const received = Promise.all([readAll(b), readAll(a)]);
+    writeChunks(a, toB, random(6));
+    writeChunks(b, toA, random(7));
+
+    const [atB, atA] = await received;
+    assert.ok(atB.equals(toB));
+    assert.ok(atA.equals(toA));
+    assert.ok(a.nextSeq < 100 && b.nextSeq < 100, `next seq ${a.nextSeq} and ${b.nextSeq}`);
+});
+
+test('a peer that acknowledges nothing through MAX_RETRIES timeouts is given up', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { ends: [a], path } = link();
+    path.cut = true;
+    const errors = [];
+    a.on('error', (err) => errors.push(err));
+    a.write(crypto.randomBytes(SEGMENT_SIZE * 3));
+
+    // Timeouts of 1s, 2s, 4s, then 8s each, one per tick: ten are retransmitted, the eleventh gives up
+    for (let i = 0; i < 10; i++) t.mock.timers.tick(8000);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.ok(!a.destroyed);
+    assert.strictEqual(a.retransmits, 30);
+    t.mock.timers.tick(8000);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.ok(a.destroyed);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].code, 'CONNECTION_ERROR');
+    assert.match(errors[0].message, /No acknowledgement after 10 retransmissions/);
+});
+
+test('hearing from the peer again resets the retries', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { ends: [a, b], path } = link();
+    b.on('data', () => {});
+    path.cut = true;
+    a.write(crypto.randomBytes(SEGMENT_SIZE));
+    // Nine timeouts pass, one short of giving up
+    for (let i = 0; i < 9; i++) t.mock.timers.tick(8000);
+    assert.strictEqual(a.retries, 9);
+
+    path.cut = false;
+    t.mock.timers.tick(8000);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(a.retries, 0);
+    assert.strictEqual(a.unacked.size, 0);
+    assert.ok(!a.destroyed);
+    a.destroy();
+    b.destroy();
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const bs58 = require('bs58').default;
+const ReversePolicy = require('../lib/utils/reverse-policy');
+
+const alice = crypto.randomBytes(32);
+const bob = crypto.randomBytes(32);
+
+test('a rule without peers allows its ports to everyone', () => {
+    const policy = new ReversePolicy('3000-3010');
+    assert.ok(policy.allows(alice, 3000));
+    assert.ok(policy.allows(bob, 3010));
+    assert.ok(!policy.allows(alice, 3011));
+});
+
+test('a rule with peers allows its ports to those peers only', () => {
+    const policy = new ReversePolicy([`${bs58.encode(alice)}@8080,8081`, { ports: 9000, peers: bob.toString('hex') }]);
+    assert.ok(policy.allows(alice, 8081));
+    assert.ok(!policy.allows(bob, 8080));
+    assert.ok(policy.allows(bob, 9000));
+    assert.ok(!policy.allows(alice, 9000));
+});
+
+test('no rules refuse every port', () => {
+    const policy = ReversePolicy.from(undefined);
+    assert.strictEqual(policy.size, 0);
+    assert.ok(!policy.allows(alice, 80));
+});
+
+test('invalid rules are configuration errors', () => {
+    for (const rule of [{ peers: [alice.toString('hex')] }, null, 'nope', '0-10', 'badkey@80']) {
+        assert.throws(() => new ReversePolicy([rule]), { code: 'CONFIGURATION_ERROR' }, JSON.stringify(rule));
+    }
+});
+
+test('rules serialize with canonical ports and hex keys', () => {
+    const policy = new ReversePolicy([`${bs58.encode(alice)}@ 8080 - 8082 ,22`, '443']);
+    assert.deepStrictEqual(policy.toJSON(), [
+        { ports: '8080-8082,22', peers: [alice.toString('hex')] },
+        { ports: '443', peers: null }
+    ]);
+    assert.deepStrictEqual(new ReversePolicy(policy.toJSON()).toJSON(), policy.toJSON());
+    assert.strictEqual(ReversePolicy.from(policy), policy);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const socks = require('../lib/utils/socks');
+
+test('addresses round trip for IPv4, IPv6 and host names', () => {
+    for (const [host, port] of [['10.0.0.1', 80], ['::1', 443], ['2001:db8::ffff:1.2.3.4', 53], ['example.com', 65535]]) {
+        const encoded = socks.encodeAddress(host, port);
+        const decoded = socks.decodeAddress(encoded);
+        assert.strictEqual(decoded.length, encoded.length);
+        assert.strictEqual(decoded.port, port);
+        assert.strictEqual(decoded.host, host === '2001:db8::ffff:1.2.3.4' ? '2001:db8::ffff:102:304' : host);
+    }
+    assert.strictEqual(socks.encodeAddress('::1', 1)[0], socks.ATYP.IPV6);
+    assert.strictEqual(socks.encodeAddress('::1', 1).length, 19);
+});
+
+test('a partial handshake waits for more bytes', () => {
+    assert.strictEqual(socks.parseGreeting(Buffer.from([5])), null);
+    assert.strictEqual(socks.parseGreeting(Buffer.from([5, 2, 0])), null);
+    assert.deepStrictEqual(socks.parseGreeting(Buffer.from([5, 2, 0, 2, 9])), { value: [0, 2], length: 4 });
+
+    const request = Buffer.concat([Buffer.from([5, socks.COMMANDS.CONNECT, 0]), socks.encodeAddress('example.com', 443)]);
+    for (let end = 0; end < request.length; end++) {
+        assert.strictEqual(socks.parseRequest(request.subarray(0, end)), null, `${end} bytes`);
+    }
+    assert.deepStrictEqual(socks.parseRequest(request), {
+        value: { command: socks.COMMANDS.CONNECT, host: 'example.com', port: 443 },
+        length: request.length
+    });
+});
+
+test('another SOCKS version or address type is a protocol error', () => {
+    assert.throws(() => socks.parseGreeting(Buffer.from([4, 1, 0])), { code: 'PROTOCOL_ERROR' });
+    assert.throws(() => socks.parseRequest(Buffer.from([4, 1, 0, 1])), { code: 'PROTOCOL_ERROR' });
+    assert.throws(() => socks.decodeAddress(Buffer.from([9, 0, 0])), { code: 'PROTOCOL_ERROR' });
+});
+
+test('rejection reasons map to reply codes', () => {
+    assert.strictEqual(socks.replyCode(new Error('Target not allowed: 10.0.0.1:22')), socks.REPLIES.NOT_ALLOWED);
+    assert.strictEqual(socks.replyCode(new Error('connect ECONNREFUSED 127.0.0.1:1')), socks.REPLIES.CONNECTION_REFUSED);
+    assert.strictEqual(socks.replyCode(new Error('Could not resolve nope: ENOTFOUND')), socks.REPLIES.HOST_UNREACHABLE);
+    assert.strictEqual(socks.replyCode(null), socks.REPLIES.FAILURE);
+    assert.deepStrictEqual([...socks.encodeReply(socks.REPLIES.SUCCEEDED)], [5, 0, 0, 1, 0, 0, 0, 0, 0, 0]);
+});
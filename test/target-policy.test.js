@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TargetPolicy = require('../lib/utils/target-policy');
+
+test('addresses are checked against IPs and CIDR ranges of both families', async () => {
+    const policy = new TargetPolicy({ hosts: '10.0.0.0/8, 192.168.1.20, fd00::/8' });
+    assert.deepStrictEqual(await policy.resolve('10.1.2.3', 80), { address: '10.1.2.3', family: 4, port: 80 });
+    assert.ok(await policy.resolve('192.168.1.20', 22));
+    assert.ok(await policy.resolve('fd12::1', 443));
+    await assert.rejects(policy.resolve('192.168.1.21', 22), { code: 'CONNECTION_ERROR', message: /Target not allowed: 192.168.1.21:22/ });
+    await assert.rejects(policy.resolve('11.0.0.1', 80), { code: 'CONNECTION_ERROR' });
+    await assert.rejects(policy.resolve('fe80::1', 80), { code: 'CONNECTION_ERROR' });
+});
+
+test('a wildcard name allows the domain and its subdomains only', () => {
+    const policy = new TargetPolicy({ hosts: ['*.example.com', 'api.test'] });
+    assert.ok(policy.allowsName('example.com'));
+    assert.ok(policy.allowsName('a.b.Example.com.'));
+    assert.ok(!policy.allowsName('badexample.com'));
+    assert.ok(!policy.allowsName('example.com.evil'));
+    assert.ok(policy.allowsName('api.test'));
+    assert.ok(!policy.allowsName('www.api.test'));
+});
+
+test('only the listed ports are allowed', async () => {
+    const policy = new TargetPolicy({ hosts: '*', ports: '22,8000-8080' });
+    assert.ok(policy.allowsPort(22));
+    assert.ok(policy.allowsPort(8080));
+    assert.ok(!policy.allowsPort(8081));
+    await assert.rejects(policy.resolve('1.1.1.1', 443), { code: 'CONNECTION_ERROR' });
+    assert.ok(new TargetPolicy({ hosts: '*', ports: '' }).allowsPort(1));
+});
+
+test('a name no entry allows is resolved and its address checked', async () => {
+    const loopback = new TargetPolicy({ hosts: '127.0.0.0/8' });
+    const { address } = await loopback.resolve('localhost', 80);
+    assert.strictEqual(address, '127.0.0.1');
+    await assert.rejects(new TargetPolicy({ hosts: '10.0.0.0/8' }).resolve('localhost', 80), { code: 'CONNECTION_ERROR' });
+});
+
+test('invalid hosts and ranges are configuration errors', () => {
+    for (const hosts of ['10.0.0.0/33', 'fd00::/129', 'bad host', 'example.com/8', '10.0.0.0/x']) {
+        assert.throws(() => new TargetPolicy({ hosts }), { code: 'CONFIGURATION_ERROR' }, hosts);
+    }
+});
+
+test('from() keeps an existing policy', () => {
+    const policy = new TargetPolicy({ hosts: '*' });
+    assert.strictEqual(TargetPolicy.from(policy), policy);
+    assert.ok(TargetPolicy.from({ hosts: '*' }).any);
+});
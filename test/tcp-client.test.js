@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const TcpClientRelay = require('../lib/relays/tcp-client');
+const { once } = require('./helpers');
+
+async function freePort() {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+    server.close();
+    await once(server, 'close');
+    return port;
+}
+
+test('a connection whose tunnel fails is closed and counted, leaving the relay up', { timeout: 5000 }, async () => {
+    const transport = { probe: async () => {}, session: () => null };
+    const relay = new TcpClientRelay(null, transport);
+    relay.handleConnection = async () => {
+        throw new Error('No route to peer');
+    };
+    const port = await freePort();
+    const handle = await relay.createClient(Buffer.alloc(32), 80, { localPort: port });
+
+    for (let i = 1; i <= 2; i++) {
+        const socket = net.connect(port, '127.0.0.1');
+        socket.on('error', () => {});
+        await once(socket, 'close');
+        assert.strictEqual(handle.errors, i);
+    }
+    await handle.close();
+});
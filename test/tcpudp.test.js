@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const MuxSession = require('../lib/mux/session');
+const RelayHandle = require('../lib/utils/relay-handle');
+const TcpUdpServerRelay = require('../lib/relays/tcpudp-server');
+const { socketPair, once } = require('./helpers');
+
+// Both ends of a tcpudp connection, opened and accepted as the relays do
+async function tunnel(options) {
+    const [a, b] = socketPair(options);
+    const sent = { a: 0, b: 0 };
+    for (const [name, end] of [['a', a], ['b', b]]) {
+        if (!end.trySend) continue;
+        const trySend = end.trySend;
+        end.trySend = (message) => {
+            sent[name]++;
+            trySend(message);
+        };
+    }
+    const client = new MuxSession(a, { initiator: true, heartbeat: { interval: 0 } });
+    const server = new MuxSession(b, { heartbeat: { interval: 0 } });
+    const handles = ['client', 'server'].map((mode) => new RelayHandle({ mode, service: 'tcpudp:3000' }));
+
+    const accepted = once(server, 'channel');
+    const channel = client.openChannel({ service: 'tcpudp:3000', datagrams: true });
+    const remote = await accepted;
+    remote.accept({ datagrams: true });
+    await once(channel, 'open');
+
+    handles[0].track(channel);
+    handles[1].track(remote);
+    const streams = [TcpUdpServerRelay.attach(handles[0], channel), TcpUdpServerRelay.attach(handles[1], remote)];
+    return { client, server, channel, remote, streams, sent };
+}
+
+async function echo({ streams }, data) {
+    streams[1].pipe(streams[1]);
+    const received = [];
+    streams[0].on('data', (chunk) => received.push(chunk));
+    streams[0].end(data);
+    await once(streams[0], 'end');
+    return Buffer.concat(received);
+}
+
+test('tcpudp channels carry their packets as datagrams', async () => {
+    const pair = await tunnel({ datagrams: true });
+    assert.ok(pair.channel.datagrams);
+    assert.ok(pair.remote.datagrams);
+
+    const data = crypto.randomBytes(50000);
+    assert.ok((await echo(pair, data)).equals(data));
+    // Every data packet crossed as a datagram, in both directions
+    assert.ok(pair.sent.a >= Math.ceil(data.length / 1100), `client sent ${pair.sent.a} datagrams`);
+    assert.ok(pair.sent.b >= Math.ceil(data.length / 1100), `server sent ${pair.sent.b} datagrams`);
+    pair.client.destroy();
+});
+
+test('tcpudp falls back to the stream when the connection has no datagrams', async () => {
+    const pair = await tunnel();
+    assert.ok(!pair.channel.datagrams);
+    const data = crypto.randomBytes(20000);
+    assert.ok((await echo(pair, data)).equals(data));
+    pair.client.destroy();
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TrafficStats = require('../lib/utils/traffic-stats');
+
+test('counters record each message and when the last one passed', () => {
+    const stats = new TrafficStats();
+    assert.deepStrictEqual(stats.snapshot(), { bytesIn: 0, bytesOut: 0, lastActivity: null });
+    stats.recordIn(100);
+    stats.recordIn(50);
+    stats.recordOut(20);
+    assert.deepStrictEqual(stats.snapshot(true), {
+        bytesIn: 150, bytesOut: 20, packetsIn: 2, packetsOut: 1, lastActivity: stats.lastActivity
+    });
+    assert.ok(stats.lastActivity <= Date.now());
+});
+
+test('add sums counters and keeps the latest activity', () => {
+    const total = new TrafficStats();
+    const idle = new TrafficStats();
+    const busy = new TrafficStats();
+    busy.recordOut(10);
+    busy.lastActivity = 1000;
+    const recent = new TrafficStats();
+    recent.recordIn(5);
+    recent.lastActivity = 2000;
+
+    total.add(recent).add(busy).add(idle);
+    assert.deepStrictEqual(total.snapshot(true), {
+        bytesIn: 5, bytesOut: 10, packetsIn: 1, packetsOut: 1, lastActivity: 2000
+    });
+});
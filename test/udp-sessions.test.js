@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { UdpSessionTable } = require('../lib/utils/udp-sessions');
+
+test('sessions are found by id and by sender key, and closed', () => {
+    const table = new UdpSessionTable({ maxSessions: 0, idleTimeout: 0 });
+    const session = table.open({ id: table.nextId(), key: '127.0.0.1:5000' });
+    assert.strictEqual(table.get(session.id), session);
+    assert.strictEqual(table.lookup('127.0.0.1:5000'), session);
+    assert.strictEqual(table.close(session.id), true);
+    assert.strictEqual(table.close(session.id), false);
+    assert.strictEqual(table.lookup('127.0.0.1:5000'), undefined);
+});
+
+test('the table refuses sessions past maxSessions', () => {
+    const table = new UdpSessionTable({ maxSessions: 2, idleTimeout: 0 });
+    assert.ok(table.open({ id: table.nextId() }));
+    assert.ok(table.open({ id: table.nextId() }));
+    assert.strictEqual(table.open({ id: table.nextId() }), null);
+    assert.strictEqual(table.size, 2);
+});
+
+test('sweeping expires idle sessions only', () => {
+    const expired = [];
+    const table = new UdpSessionTable({ idleTimeout: 1000, onExpire: (session) => expired.push(session.id) });
+    const idle = table.open({ id: 1 });
+    const active = table.open({ id: 2 });
+    idle.lastSeen -= 5000;
+    table.touch(active);
+    assert.strictEqual(table.sweep(), 1);
+    assert.deepStrictEqual(expired, [1]);
+    assert.strictEqual(table.size, 1);
+});
+
+test('ids wrap around past 2^32 - 1 and skip 0', () => {
+    const table = new UdpSessionTable();
+    table.lastId = 0xffffffff;
+    assert.strictEqual(table.nextId(), 1);
+});
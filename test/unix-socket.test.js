@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const unixSocket = require('../lib/utils/unix-socket');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unix-socket-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function listen(server, host, options = {}) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        unixSocket.listen(server, host, 0, options, resolve);
+    });
+}
+
+test('unix: hosts name a socket path', () => {
+    assert.strictEqual(unixSocket.socketPath('unix:/run/app.sock'), '/run/app.sock');
+    assert.strictEqual(unixSocket.socketPath('127.0.0.1'), null);
+    assert.deepStrictEqual(unixSocket.connectOptions('unix:/run/app.sock', 80), { path: '/run/app.sock' });
+    assert.deepStrictEqual(unixSocket.connectOptions('::1', 80), { host: '::1', port: 80 });
+    assert.strictEqual(unixSocket.formatAddress('unix:/run/app.sock', 80), 'unix:/run/app.sock');
+    assert.throws(() => unixSocket.assertNetworkHost('unix:/run/app.sock', 'udp'), { code: 'CONFIGURATION_ERROR' });
+});
+
+test('socket modes are octal permissions', () => {
+    assert.strictEqual(unixSocket.parseSocketMode('660'), 0o660);
+    assert.strictEqual(unixSocket.parseSocketMode(0o600), 0o600);
+    for (const value of ['999', 'rw', '1000', -1]) {
+        assert.throws(() => unixSocket.parseSocketMode(value), { code: 'CONFIGURATION_ERROR' }, String(value));
+    }
+});
+
+test('a listener replaces a stale socket file and applies the socket mode', async (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'app.sock');
+    // A second link to a socket stays behind when its server closes, like after a crash
+    const old = net.createServer();
+    await listen(old, `unix:${path.join(dir, 'old.sock')}`);
+    fs.linkSync(path.join(dir, 'old.sock'), file);
+    await new Promise((resolve) => old.close(resolve));
+    assert.ok(fs.lstatSync(file).isSocket());
+
+    const server = net.createServer((socket) => socket.end('hi'));
+    await listen(server, `unix:${file}`, { socketMode: '600' });
+    t.after(() => server.close());
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+
+    const socket = net.connect(unixSocket.connectOptions(`unix:${file}`));
+    const chunks = [];
+    for await (const chunk of socket) chunks.push(chunk);
+    assert.strictEqual(Buffer.concat(chunks).toString(), 'hi');
+});
+
+test('a socket in use or a file that is not a socket is kept', async (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'app.sock');
+    const live = net.createServer();
+    await listen(live, `unix:${file}`);
+    t.after(() => live.close());
+    await assert.rejects(listen(net.createServer(), `unix:${file}`), { code: 'CONFIGURATION_ERROR', message: /in use/ });
+
+    const plain = path.join(dir, 'plain');
+    fs.writeFileSync(plain, '');
+    await assert.rejects(unixSocket.removeStaleSocket(plain), { code: 'CONFIGURATION_ERROR', message: /not a socket/ });
+    assert.ok(fs.existsSync(plain));
+});